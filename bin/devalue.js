@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import { parseArgs } from 'node:util';
+import {
+	DevalueError,
+	DevalueParseError,
+	inspect,
+	parse,
+	stringify,
+	uneval,
+	validate
+} from '../index.js';
+import { encode64 } from '../src/base64.js';
+
+const usage = `Usage: devalue <command> [file]
+
+Reads the output of devalue.stringify (or, for stringify, JSON) from the file,
+or from stdin if there isn't one.
+
+Commands:
+  json       print the value as indented JSON, with Sets and Maps as arrays
+  js         print the value as JavaScript, using devalue.uneval
+  stringify  convert JSON to the devalue format
+  validate   list any problems with the payload, without reviving it
+  inspect    print the payload as a tree, without reviving it
+
+Options:
+  -t, --type <name>  a custom type, revived as the value it was reduced to (repeatable)
+  -h, --help         show this message`;
+
+/** @typedef {Record<string, (value: any) => any>} Revivers */
+
+/** @type {Record<string, (input: string, revivers: Revivers) => string>} */
+const commands = {
+	json: (input, revivers) => JSON.stringify(parse(input, revivers), to_json, 2),
+	js: (input, revivers) => uneval(parse(input, revivers)),
+	stringify: (input) => stringify(JSON.parse(input)),
+	validate: (input, revivers) => {
+		const problems = validate(input, { revivers });
+
+		if (problems.length > 0) {
+			process.exitCode = 1;
+			return problems.map(describe).join('\n');
+		}
+
+		return 'valid';
+	},
+	inspect: (input) => inspect(input)
+};
+
+/**
+ * Converts values that `JSON.stringify` would throw for, or turn into `{}`.
+ * Binary data becomes base64 (or, for typed arrays, an array of numbers),
+ * and types that have no sensible JSON equivalent are an error
+ * @param {string} key
+ * @param {any} value
+ */
+function to_json(key, value) {
+	if (typeof value === 'bigint') return value.toString();
+	if (typeof value !== 'object' || value === null || Array.isArray(value)) return value;
+
+	const proto = Object.getPrototypeOf(value);
+	if (proto === Object.prototype || proto === null) return value;
+
+	if (value instanceof Set) return [...value];
+	if (value instanceof Map) return [...value];
+	if (value instanceof RegExp || value instanceof URLSearchParams) return value.toString();
+
+	if (value instanceof Number || value instanceof String || value instanceof Boolean) {
+		return value.valueOf();
+	}
+
+	if (value instanceof BigInt) return value.toString();
+
+	if (value instanceof DataView) {
+		return encode64(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+	}
+
+	if (ArrayBuffer.isView(value)) return Array.from(/** @type {any} */ (value));
+
+	if (value instanceof ArrayBuffer) return encode64(value);
+	if (typeof SharedArrayBuffer === 'function' && value instanceof SharedArrayBuffer) {
+		return encode64(value);
+	}
+
+	throw new Error(`Cannot convert ${describe_type(value)} to JSON`);
+}
+
+/**
+ * @param {object} value
+ */
+function describe_type(value) {
+	const name = value.constructor?.name || Object.prototype.toString.call(value).slice(8, -1);
+	return /^[aeiou]/i.test(name) ? `an ${name}` : `a ${name}`;
+}
+
+/**
+ * Reads stdin asynchronously, since reading a pipe synchronously can fail
+ * with `EAGAIN`
+ */
+async function read_stdin() {
+	let input = '';
+	process.stdin.setEncoding('utf-8');
+
+	for await (const chunk of process.stdin) input += chunk;
+	return input;
+}
+
+/**
+ * @param {any} error
+ * @returns {string}
+ */
+function describe(error) {
+	let message = error.message;
+
+	if (error.code) message += ` (${error.code})`;
+	if (error.path) message += ` at ${error.path}`;
+	if (error.offset !== undefined) message += ` at offset ${error.offset}`;
+
+	return message;
+}
+
+try {
+	const { values, positionals } = parseArgs({
+		allowPositionals: true,
+		options: {
+			type: { type: 'string', short: 't', multiple: true, default: [] },
+			help: { type: 'boolean', short: 'h', default: false }
+		}
+	});
+
+	const [name, file, ...rest] = positionals;
+
+	if (values.help) {
+		console.log(usage);
+	} else if (!name || !Object.hasOwn(commands, name) || rest.length > 0) {
+		console.error(usage);
+		process.exitCode = 1;
+	} else {
+		/** @type {Revivers} */
+		const revivers = {};
+		for (const type of values.type) revivers[type] = (value) => value;
+
+		const input = file ? fs.readFileSync(file, 'utf-8') : await read_stdin();
+		console.log(commands[name](input, revivers));
+	}
+} catch (error) {
+	if (!(error instanceof Error)) throw error;
+
+	const message =
+		error instanceof DevalueError || error instanceof DevalueParseError
+			? describe(error)
+			: error.message;
+
+	console.error(`devalue: ${message}`);
+	process.exitCode = 1;
+}
@@ -1,17 +1,41 @@
 export { uneval } from './src/uneval.js';
-export { parse, unflatten } from './src/parse.js';
-export { stringify, stringifyAsync } from './src/stringify.js';
+export { parse, parseBinary, unflatten, createParser } from './src/parse.js';
+export {
+	stringify,
+	stringifyAsync,
+	stringifyStream,
+	stringifyBinary,
+	hash,
+	check
+} from './src/stringify.js';
+export { diff, patch } from './src/diff.js';
+export { validate } from './src/validate.js';
+export { inspect } from './src/inspect.js';
 export {
 	default_stringify_operations as defaultStringifyOperations,
 	default_parse_operations as defaultParseOperations
 } from './src/operations.js';
-export { DevalueError, filter_array_indices as filterArrayIndices } from './src/utils.js';
+export {
+	DevalueError,
+	DevalueLimitError,
+	DevalueParseError,
+	filter_array_indices as filterArrayIndices
+} from './src/utils.js';
 
 /** @typedef {import('./src/types.js').StringValueTag} StringValueTag */
 /** @typedef {import('./src/types.js').ViewTag} ViewTag */
 /** @typedef {import('./src/types.js').StringifyOperations} StringifyOperations */
 /** @typedef {import('./src/types.js').DefaultStringifyOperations} DefaultStringifyOperations */
 /** @typedef {import('./src/types.js').StringifyOptions} StringifyOptions */
+/** @typedef {import('./src/types.js').StringifiedWithBuffers} StringifiedWithBuffers */
+/** @typedef {import('./src/types.js').UnevalOptions} UnevalOptions */
+/** @typedef {import('./src/types.js').ErrorKind} ErrorKind */
 /** @typedef {import('./src/types.js').ParseOperations} ParseOperations */
 /** @typedef {import('./src/types.js').DefaultParseOperations} DefaultParseOperations */
 /** @typedef {import('./src/types.js').ParseOptions} ParseOptions */
+/** @typedef {import('./src/types.js').ParseLimits} ParseLimits */
+/** @typedef {import('./src/types.js').ParseErrorCode} ParseErrorCode */
+/** @typedef {import('./src/types.js').StringifyErrorCode} StringifyErrorCode */
+/** @typedef {import('./src/types.js').ValidateOptions} ValidateOptions */
+/** @typedef {import('./src/types.js').PatchOptions} PatchOptions */
+/** @typedef {import('./src/types.js').Parser} Parser */
@@ -1,6 +1,6 @@
 /* Baseline 2025 runtimes */
 
-/**	@type {(array_buffer: ArrayBuffer) => string} */
+/**	@type {(array_buffer: ArrayBufferLike) => string} */
 export function encode_native(array_buffer) {
 	return new Uint8Array(array_buffer).toBase64();
 }
@@ -12,7 +12,7 @@ export function decode_native(base64) {
 
 /* Node-compatible runtimes */
 
-/** @type {(array_buffer: ArrayBuffer) => string} */
+/** @type {(array_buffer: ArrayBufferLike) => string} */
 export function encode_buffer(array_buffer) {
 	return Buffer.from(array_buffer).toString('base64');
 }
@@ -24,7 +24,7 @@ export function decode_buffer(base64) {
 
 /* Legacy runtimes */
 
-/** @type {(array_buffer: ArrayBuffer) => string} */
+/** @type {(array_buffer: ArrayBufferLike) => string} */
 export function encode_legacy(array_buffer) {
 	const array = new Uint8Array(array_buffer);
 	let binary = '';
@@ -0,0 +1,424 @@
+/*
+ * The binary format is a transcoding of the flattened JSON format. Every
+ * JSON value is written as a record — a tag byte followed by its payload —
+ * with integers (including slot indices) written as zigzag varints. The
+ * bytes of `ArrayBuffer`s are collected out of line, with their slots
+ * written as `["ArrayBuffer", n]`, and appended as raw byte sections:
+ *
+ *   "DV" version root-record buffer-count (byte-length bytes)*
+ */
+
+import { skip_string } from './json.js';
+import { DevalueParseError } from './utils.js';
+
+const VERSION = 1;
+
+const NULL = 0;
+const FALSE = 1;
+const TRUE = 2;
+const INTEGER = 3;
+const FLOAT = 4;
+const STRING = 5;
+const STRING16 = 6;
+const ARRAY = 7;
+const OBJECT = 8;
+
+// integers up to this magnitude survive zigzag encoding without losing precision
+const MAX_VARINT = 2 ** 52;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true });
+
+// lone surrogates can't be represented in UTF-8
+const lone_surrogate = /\p{Surrogate}/u;
+
+/**
+ * Encodes the slots that `devalue.stringify` joins into its output, and the
+ * buffers its `["ArrayBuffer", n]` slots refer to. Each slot's JSON is
+ * transcoded as it is scanned, rather than parsed into a value first
+ * @param {number | string[]} root - a negative index, or the JSON of each slot
+ * @param {ArrayBufferLike[]} buffers
+ * @returns {Uint8Array}
+ */
+export function encode_binary(root, buffers) {
+	let bytes = new Uint8Array(256);
+	let view = new DataView(bytes.buffer);
+	let length = 0;
+
+	/** @param {number} size */
+	function reserve(size) {
+		if (length + size <= bytes.length) return;
+
+		let capacity = bytes.length * 2;
+		while (capacity < length + size) capacity *= 2;
+
+		const grown = new Uint8Array(capacity);
+		grown.set(bytes.subarray(0, length));
+		bytes = grown;
+		view = new DataView(bytes.buffer);
+	}
+
+	/** @param {number} byte */
+	function write_byte(byte) {
+		reserve(1);
+		bytes[length++] = byte;
+	}
+
+	/** @param {number} n - a non-negative integer no larger than 2 ** 53 */
+	function write_varint(n) {
+		reserve(8);
+
+		while (n >= 0x80) {
+			bytes[length++] = (n % 0x80) | 0x80;
+			n = Math.floor(n / 0x80);
+		}
+
+		bytes[length++] = n;
+	}
+
+	/** @param {Uint8Array} chunk */
+	function write_bytes(chunk) {
+		write_varint(chunk.length);
+		reserve(chunk.length);
+		bytes.set(chunk, length);
+		length += chunk.length;
+	}
+
+	/** @param {string} string */
+	function write_string(string) {
+		if (lone_surrogate.test(string)) {
+			write_byte(STRING16);
+			write_varint(string.length);
+			reserve(string.length * 2);
+
+			for (let i = 0; i < string.length; i += 1) {
+				view.setUint16(length, string.charCodeAt(i), true);
+				length += 2;
+			}
+		} else {
+			write_byte(STRING);
+			write_bytes(encoder.encode(string));
+		}
+	}
+
+	/** @param {number} value */
+	function write_number(value) {
+		if (Number.isInteger(value) && Math.abs(value) <= MAX_VARINT && !Object.is(value, -0)) {
+			write_byte(INTEGER);
+			write_varint(value < 0 ? -value * 2 - 1 : value * 2);
+		} else {
+			write_byte(FLOAT);
+			reserve(8);
+			view.setFloat64(length, value, true);
+			length += 8;
+		}
+	}
+
+	/**
+	 * Writes the count of a container whose items have already been written
+	 * into the byte reserved for it at `at`, moving the items along if the
+	 * count needs more than one byte
+	 * @param {number} at
+	 * @param {number} count
+	 */
+	function write_count(at, count) {
+		let size = 1;
+		for (let n = count; n >= 0x80; n = Math.floor(n / 0x80)) size += 1;
+
+		if (size > 1) {
+			reserve(size - 1);
+			bytes.copyWithin(at + size, at + 1, length);
+			length += size - 1;
+		}
+
+		for (let i = 0; i < size - 1; i += 1) {
+			bytes[at + i] = (count % 0x80) | 0x80;
+			count = Math.floor(count / 0x80);
+		}
+
+		bytes[at + size - 1] = count;
+	}
+
+	/**
+	 * Writes the JSON of a slot, which has no whitespace between its tokens
+	 * @param {string} json
+	 */
+	function write_json(json) {
+		let i = 0;
+
+		function string() {
+			const end = skip_string(json, i);
+			const raw = json.slice(i + 1, end - 1);
+
+			i = end;
+			return raw.includes('\\') ? JSON.parse(`"${raw}"`) : raw;
+		}
+
+		function value() {
+			const char = json[i];
+
+			if (char === '"') {
+				write_string(string());
+			} else if (char === '[' || char === '{') {
+				const object = char === '{';
+
+				write_byte(object ? OBJECT : ARRAY);
+
+				const at = length;
+				write_byte(0);
+
+				let count = 0;
+				i += 1;
+
+				while (json[i] !== (object ? '}' : ']')) {
+					if (count > 0) i += 1; // the comma
+
+					if (object) {
+						write_string(string());
+						i += 1; // the colon
+					}
+
+					value();
+					count += 1;
+				}
+
+				i += 1;
+				write_count(at, count);
+			} else if (char === 'n') {
+				write_byte(NULL);
+				i += 4;
+			} else if (char === 't') {
+				write_byte(TRUE);
+				i += 4;
+			} else if (char === 'f') {
+				write_byte(FALSE);
+				i += 5;
+			} else {
+				const start = i;
+				while (i < json.length && !',]}'.includes(json[i])) i += 1;
+				write_number(Number(json.slice(start, i)));
+			}
+		}
+
+		value();
+	}
+
+	write_byte(0x44); // D
+	write_byte(0x56); // V
+	write_byte(VERSION);
+
+	if (typeof root === 'number') {
+		write_number(root);
+	} else {
+		write_byte(ARRAY);
+		write_varint(root.length);
+		for (const slot of root) write_json(slot);
+	}
+
+	write_varint(buffers.length);
+	for (const buffer of buffers) write_bytes(new Uint8Array(buffer));
+
+	return bytes.slice(0, length);
+}
+
+/**
+ * Decodes the output of `encode_binary`
+ * @param {ArrayBuffer | ArrayBufferView} input
+ * @returns {{ parsed: any, buffers: ArrayBuffer[] }}
+ */
+export function decode_binary(input) {
+	const bytes = ArrayBuffer.isView(input)
+		? new Uint8Array(input.buffer, input.byteOffset, input.byteLength)
+		: new Uint8Array(input);
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	let offset = 0;
+
+	/** @param {number} at - the offset of the offending byte */
+	function invalid(at) {
+		return new DevalueParseError('Invalid input', 'INVALID_INPUT', undefined, undefined, at);
+	}
+
+	/** @param {number} size */
+	function claim(size) {
+		if (offset + size > bytes.length) throw invalid(bytes.length);
+
+		const start = offset;
+		offset += size;
+		return start;
+	}
+
+	function read_varint() {
+		let n = 0;
+		let scale = 1;
+
+		while (true) {
+			const byte = bytes[claim(1)];
+			n += (byte & 0x7f) * scale;
+			if (byte < 0x80) return n;
+
+			scale *= 0x80;
+			if (scale > 2 ** 53) throw invalid(offset - 1);
+		}
+	}
+
+	function read_bytes() {
+		const size = read_varint();
+		const start = claim(size);
+		return bytes.subarray(start, start + size);
+	}
+
+	/** @returns {string} */
+	function read_string() {
+		const tag = bytes[claim(1)];
+
+		if (tag === STRING) {
+			const chunk = read_bytes();
+
+			try {
+				return decoder.decode(chunk);
+			} catch {
+				throw invalid(offset - chunk.length);
+			}
+		}
+
+		if (tag === STRING16) {
+			const size = read_varint();
+			const start = claim(size * 2);
+			let string = '';
+
+			for (let i = 0; i < size; i += 1) {
+				string += String.fromCharCode(view.getUint16(start + i * 2, true));
+			}
+
+			return string;
+		}
+
+		throw invalid(offset - 1);
+	}
+
+	/**
+	 * Reads a value. This is iterative rather than recursive, since the input
+	 * may nest arrays and objects more deeply than the call stack allows
+	 * @returns {any}
+	 */
+	function read() {
+		/**
+		 * The arrays and objects being read, innermost last, with the number of
+		 * items or properties still to be read and, for objects, the next key
+		 * @type {Array<{ container: any, remaining: number, key: string }>}
+		 */
+		const stack = [];
+
+		/** @type {any} */
+		let value;
+
+		while (true) {
+			const tag = bytes[offset];
+
+			switch (tag) {
+				case NULL:
+				case FALSE:
+				case TRUE:
+					offset += 1;
+					value = tag === NULL ? null : tag === TRUE;
+					break;
+
+				case INTEGER: {
+					offset += 1;
+					const n = read_varint();
+					value = n % 2 === 1 ? -(n + 1) / 2 : n / 2;
+					break;
+				}
+
+				case FLOAT:
+					offset += 1;
+					value = view.getFloat64(claim(8), true);
+					break;
+
+				case STRING:
+				case STRING16:
+					value = read_string();
+					break;
+
+				case ARRAY: {
+					offset += 1;
+					const size = read_varint();
+
+					// every item takes at least a byte, so the size can't exceed what's left
+					if (size > bytes.length - offset) throw invalid(bytes.length);
+
+					if (size > 0) {
+						stack.push({ container: [], remaining: size, key: '' });
+						continue;
+					}
+
+					value = [];
+					break;
+				}
+
+				case OBJECT: {
+					offset += 1;
+					const size = read_varint();
+
+					if (size > 0) {
+						stack.push({ container: {}, remaining: size, key: read_string() });
+						continue;
+					}
+
+					value = {};
+					break;
+				}
+
+				default:
+					throw invalid(offset);
+			}
+
+			// add the value to the array or object it belongs to, along with any
+			// arrays and objects that are now complete
+			while (true) {
+				const top = stack[stack.length - 1];
+				if (!top) return value;
+
+				if (Array.isArray(top.container)) {
+					top.container.push(value);
+				} else {
+					// mirror `JSON.parse`, which defines `__proto__` as an own property
+					Object.defineProperty(top.container, top.key, {
+						value,
+						writable: true,
+						enumerable: true,
+						configurable: true
+					});
+				}
+
+				top.remaining -= 1;
+
+				if (top.remaining > 0) {
+					if (!Array.isArray(top.container)) top.key = read_string();
+					break;
+				}
+
+				stack.pop();
+				value = top.container;
+			}
+		}
+	}
+
+	for (const byte of [0x44, 0x56, VERSION]) {
+		if (bytes[claim(1)] !== byte) throw invalid(offset - 1);
+	}
+
+	const parsed = read();
+
+	/** @type {ArrayBuffer[]} */
+	const buffers = [];
+	const count = read_varint();
+
+	for (let i = 0; i < count; i += 1) {
+		buffers.push(read_bytes().slice().buffer);
+	}
+
+	if (offset !== bytes.length) throw invalid(offset);
+
+	return { parsed, buffers };
+}
@@ -0,0 +1,129 @@
+import * as assert from 'uvu/assert';
+import { suite } from 'uvu';
+import { decode_binary, encode_binary } from './binary.js';
+
+const values = [
+	-1,
+	0,
+	[],
+	[1, -7, 2 ** 52, -(2 ** 52), 2 ** 60, 1.5, -0, 1e-300],
+	['', 'a', 'é', '中文', '😎', '\uFEFFbom', 'lone \uD800 surrogate', '\uDC00'],
+	[null, true, false, { a: 1, 'b c': [2, { d: 'e' }] }],
+	[[1, 2], ['Map', 3, 4], { __proto__: null, x: 1 }]
+];
+
+const test = suite('encode_binary/decode_binary');
+
+/**
+ * Encodes the items of an array as if they were the slots of `stringify`'s output
+ * @param {any} value
+ * @param {ArrayBufferLike[]} [buffers]
+ */
+function encode(value, buffers = []) {
+	const slots = Array.isArray(value) ? value.map((slot) => JSON.stringify(slot)) : value;
+	return encode_binary(slots, buffers);
+}
+
+for (const value of values) {
+	test(JSON.stringify(value), () => {
+		const { parsed, buffers } = decode_binary(encode(value));
+		assert.equal(parsed, JSON.parse(JSON.stringify(value)));
+		assert.equal(buffers, []);
+	});
+}
+
+test('transcodes slots with escapes and long containers', () => {
+	const slot = { 'a"b': ['<\u2028>', Array.from({ length: 200 }, (_, i) => i)], c: null };
+	const { parsed } = decode_binary(encode_binary([JSON.stringify(slot), '"\\u003C"'], []));
+
+	assert.equal(parsed, [slot, '<']);
+});
+
+test('preserves the sign of -0', () => {
+	assert.ok(Object.is(decode_binary(encode_binary(['-0'], [])).parsed[0], -0));
+});
+
+test('defines __proto__ as an own property', () => {
+	const [parsed] = decode_binary(encode_binary(['{"__proto__":1}'], [])).parsed;
+	assert.equal(Object.getPrototypeOf(parsed), Object.prototype);
+	assert.ok(Object.hasOwn(parsed, '__proto__'));
+});
+
+test('round-trips buffers', () => {
+	const buffers = [new Uint8Array([1, 2, 3]).buffer, new ArrayBuffer(0)];
+	const bytes = encode(['ArrayBuffer', 0], buffers);
+	const decoded = decode_binary(bytes);
+
+	assert.equal(decoded.buffers.map((buffer) => [...new Uint8Array(buffer)]), [[1, 2, 3], []]);
+
+	// the buffers are copies, not views of the input
+	bytes.fill(0);
+	assert.equal([...new Uint8Array(decoded.buffers[0])], [1, 2, 3]);
+});
+
+test('accepts ArrayBuffers and views with an offset', () => {
+	const bytes = encode([1, 'two']);
+	const padded = new Uint8Array(bytes.length + 4);
+	padded.set(bytes, 2);
+
+	assert.equal(decode_binary(bytes.buffer).parsed, [1, 'two']);
+	assert.equal(decode_binary(padded.subarray(2, 2 + bytes.length)).parsed, [1, 'two']);
+});
+
+test('rejects malformed input', () => {
+	const bytes = encode(['abc', 1]);
+
+	const invalid = [
+		new Uint8Array(0),
+		new Uint8Array([0x44, 0x56, 99, 0, 0]),
+		bytes.subarray(0, bytes.length - 1),
+		new Uint8Array([...bytes, 0]),
+		new Uint8Array([0x44, 0x56, 1, 99, 0]),
+		new Uint8Array([0x44, 0x56, 1, 7, 0xff, 0xff, 0xff, 0x0f, 0]),
+		new Uint8Array([0x44, 0x56, 1, 5, 2, 0xc3, 0x28, 0])
+	];
+
+	for (const input of invalid) {
+		assert.throws(() => decode_binary(input), /Invalid input/);
+	}
+});
+
+test('reports the offset of malformed input', () => {
+	const bytes = encode(['abc', 1]);
+
+	/** @param {Uint8Array} input */
+	function offset_of(input) {
+		try {
+			decode_binary(input);
+			assert.unreachable('should have thrown');
+		} catch (e) {
+			assert.equal(e.name, 'DevalueParseError');
+			assert.equal(e.code, 'INVALID_INPUT');
+			return e.offset;
+		}
+	}
+
+	assert.equal(offset_of(new Uint8Array([0x44, 0x56, 99, 0, 0])), 2);
+	assert.equal(offset_of(bytes.subarray(0, bytes.length - 1)), bytes.length - 1);
+	assert.equal(offset_of(new Uint8Array([...bytes, 0])), bytes.length);
+	assert.equal(offset_of(new Uint8Array([0x44, 0x56, 1, 99, 0])), 3);
+	assert.equal(offset_of(new Uint8Array([0x44, 0x56, 1, 5, 2, 0xc3, 0x28, 0])), 5);
+});
+
+test('handles deep nesting', () => {
+	const depth = 100000;
+	const bytes = new Uint8Array(3 + depth * 2 + 1);
+
+	bytes.set([0x44, 0x56, 1]);
+	for (let i = 0; i < depth; i += 1) bytes.set([7, 1], 3 + i * 2);
+
+	// the innermost array is empty, followed by a buffer count of zero
+	bytes.set([7, 0], 3 + (depth - 1) * 2);
+
+	let { parsed } = decode_binary(bytes);
+	for (let i = 1; i < depth; i += 1) parsed = parsed[0];
+
+	assert.equal(parsed, []);
+});
+
+test.run();
@@ -0,0 +1,581 @@
+import { SPARSE } from './constants.js';
+import { create_digest } from './digest.js';
+import { strip_comments } from './json.js';
+import { create_hydrator, read_json } from './parse.js';
+import { get_slots, hash } from './stringify.js';
+import {
+	DevalueParseError,
+	get_type,
+	is_valid_array_index,
+	is_valid_array_len,
+	refs_of
+} from './utils.js';
+
+/*
+ * A delta is a JSON array of the form `[base, slots, ...operations]`, where
+ * `base` is the digest of the previous output, as returned by `hash`, and
+ * `slots` are new slots, numbered on from the slots of the previous output.
+ * Slots before them are values that the target already contains. Each
+ * operation updates one of them in place:
+ *
+ *   ["=", target, key, value]    target[key] = value
+ *   ["-", target, key]           delete target[key]
+ *   ["length", target, length]   target.length = length
+ *   ["add", target, value]       target.add(value)
+ *   ["remove", target, value]    target.delete(value)
+ *   ["set", target, key, value]  target.set(key, value)
+ *   ["unset", target, key]       target.delete(key)
+ *   ["root", value]              the root is replaced with value
+ *
+ * Keys are property names or array indices, except that symbol keys of
+ * non-array objects are written as the slot that contains the symbol.
+ */
+
+/**
+ * Compute a delta that turns the value serialized as `previous` into the
+ * value serialized as `next`, for `devalue.patch`. Values are matched up by
+ * where they are in the graph, so that unchanged objects, arrays, `Set`s
+ * and `Map`s (and class instances) are updated in place rather than
+ * replaced. Both values must have been serialized with the `canonical`
+ * option, so that `patch` can tell which values the delta refers to
+ * @param {string} previous - the output of `devalue.stringify`
+ * @param {string} next - the output of `devalue.stringify`
+ * @returns {string}
+ */
+export function diff(previous, next) {
+	const parsed_previous = read_json(previous, 0, true);
+	const parsed_next = read_json(next, 0, true);
+
+	/** @type {any[]} */
+	const before = typeof parsed_previous === 'number' ? [] : parsed_previous;
+
+	/** @type {any[]} */
+	const after = typeof parsed_next === 'number' ? [] : parsed_next;
+
+	if (!Array.isArray(before) || !Array.isArray(after)) {
+		throw new DevalueParseError('Invalid input', 'INVALID_INPUT');
+	}
+
+	const root_before = typeof parsed_previous === 'number' ? parsed_previous : 0;
+	const root_after = typeof parsed_next === 'number' ? parsed_next : 0;
+
+	/**
+	 * Slots of `after` that correspond to slots of `before`, and vice versa
+	 * @type {Map<number, number>}
+	 */
+	const matched = new Map();
+
+	/** @type {Map<number, number>} */
+	const matched_by = new Map();
+
+	/**
+	 * Matched pairs of slots, in the order they were matched
+	 * @type {Array<[number, number]>}
+	 */
+	const pairs = [];
+
+	/**
+	 * Matches up slots whose values are structurally identical, such that
+	 * every slot they refer to can be matched up too. Tentative matches are
+	 * recorded into `trial`, and only kept if the whole subgraph matches
+	 * @param {number} i
+	 * @param {number} j
+	 * @param {{ matched: Map<number, number>, matched_by: Map<number, number> }} trial
+	 * @returns {boolean}
+	 */
+	function same(i, j, trial) {
+		if (i < 0 || j < 0) return i === j;
+
+		const existing = matched.get(j) ?? trial.matched.get(j);
+		if (existing !== undefined) return existing === i;
+		if (matched_by.has(i) || trial.matched_by.has(i)) return false;
+
+		const a = before[i];
+		const b = after[j];
+
+		if (typeof a !== 'object' || a === null || typeof b !== 'object' || b === null) {
+			if (a !== b) return false;
+		} else if (kind_of(a) !== kind_of(b) || Array.isArray(a) !== Array.isArray(b)) {
+			return false;
+		}
+
+		trial.matched.set(j, i);
+		trial.matched_by.set(i, j);
+
+		if (typeof a !== 'object' || a === null) return true;
+
+		const keys = Object.keys(a);
+		if (keys.length !== Object.keys(b).length) return false;
+
+		const refs = new Set(refs_of(a));
+
+		for (const key of keys) {
+			if (!Object.hasOwn(b, key)) return false;
+
+			if (refs.has(Array.isArray(a) ? +key : key)) {
+				if (typeof b[key] !== 'number' || !same(a[key], b[key], trial)) return false;
+			} else if (a[key] !== b[key]) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Matches up `i` and `j` if possible — values that are updated in place
+	 * only need to be of the same kind, others need to be identical
+	 * @param {number} i
+	 * @param {number} j
+	 */
+	function match(i, j) {
+		if (i < 0 || j < 0 || matched.has(j) || matched_by.has(i)) return;
+
+		if (!Object.hasOwn(before, i) || !Object.hasOwn(after, j)) {
+			throw new DevalueParseError('Invalid input', 'INVALID_INPUT');
+		}
+
+		const kind = kind_of(before[i]);
+
+		if (is_mutable(kind)) {
+			if (kind === kind_of(after[j])) {
+				matched.set(j, i);
+				matched_by.set(i, j);
+				pairs.push([i, j]);
+			}
+
+			return;
+		}
+
+		const trial = { matched: new Map(), matched_by: new Map() };
+
+		if (same(i, j, trial)) {
+			for (const [j, i] of trial.matched) {
+				matched.set(j, i);
+				matched_by.set(i, j);
+				pairs.push([i, j]);
+			}
+		}
+	}
+
+	/**
+	 * Finds the slot of `before` that `j` should be matched up with, among
+	 * the members of a `Set` (or keys of a `Map`)
+	 * @param {number[]} candidates
+	 * @param {number} j
+	 */
+	function find(candidates, j) {
+		const existing = matched.get(j);
+		if (existing !== undefined) return candidates.includes(existing) ? existing : undefined;
+
+		for (const i of candidates) {
+			if (i === j && i < 0) return i;
+			if (i < 0 || j < 0 || matched_by.has(i)) continue;
+
+			const trial = { matched: new Map(), matched_by: new Map() };
+			if (same(i, j, trial)) return i;
+		}
+	}
+
+	match(root_before, root_after);
+
+	// match up the contents of values that are updated in place, breadth-first
+	for (let p = 0; p < pairs.length; p += 1) {
+		const [i, j] = pairs[p];
+		const kind = kind_of(before[i]);
+
+		if (kind === 'Set') {
+			const members = before[i].slice(1);
+
+			for (const member of after[j].slice(1)) {
+				const found = find(members, member);
+				if (found !== undefined) match(found, member);
+			}
+		} else if (kind === 'Map') {
+			const entries = new Map(pairs_of(before[i], 1));
+			const keys = [...entries.keys()];
+
+			for (const [key, value] of pairs_of(after[j], 1)) {
+				const found = find(keys, key);
+
+				if (found !== undefined) {
+					match(found, key);
+					match(entries.get(found), value);
+				}
+			}
+		} else if (is_mutable(kind)) {
+			const properties = properties_of(before, i);
+
+			for (const [name, { key, value }] of properties_of(after, j)) {
+				const property = properties.get(name);
+				if (!property) continue;
+
+				// symbol keys are slots too
+				if (kind !== 'array' && typeof key === 'number') {
+					match(/** @type {number} */ (property.key), key);
+				}
+
+				match(property.value, value);
+			}
+		}
+	}
+
+	/** @type {any[]} */
+	const slots = [];
+
+	/** @type {Map<number, number>} */
+	const created = new Map();
+
+	/**
+	 * Returns the index that refers to the value in slot `j` of `after` —
+	 * the slot of `before` it was matched up with, or a new slot
+	 * @param {number} j
+	 * @returns {number}
+	 */
+	function resolve(j) {
+		if (j < 0) return j;
+
+		const existing = matched.get(j) ?? created.get(j);
+		if (existing !== undefined) return existing;
+
+		if (!Object.hasOwn(after, j)) throw new DevalueParseError('Invalid input', 'INVALID_INPUT');
+
+		const index = before.length + slots.length;
+		created.set(j, index);
+
+		const value = after[j];
+		const copy =
+			typeof value !== 'object' || value === null
+				? value
+				: Array.isArray(value)
+					? value.slice()
+					: { ...value };
+
+		slots.push(copy);
+
+		for (const key of refs_of(value)) {
+			copy[key] = resolve(value[key]);
+		}
+
+		return index;
+	}
+
+	/** @type {any[]} */
+	const operations = [];
+
+	if (matched.get(root_after) !== root_before && !(root_after < 0 && root_after === root_before)) {
+		operations.push(['root', resolve(root_after)]);
+	}
+
+	for (const [i, j] of pairs) {
+		const kind = kind_of(before[i]);
+
+		if (kind === 'Set') {
+			const members = new Set(before[i].slice(1));
+			const kept = new Set();
+
+			for (const member of after[j].slice(1)) {
+				const index = resolve(member);
+				kept.add(index);
+				if (!members.has(index)) operations.push(['add', i, index]);
+			}
+
+			for (const member of members) {
+				if (!kept.has(member)) operations.push(['remove', i, member]);
+			}
+		} else if (kind === 'Map') {
+			const entries = new Map(pairs_of(before[i], 1));
+			const kept = new Set();
+
+			for (const [key, value] of pairs_of(after[j], 1)) {
+				const k = resolve(key);
+				const v = resolve(value);
+				kept.add(k);
+				if (!entries.has(k) || entries.get(k) !== v) operations.push(['set', i, k, v]);
+			}
+
+			for (const key of entries.keys()) {
+				if (!kept.has(key)) operations.push(['unset', i, key]);
+			}
+		} else if (is_mutable(kind)) {
+			const properties = properties_of(before, i);
+			const updated = properties_of(after, j);
+
+			const length = kind === 'array' ? length_of(after[j]) : Infinity;
+
+			if (kind === 'array' && length !== length_of(before[i])) {
+				operations.push(['length', i, length]);
+			}
+
+			for (const [name, { key }] of properties) {
+				// items past the new end of an array are removed by setting its length
+				if (!updated.has(name) && !(/** @type {number} */ (key) >= length)) {
+					operations.push(['-', i, key]);
+				}
+			}
+
+			for (const [name, { key, value }] of updated) {
+				const index = resolve(value);
+				const k = typeof key === 'number' && kind !== 'array' ? resolve(key) : key;
+
+				if (properties.get(name)?.value !== index) operations.push(['=', i, k, index]);
+			}
+		}
+	}
+
+	// the digest is that of the previous output without any formatting, which
+	// is what `hash` returns for the value it was serialized from
+	const base = create_digest();
+	base.update(strip_comments(previous, true));
+
+	return JSON.stringify([base.digest(), slots, ...operations]);
+}
+
+/**
+ * Applies a delta created with `devalue.diff` to `target`, which must be
+ * the result of parsing the first of the two values that were compared (or
+ * of patching a value into it). Unchanged objects keep their identity, and
+ * changed ones are updated in place. Returns the new root, which is
+ * `target` unless the root itself was replaced
+ * @param {any} target
+ * @param {string} delta
+ * @param {Record<string, (value: any) => any>} [revivers]
+ * @param {import('./types.js').PatchOptions} [options]
+ * @returns {any}
+ */
+export function patch(target, delta, revivers, options) {
+	const parsed = read_json(delta);
+
+	if (!Array.isArray(parsed) || typeof parsed[0] !== 'string' || !Array.isArray(parsed[1])) {
+		throw new DevalueParseError('Invalid input', 'INVALID_INPUT');
+	}
+
+	const [base, slots, ...operations] = parsed;
+
+	if (hash(target, options?.reducers, { classes: options?.classes }) !== base) {
+		throw new DevalueParseError('Delta does not apply to this value', 'STALE_DELTA');
+	}
+
+	// canonical output doesn't depend on insertion order, so walking the
+	// target numbers its values the same way the server numbered them
+	const existing = get_slots(target, options?.reducers, {
+		classes: options?.classes,
+		canonical: true,
+		stack: true
+	});
+
+	// existing slots are revived already, but the types of some of the slots
+	// that new slots refer to are checked, so they need to be described
+	const values = existing.map(describe);
+	for (const slot of slots) values.push(slot);
+
+	const hydrate = create_hydrator(values, revivers, options, undefined, undefined, existing);
+
+	/**
+	 * @param {any} index
+	 * @returns {any}
+	 */
+	function get_target(index) {
+		const value = existing[index];
+
+		if (!Number.isInteger(index) || index < 0 || typeof value !== 'object' || value === null) {
+			throw new DevalueParseError('Invalid input', 'INVALID_INPUT');
+		}
+
+		return value;
+	}
+
+	/**
+	 * @param {any} object
+	 * @param {any} key
+	 */
+	function get_key(object, key) {
+		if (Array.isArray(object)) {
+			if (!is_valid_array_index(key)) throw new DevalueParseError('Invalid input', 'INVALID_INPUT');
+			return key;
+		}
+
+		if (typeof key === 'number') {
+			const symbol = hydrate(key);
+			if (typeof symbol !== 'symbol') throw new DevalueParseError('Invalid input', 'INVALID_INPUT');
+			return symbol;
+		}
+
+		if (typeof key !== 'string') throw new DevalueParseError('Invalid input', 'INVALID_INPUT');
+
+		if (key === '__proto__') {
+			throw new DevalueParseError(
+				'Cannot parse an object with a `__proto__` property',
+				'PROTO_PROPERTY'
+			);
+		}
+
+		return key;
+	}
+
+	let root = target;
+
+	for (const operation of operations) {
+		if (!Array.isArray(operation)) throw new DevalueParseError('Invalid input', 'INVALID_INPUT');
+
+		const [type, index, a, b] = operation;
+
+		switch (type) {
+			case '=': {
+				const object = get_target(index);
+				object[get_key(object, a)] = hydrate(b);
+				break;
+			}
+
+			case '-': {
+				const object = get_target(index);
+				delete object[get_key(object, a)];
+				break;
+			}
+
+			case 'length': {
+				const array = get_target(index);
+				if (!Array.isArray(array) || !is_valid_array_len(a)) {
+					throw new DevalueParseError('Invalid input', 'INVALID_INPUT');
+				}
+				array.length = a;
+				break;
+			}
+
+			case 'add':
+			case 'remove': {
+				const set = get_target(index);
+				if (!(set instanceof Set)) throw new DevalueParseError('Invalid input', 'INVALID_INPUT');
+				if (type === 'add') set.add(hydrate(a));
+				else set.delete(hydrate(a));
+				break;
+			}
+
+			case 'set':
+			case 'unset': {
+				const map = get_target(index);
+				if (!(map instanceof Map)) throw new DevalueParseError('Invalid input', 'INVALID_INPUT');
+				if (type === 'set') map.set(hydrate(a), hydrate(b));
+				else map.delete(hydrate(a));
+				break;
+			}
+
+			case 'root':
+				root = index < 0 ? hydrate(index, true) : hydrate(index);
+				break;
+
+			default:
+				throw new DevalueParseError('Invalid input', 'INVALID_INPUT');
+		}
+	}
+
+	return root;
+}
+
+/**
+ * Describes an existing value the way it would be serialized, to the extent
+ * that the types of referenced slots are checked while reviving
+ * @param {any} value
+ */
+function describe(value) {
+	if (typeof value === 'symbol') {
+		return [Symbol.keyFor(value) === undefined ? 'WellKnownSymbol' : 'Symbol'];
+	}
+
+	if (typeof value === 'bigint') return ['BigInt'];
+	if (typeof value === 'object' && value !== null) return [get_type(value)];
+
+	return value;
+}
+
+/**
+ * Returns the kind of value a slot contains. Slots can only be matched up
+ * with slots of the same kind
+ * @param {any} value
+ * @returns {string}
+ */
+function kind_of(value) {
+	if (typeof value !== 'object' || value === null) return 'primitive';
+	if (!Array.isArray(value)) return 'object';
+	if (typeof value[0] !== 'string') return 'array';
+	if (value[0] === 'object') return 'object';
+	if (value[0] === 'Class') return `Class ${value[1]}`;
+	return value[0];
+}
+
+/**
+ * Whether values of the given kind are updated in place
+ * @param {string} kind
+ */
+function is_mutable(kind) {
+	return (
+		kind === 'object' ||
+		kind === 'null' ||
+		kind === 'array' ||
+		kind === 'Set' ||
+		kind === 'Map' ||
+		kind.startsWith('Class ')
+	);
+}
+
+/**
+ * Returns the key/value pairs of a tagged slot, starting at `start`
+ * @param {any[]} value
+ * @param {number} start
+ * @returns {Array<[any, any]>}
+ */
+function pairs_of(value, start) {
+	/** @type {Array<[any, any]>} */
+	const pairs = [];
+
+	for (let i = start; i < value.length; i += 2) {
+		pairs.push([value[i], value[i + 1]]);
+	}
+
+	return pairs;
+}
+
+/**
+ * Returns the properties of an object, array or class instance slot, keyed
+ * by a name that identifies them across both sets of slots — string keys
+ * are prefixed with `.`, array indices with `#`, and symbol keys are
+ * described by the slot containing the symbol
+ * @param {any[]} values
+ * @param {number} index
+ * @returns {Map<string, { key: string | number, value: number }>}
+ */
+function properties_of(values, index) {
+	const value = values[index];
+
+	/** @type {Map<string, { key: string | number, value: number }>} */
+	const properties = new Map();
+
+	if (!Array.isArray(value)) {
+		for (const key of Object.keys(value)) properties.set(`.${key}`, { key, value: value[key] });
+	} else if (typeof value[0] !== 'string') {
+		if (value[0] === SPARSE) {
+			for (const [key, item] of pairs_of(value, 2)) {
+				properties.set(`#${key}`, { key, value: item });
+			}
+		} else {
+			value.forEach((item, key) => {
+				if (item !== -2) properties.set(`#${key}`, { key, value: item });
+			});
+		}
+	} else {
+		for (const [key, item] of pairs_of(value, value[0] === 'Class' ? 2 : 1)) {
+			const name = typeof key === 'number' ? `@${JSON.stringify(values[key])}` : `.${key}`;
+			properties.set(name, { key, value: item });
+		}
+	}
+
+	return properties;
+}
+
+/**
+ * Returns the length of an array slot
+ * @param {any[]} value
+ */
+function length_of(value) {
+	return value[0] === SPARSE ? value[1] : value.length;
+}
@@ -0,0 +1,41 @@
+/*
+ * A streaming version of cyrb128, a fast non-cryptographic 128-bit string
+ * hash (https://github.com/bryc/code/blob/master/jshash/PRNGs.md). Strings
+ * are fed in as UTF-16 code units, so hashing a string in pieces gives the
+ * same digest as hashing it in one go.
+ */
+
+export function create_digest() {
+	let h1 = 1779033703;
+	let h2 = 3144134277;
+	let h3 = 1013904242;
+	let h4 = 2773480762;
+
+	return {
+		/** @param {string} string */
+		update(string) {
+			for (let i = 0; i < string.length; i += 1) {
+				const k = string.charCodeAt(i);
+				h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+				h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+				h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+				h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+			}
+		},
+
+		/** @returns {string} the digest, as 32 hexadecimal digits */
+		digest() {
+			let a = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+			let b = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+			let c = Math.imul(a ^ (h3 >>> 17), 951274213);
+			let d = Math.imul(b ^ (h4 >>> 19), 2716044179);
+
+			a ^= b ^ c ^ d;
+			b ^= a;
+			c ^= a;
+			d ^= a;
+
+			return [a, b, c, d].map((n) => (n >>> 0).toString(16).padStart(8, '0')).join('');
+		}
+	};
+}
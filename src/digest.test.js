@@ -0,0 +1,34 @@
+import * as assert from 'uvu/assert';
+import { suite } from 'uvu';
+import { create_digest } from './digest.js';
+
+/** @param {string[]} pieces */
+function digest(...pieces) {
+	const hash = create_digest();
+	for (const piece of pieces) hash.update(piece);
+	return hash.digest();
+}
+
+const test = suite('create_digest');
+
+test('produces 32 hexadecimal digits', () => {
+	assert.match(digest(''), /^[0-9a-f]{32}$/);
+	assert.match(digest('中文😎'), /^[0-9a-f]{32}$/);
+});
+
+test('is stable', () => {
+	assert.equal(digest(''), '027ae52ecfc796215593990d4b41437c');
+	assert.equal(digest('[{"a":1},2]'), '43f48ac0b965501b264ec3f4c2f0691d');
+});
+
+test('does not depend on how the input is split up', () => {
+	assert.equal(digest('[{"a":1}', ',', '2]'), digest('[{"a":1},2]'));
+	assert.equal(digest('', 'a', ''), digest('a'));
+});
+
+test('distinguishes similar inputs', () => {
+	const inputs = ['', 'a', 'b', 'ab', 'ba', '[1]', '[2]', '[1,2]', '[2,1]'];
+	assert.equal(new Set(inputs.map((input) => digest(input))).size, inputs.length);
+});
+
+test.run();
@@ -0,0 +1,287 @@
+import {
+	HOLE,
+	NAN,
+	NEGATIVE_INFINITY,
+	NEGATIVE_ZERO,
+	POSITIVE_INFINITY,
+	SPARSE,
+	UNDEFINED
+} from './constants.js';
+import { read_json } from './parse.js';
+import { DevalueParseError, refs_of } from './utils.js';
+
+/** @type {Map<number, string>} */
+const sentinels = new Map([
+	[UNDEFINED, 'undefined'],
+	[NAN, 'NaN'],
+	[POSITIVE_INFINITY, 'Infinity'],
+	[NEGATIVE_INFINITY, '-Infinity'],
+	[NEGATIVE_ZERO, '-0']
+]);
+
+/** Tags whose values are primitives, so are never labelled when shared */
+const primitive_tags = new Set(['BigInt', 'Symbol', 'WellKnownSymbol']);
+
+const is_identifier = /^[a-zA-Z_$][a-zA-Z_$0-9]*$/;
+
+const INDENT = '  ';
+
+/**
+ * Turns the output of `devalue.stringify` into an indented tree, for
+ * reading rather than reviving. Nothing is revived, so no revivers are
+ * needed: custom types are shown as `<Tag …>`, like built-in ones, and
+ * values that are reached more than once (including through a cycle) are
+ * labelled with the index of their slot, such as `#3`, and then referred
+ * to by it. References to slots that don't exist are shown as
+ * `<invalid 7>`, so that broken payloads can be inspected too. The comments
+ * written by the `annotate` option of `stringify` are ignored
+ * @param {string} serialized
+ * @returns {string}
+ */
+export function inspect(serialized) {
+	const parsed = read_json(serialized, 0, true);
+
+	if (typeof parsed === 'number' && sentinels.has(parsed)) {
+		return /** @type {string} */ (sentinels.get(parsed));
+	}
+
+	if (!Array.isArray(parsed) || parsed.length === 0) {
+		throw new DevalueParseError('Invalid input', 'INVALID_INPUT');
+	}
+
+	/** @type {any[]} */
+	const values = parsed;
+	const shared = find_shared(values);
+
+	/** @type {Set<number>} */
+	const printed = new Set();
+
+	/**
+	 * @param {any} reference
+	 * @param {string} indent
+	 * @returns {string}
+	 */
+	function print(reference, indent) {
+		if (sentinels.has(reference)) return /** @type {string} */ (sentinels.get(reference));
+
+		if (!Number.isInteger(reference) || reference < 0 || reference >= values.length) {
+			return `<invalid ${JSON.stringify(reference)}>`;
+		}
+
+		const value = values[reference];
+		if (typeof value !== 'object' || value === null) return JSON.stringify(value);
+
+		if (!shared.has(reference)) return print_slot(value, indent);
+		if (printed.has(reference)) return `#${reference}`;
+
+		printed.add(reference);
+		return `#${reference} ${print_slot(value, indent)}`;
+	}
+
+	/**
+	 * @param {any} value
+	 * @param {string} indent
+	 * @returns {string}
+	 */
+	function print_slot(value, indent) {
+		const inner = indent + INDENT;
+
+		if (!Array.isArray(value)) {
+			const lines = Object.keys(value).map(
+				(key) => `${print_key(key)}: ${print(value[key], inner)}`
+			);
+
+			return block('{', lines, '}', indent);
+		}
+
+		const type = value[0];
+
+		if (typeof type !== 'string') {
+			return block('[', print_items(value, inner), ']', indent);
+		}
+
+		/**
+		 * Prints the key/value pairs of the slot from `start` onwards
+		 * @param {number} start
+		 * @param {(key: any) => string} key_of
+		 * @param {(item: any) => string} [item_of]
+		 */
+		const pairs = (start, key_of, item_of = (item) => print(item, inner)) => {
+			const lines = [];
+
+			for (let i = start; i < value.length; i += 2) {
+				lines.push(`${key_of(value[i])}: ${item_of(value[i + 1])}`);
+			}
+
+			return block('{', lines, '}', indent);
+		};
+
+		switch (type) {
+			case 'object':
+				// symbol keys refer to the slot containing the symbol
+				return pairs(1, (key) =>
+					typeof key === 'number' ? `[${print(key, inner)}]` : print_key(key)
+				);
+
+			case 'null':
+				return `<null ${pairs(1, print_key)}>`;
+
+			case 'Set':
+			case 'AsyncIterable':
+			case 'ReadableStream': {
+				const lines = value.slice(1).map((item) => print(item, inner));
+				return `<${type} ${block('[', lines, ']', indent)}>`;
+			}
+
+			case 'Map': {
+				const lines = [];
+
+				for (let i = 1; i < value.length; i += 2) {
+					lines.push(`${print(value[i], inner)} => ${print(value[i + 1], inner)}`);
+				}
+
+				return `<Map ${block('{', lines, '}', indent)}>`;
+			}
+
+			case 'Class':
+				return `<Class ${value[1]} ${pairs(2, print_key)}>`;
+
+			case 'Error':
+			case 'DOMException': {
+				const name = type === 'Error' ? value[1] : JSON.stringify(value[1]);
+				const head = `<${type} ${name} ${JSON.stringify(value[2])}`;
+				if (value.length === 3) return `${head}>`;
+
+				// the name and stack are written inline, rather than as references
+				return `${head} ${pairs(3, print_key, (item) =>
+					typeof item === 'string' ? JSON.stringify(item) : print(item, inner)
+				)}>`;
+			}
+
+			case 'Headers':
+				return `<Headers ${pairs(1, JSON.stringify, JSON.stringify)}>`;
+
+			case 'FormData':
+				return `<FormData ${pairs(1, JSON.stringify)}>`;
+		}
+
+		// anything else is a list of references and data, such as the buffer,
+		// offset and length of a typed array, or the payload of a custom type
+		const references = new Set(refs_of(value));
+		let result = `<${type}`;
+
+		for (let i = 1; i < value.length; i += 1) {
+			const item = value[i];
+
+			result +=
+				references.has(i) && typeof item === 'number'
+					? ` ${print(item, indent)}`
+					: ` ${JSON.stringify(item)}`;
+		}
+
+		return `${result}>`;
+	}
+
+	/**
+	 * Prints the items of an array slot, collapsing runs of holes
+	 * @param {any[]} value
+	 * @param {string} indent
+	 */
+	function print_items(value, indent) {
+		/** @type {string[]} */
+		const lines = [];
+		let holes = 0;
+
+		/** @param {number} count */
+		const skip = (count) => {
+			if (count > 0) lines.push(`<${count} empty item${count === 1 ? '' : 's'}>`);
+		};
+
+		if (value[0] === SPARSE) {
+			let next = 0;
+
+			for (let i = 2; i < value.length; i += 2) {
+				skip(value[i] - next);
+				lines.push(print(value[i + 1], indent));
+				next = value[i] + 1;
+			}
+
+			skip(value[1] - next);
+			return lines;
+		}
+
+		for (const item of value) {
+			if (item === HOLE) {
+				holes += 1;
+				continue;
+			}
+
+			skip(holes);
+			holes = 0;
+			lines.push(print(item, indent));
+		}
+
+		skip(holes);
+		return lines;
+	}
+
+	return print(0, '');
+}
+
+/**
+ * Returns the indices of the slots that are reached from the root more than
+ * once, other than those holding primitives
+ * @param {any[]} values
+ * @returns {Set<number>}
+ */
+function find_shared(values) {
+	/** @type {Map<number, number>} */
+	const counts = new Map([[0, 1]]);
+	const stack = [0];
+
+	/** @type {Set<number>} */
+	const shared = new Set();
+
+	while (stack.length > 0) {
+		const value = values[/** @type {number} */ (stack.pop())];
+		if (typeof value !== 'object' || value === null) continue;
+
+		for (const key of refs_of(value)) {
+			const reference = value[key];
+			if (!Number.isInteger(reference) || reference < 0 || reference >= values.length) continue;
+
+			const count = (counts.get(reference) ?? 0) + 1;
+			counts.set(reference, count);
+
+			if (count === 1) {
+				stack.push(reference);
+			} else if (is_labelled(values[reference])) {
+				shared.add(reference);
+			}
+		}
+	}
+
+	return shared;
+}
+
+/** @param {any} value */
+function is_labelled(value) {
+	if (typeof value !== 'object' || value === null) return false;
+	return !(Array.isArray(value) && primitive_tags.has(value[0]));
+}
+
+/** @param {string} key */
+function print_key(key) {
+	return is_identifier.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * @param {string} open
+ * @param {string[]} lines
+ * @param {string} close
+ * @param {string} indent
+ */
+function block(open, lines, close, indent) {
+	if (lines.length === 0) return open + close;
+	return `${open}\n${indent}${INDENT}${lines.join(`,\n${indent}${INDENT}`)}\n${indent}${close}`;
+}
@@ -0,0 +1,293 @@
+/*
+ * `JSON.parse` reports where a syntax error is in a different way in every
+ * engine (and, in V8, only for some errors), so the offset is found by
+ * scanning the input again. This only happens once parsing has failed, so
+ * the scanner is written for brevity rather than speed.
+ *
+ * The other helpers rewrite JSON without decoding it, which would lose the
+ * escaping of characters such as `<` that `stringify` relies on.
+ */
+
+const number = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const hex = /[0-9a-fA-F]{4}/y;
+
+/**
+ * Returns the offset of the first character of `json` that makes it invalid
+ * JSON — which is `json.length` if it ends too soon — or -1 if it is valid
+ * @param {string} json
+ * @param {boolean} [comments] - whether to skip `//` comments, as written by the `annotate`
+ * option of `stringify`
+ * @returns {number}
+ */
+export function find_syntax_error(json, comments = false) {
+	/** @type {string[]} the closing brackets of the containers the scanner is inside */
+	const closers = [];
+	let i = 0;
+
+	function skip_whitespace() {
+		while (i < json.length) {
+			const char = json[i];
+
+			if (char === ' ' || char === '\t' || char === '\n' || char === '\r') {
+				i += 1;
+			} else if (comments && char === '/' && json[i + 1] === '/') {
+				const end = json.indexOf('\n', i);
+				i = end === -1 ? json.length : end;
+			} else {
+				break;
+			}
+		}
+	}
+
+	function scan_string() {
+		if (json[i] !== '"') return false;
+		i += 1;
+
+		while (i < json.length) {
+			const char = json[i];
+
+			if (char === '"') {
+				i += 1;
+				return true;
+			}
+
+			if (char < ' ') return false;
+
+			if (char === '\\') {
+				const escaped = json[i + 1];
+
+				if (escaped === 'u') {
+					hex.lastIndex = i + 2;
+					if (!hex.test(json)) return false;
+					i += 6;
+				} else if (escaped !== undefined && '"\\/bfnrt'.includes(escaped)) {
+					i += 2;
+				} else {
+					return false;
+				}
+			} else {
+				i += 1;
+			}
+		}
+
+		return false;
+	}
+
+	/** Scans a string, a colon and the whitespace around them */
+	function scan_key() {
+		skip_whitespace();
+		if (!scan_string()) return false;
+
+		skip_whitespace();
+		if (json[i] !== ':') return false;
+
+		i += 1;
+		return true;
+	}
+
+	function scan_primitive() {
+		if (json[i] === '"') return scan_string();
+
+		for (const literal of ['true', 'false', 'null']) {
+			if (json[i] === literal[0]) {
+				for (const char of literal) {
+					if (json[i] !== char) return false;
+					i += 1;
+				}
+
+				return true;
+			}
+		}
+
+		number.lastIndex = i;
+		if (!number.test(json)) return false;
+
+		i = number.lastIndex;
+		return true;
+	}
+
+	// the scanner is iterative rather than recursive, since `JSON.parse` can
+	// handle deeper nesting than the call stack can
+	value: while (true) {
+		skip_whitespace();
+		const char = json[i];
+
+		if (char === '[' || char === '{') {
+			const closer = char === '[' ? ']' : '}';
+			i += 1;
+			skip_whitespace();
+
+			if (json[i] === closer) {
+				i += 1;
+			} else {
+				closers.push(closer);
+				if (closer === '}' && !scan_key()) return i;
+				continue;
+			}
+		} else if (!scan_primitive()) {
+			return i;
+		}
+
+		// a value has ended, so it must be followed by a comma, a closing
+		// bracket or — at the top level — nothing at all
+		while (true) {
+			skip_whitespace();
+
+			if (closers.length === 0) return i < json.length ? i : -1;
+
+			const closer = closers[closers.length - 1];
+
+			if (json[i] === ',') {
+				i += 1;
+				if (closer === '}' && !scan_key()) return i;
+				continue value;
+			}
+
+			if (json[i] !== closer) return i;
+
+			closers.pop();
+			i += 1;
+		}
+	}
+}
+
+/**
+ * Returns the index just past the end of the string starting at `start`
+ * @param {string} json
+ * @param {number} start - the index of the opening quote
+ */
+export function skip_string(json, start) {
+	let i = start + 1;
+
+	while (i < json.length && json[i] !== '"') {
+		i += json[i] === '\\' ? 2 : 1;
+	}
+
+	return i + 1;
+}
+
+/**
+ * Rewrites the items of a JSON array, or the values of a JSON object, that
+ * has no whitespace between its tokens
+ * @param {string} json
+ * @param {(item: string, position: number) => string} fn - called with the JSON of each item and
+ * its position among them
+ * @returns {string}
+ */
+export function map_items(json, fn) {
+	if (json.length === 2) return json;
+
+	const object = json[0] === '{';
+
+	let result = '';
+	let from = 0;
+	let start = 1;
+	let depth = 0;
+	let position = 0;
+
+	for (let i = 1; i < json.length; i += 1) {
+		const char = json[i];
+
+		if (char === '"') {
+			i = skip_string(json, i) - 1;
+		} else if (char === '[' || char === '{') {
+			depth += 1;
+		} else if (depth > 0) {
+			if (char === ']' || char === '}') depth -= 1;
+		} else if (char === ':' && object) {
+			start = i + 1;
+		} else if (char === ',' || i === json.length - 1) {
+			result += json.slice(from, start) + fn(json.slice(start, i), position++);
+			from = i;
+			start = i + 1;
+		}
+	}
+
+	return result + json.slice(from);
+}
+
+/**
+ * Removes the `//` comments written by the `annotate` option of `stringify`,
+ * leaving anything that looks like a comment inside a string alone
+ * @param {string} json
+ * @param {boolean} [whitespace] - whether to remove the whitespace between tokens too, as
+ * written by the `space` option
+ * @returns {string}
+ */
+export function strip_comments(json, whitespace = false) {
+	let result = '';
+	let start = 0;
+	let i = 0;
+
+	while (i < json.length) {
+		const char = json[i];
+
+		if (char === '"') {
+			i = skip_string(json, i);
+		} else if (whitespace && (char === ' ' || char === '\t' || char === '\n' || char === '\r')) {
+			result += json.slice(start, i);
+			i = start = i + 1;
+		} else if (char === '/' && json[i + 1] === '/') {
+			const end = json.indexOf('\n', i);
+
+			result += json.slice(start, i);
+			i = start = end === -1 ? json.length : end;
+		} else {
+			i += 1;
+		}
+	}
+
+	return result + json.slice(start);
+}
+
+/**
+ * Lays out JSON that has no whitespace between its tokens the way
+ * `JSON.stringify(value, null, space)` would, where `indent` is the
+ * indentation that `space` stands for
+ * @param {string} json
+ * @param {string} indent
+ * @returns {string}
+ */
+export function indent_json(json, indent) {
+	if (!indent) return json;
+
+	let result = '';
+	let line = '\n';
+	let start = 0;
+	let i = 0;
+
+	while (i < json.length) {
+		const char = json[i];
+
+		if (char === '"') {
+			i = skip_string(json, i);
+			continue;
+		}
+
+		if (char === '[' || char === '{') {
+			// empty arrays and objects stay on one line
+			if (json[i + 1] === (char === '[' ? ']' : '}')) {
+				i += 2;
+				continue;
+			}
+
+			line += indent;
+			result += json.slice(start, i + 1) + line;
+			start = i + 1;
+		} else if (char === ']' || char === '}') {
+			line = line.slice(0, -indent.length);
+			result += json.slice(start, i) + line;
+			start = i;
+		} else if (char === ',') {
+			result += json.slice(start, i + 1) + line;
+			start = i + 1;
+		} else if (char === ':') {
+			result += json.slice(start, i + 1) + ' ';
+			start = i + 1;
+		}
+
+		i += 1;
+	}
+
+	return result + json.slice(start);
+}
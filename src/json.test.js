@@ -0,0 +1,97 @@
+import * as assert from 'uvu/assert';
+import { suite } from 'uvu';
+import { find_syntax_error, indent_json, map_items, strip_comments } from './json.js';
+
+const test = suite('find_syntax_error');
+
+test('returns -1 for valid JSON', () => {
+	for (const json of [
+		'1',
+		' -1.5e+3 ',
+		'"a\\"\\u00e9\\n"',
+		'[]',
+		'{}',
+		'[1,"a",true,false,null,{"a":[{}]}]',
+		'{ "a" : 1 , "b" : [ 2 ] }'
+	]) {
+		assert.is(find_syntax_error(json), -1, json);
+		JSON.parse(json);
+	}
+});
+
+test('finds the offending character', () => {
+	assert.is(find_syntax_error(']['), 0);
+	assert.is(find_syntax_error('[1,}'), 3);
+	assert.is(find_syntax_error('[1,2,]'), 5);
+	assert.is(find_syntax_error('[01]'), 2);
+	assert.is(find_syntax_error('[1] x'), 4);
+	assert.is(find_syntax_error('{"a":tru}'), 8);
+	assert.is(find_syntax_error('{"a" 1}'), 5);
+	assert.is(find_syntax_error('{1:2}'), 1);
+	assert.is(find_syntax_error('{"a":1,}'), 7);
+	assert.is(find_syntax_error('["a\u0001"]'), 3);
+	assert.is(find_syntax_error('["\\x"]'), 2);
+	assert.is(find_syntax_error('["\\u12"]'), 2);
+});
+
+test('returns the length of truncated input', () => {
+	assert.is(find_syntax_error(''), 0);
+	assert.is(find_syntax_error('[1,2'), 4);
+	assert.is(find_syntax_error('{"a":'), 5);
+	assert.is(find_syntax_error('"abc'), 4);
+});
+
+test('skips comments if asked to', () => {
+	const json = '[\n\t// 0: (root)\n\t1\n]';
+
+	assert.is(find_syntax_error(json), 3);
+	assert.is(find_syntax_error(json, true), -1);
+	assert.is(find_syntax_error('[\n// x\n,]', true), 7);
+});
+
+test('handles deep nesting', () => {
+	const depth = 100000;
+	assert.is(find_syntax_error('['.repeat(depth) + ']'.repeat(depth)), -1);
+	assert.is(find_syntax_error('['.repeat(depth) + '}'), depth);
+});
+
+test.run();
+
+const rewriting = suite('rewriting');
+
+rewriting('strips comments outside strings', () => {
+	assert.is(strip_comments('[\n\t// 0: (root)\n\t"a"\n]'), '[\n\t\n\t"a"\n]');
+	assert.is(strip_comments('["// a","\\"// b"]'), '["// a","\\"// b"]');
+	assert.is(strip_comments('["a\u2028// b"]'), '["a\u2028// b"]');
+	assert.is(strip_comments('[1,// x'), '[1,');
+	assert.is(strip_comments('[\n\t// 0: (root)\n\t{ "a b": 1 }\n]', true), '[{"a b":1}]');
+});
+
+rewriting('indents like JSON.stringify', () => {
+	for (const value of [1, 'a', [], {}, [[], {}], { a: [1, { 'b:,': '[,]' }], c: {} }]) {
+		const json = JSON.stringify(value);
+
+		assert.is(indent_json(json, '  '), JSON.stringify(value, null, 2));
+		assert.is(indent_json(json, '\t'), JSON.stringify(value, null, '\t'));
+		assert.is(indent_json(json, ''), json);
+	}
+});
+
+rewriting('keeps escape sequences', () => {
+	assert.is(indent_json('["\\u003C/script>"]', '  '), '[\n  "\\u003C/script>"\n]');
+});
+
+rewriting('maps the items of arrays and the values of objects', () => {
+	/** @type {(item: string, position: number) => string} */
+	const mark = (item, position) => `<${position}:${item}>`;
+
+	assert.is(map_items('[]', mark), '[]');
+	assert.is(map_items('{}', mark), '{}');
+	assert.is(
+		map_items('[1,[2,3],"a,]",{"x":[1]}]', mark),
+		'[<0:1>,<1:[2,3]>,<2:"a,]">,<3:{"x":[1]}>]'
+	);
+	assert.is(map_items('{"a":1,"b:\\"":{"c":2}}', mark), '{"a":<0:1>,"b:\\"":<1:{"c":2}>}');
+});
+
+rewriting.run();
@@ -1,9 +1,16 @@
 import { MAX_ARRAY_INDEX } from './constants.js';
 import {
 	enumerable_symbols,
+	error_constructors,
+	get_error_keys,
+	get_error_kind,
+	get_symbol_info,
 	get_type,
+	is_detached,
+	is_length_tracking,
 	is_plain_object,
-	valid_array_indices
+	valid_array_indices,
+	well_known_symbols
 } from './utils.js';
 
 /**
@@ -58,12 +65,25 @@ const stringify_operations = {
 
 	toPrimitive: (value) => value,
 
+	symbolInfo: (symbol) => get_symbol_info(symbol),
+
 	tagOf: (value) => get_type(value),
 
+	prototypeOf: (value) => Object.getPrototypeOf(value),
+
+	keysOf: (value) => Object.keys(value),
+
 	isThenable: (value) => typeof value.then === 'function',
 
 	toPromise: (thenable) => Promise.resolve(thenable),
 
+	isAsyncIterable: (value) => typeof value[Symbol.asyncIterator] === 'function',
+
+	asyncValuesOf: (iterable) =>
+		typeof ReadableStream === 'function' && iterable instanceof ReadableStream
+			? read_stream(iterable)
+			: iterable,
+
 	unbox: (boxed) => boxed.valueOf(),
 
 	toISOString: (date) => (isNaN(date.getDate()) ? '' : date.toISOString()),
@@ -72,6 +92,47 @@ const stringify_operations = {
 
 	regExpInfo: (regexp) => ({ source: regexp.source, flags: regexp.flags }),
 
+	blobInfo: (blob) => ({
+		type: blob.type,
+		name: blob.name,
+		lastModified: blob.lastModified,
+		buffer: blob.arrayBuffer()
+	}),
+
+	requestInfo: (request) => ({
+		url: request.url,
+		method: request.method,
+		headers: request.headers,
+		bodyUsed: request.bodyUsed,
+		body: request.bodyUsed || request.body === null ? null : request.clone().arrayBuffer()
+	}),
+
+	responseInfo: (response) => ({
+		status: response.status,
+		statusText: response.statusText,
+		headers: response.headers,
+		bodyUsed: response.bodyUsed,
+		body: response.bodyUsed || response.body === null ? null : response.clone().arrayBuffer()
+	}),
+
+	errorInfo: (error) => {
+		const kind = get_error_kind(error);
+
+		/** @type {ReturnType<import('./types.js').StringifyOperations['errorInfo']>} */
+		const info = {
+			kind,
+			name: String(error.name),
+			message: String(error.message),
+			stack: typeof error.stack === 'string' ? error.stack : undefined,
+			keys: get_error_keys(error)
+		};
+
+		if (Object.hasOwn(error, 'cause')) info.cause = error.cause;
+		if (kind === 'AggregateError') info.errors = error.errors;
+
+		return info;
+	},
+
 	valuesOf: (set) => set,
 
 	entriesOf: (map) => map,
@@ -81,9 +142,19 @@ const stringify_operations = {
 		byteOffset: view.byteOffset,
 		byteLength: view.byteLength,
 		length: view.length,
-		bufferByteLength: view.buffer.byteLength
+		bufferByteLength: view.buffer.byteLength,
+		lengthTracking: is_length_tracking(view)
 	}),
 
+	bufferInfo: (buffer) => {
+		const { resizable, growable, maxByteLength } = /** @type {any} */ (buffer);
+
+		return {
+			detached: is_detached(buffer),
+			maxByteLength: resizable || growable ? maxByteLength : undefined
+		};
+	},
+
 	toArrayBuffer: (buffer) => buffer,
 
 	lengthOf: (array) => array.length,
@@ -94,11 +165,17 @@ const stringify_operations = {
 
 	shapeOf: (value) => {
 		if (!is_plain_object(value)) return NOT_PLAIN;
-		if (enumerable_symbols(value).length > 0) return SYMBOL_KEYS;
+
+		const symbols = enumerable_symbols(value);
+
+		for (const symbol of symbols) {
+			if (get_symbol_info(symbol).kind === 'unique') return SYMBOL_KEYS;
+		}
 
 		return {
 			kind: Object.getPrototypeOf(value) === null ? 'null-proto' : 'plain',
-			keys: Object.keys(value)
+			keys: Object.keys(value),
+			symbols
 		};
 	},
 
@@ -107,6 +184,25 @@ const stringify_operations = {
 
 export const default_stringify_operations = Object.freeze(stringify_operations);
 
+/**
+ * Iterates over the chunks of a `ReadableStream` without relying on it being
+ * async iterable, which not every runtime supports
+ * @param {ReadableStream} stream
+ */
+async function* read_stream(stream) {
+	const reader = stream.getReader();
+
+	try {
+		while (true) {
+			const { done, value } = await reader.read();
+			if (done) return;
+			yield value;
+		}
+	} finally {
+		reader.releaseLock();
+	}
+}
+
 /**
  * The default implementations of every construction operation `parse` and
  * `unflatten` perform while reviving a value. Each one uses native
@@ -136,10 +232,45 @@ const parse_operations = {
 		return Temporal[tag.slice(9)].from(text);
 	},
 
-	fromArrayBuffer: (buffer) => buffer,
+	fromArrayBuffer: (buffer, maxByteLength, shared) => {
+		const { resizable, growable } = /** @type {any} */ (buffer);
+
+		// out-of-band buffers may already be of the right kind
+		if (
+			get_type(buffer) === (shared ? 'SharedArrayBuffer' : 'ArrayBuffer') &&
+			(resizable || growable ? buffer.maxByteLength : undefined) === maxByteLength
+		) {
+			return buffer;
+		}
+
+		const Constructor = shared ? SharedArrayBuffer : ArrayBuffer;
+		const copy = new Constructor(
+			buffer.byteLength,
+			maxByteLength === undefined ? undefined : { maxByteLength }
+		);
+		new Uint8Array(copy).set(new Uint8Array(buffer));
+
+		return copy;
+	},
+
+	fromPromise: (promise) => promise,
 
 	fromRegExpInfo: (source, flags) => new RegExp(source, flags),
 
+	// `File` isn't a global in Node 18, where it is revived as a `Blob`
+	fromBlobInfo: (tag, buffer, type, name, lastModified) =>
+		tag === 'File' && typeof File === 'function'
+			? new File([buffer], /** @type {string} */ (name), { type, lastModified })
+			: new Blob([buffer], { type }),
+
+	fromRequestInfo: (url, method, headers, body) => new Request(url, { method, headers, body }),
+
+	fromResponseInfo: (status, statusText, headers, body) =>
+		new Response(body, { status, statusText, headers }),
+
+	fromSymbolInfo: (kind, key) =>
+		kind === 'registered' ? Symbol.for(key) : /** @type {symbol} */ (well_known_symbols.get(key)),
+
 	fromViewInfo: (tag, buffer, byteOffset, length) => {
 		const Constructor = /** @type {any} */ (globalThis)[tag];
 		return byteOffset !== undefined
@@ -177,6 +308,56 @@ const parse_operations = {
 
 	createMap: () => new Map(),
 
+	createHeaders: () => new Headers(),
+
+	createFormData: () => new FormData(),
+
+	createInstance: (constructor) => Object.create(constructor.prototype),
+
+	createError: (kind, message) => {
+		const constructor = /** @type {ErrorConstructor} */ (error_constructors.get(kind));
+		const error =
+			kind === 'AggregateError' ? new AggregateError([], message) : new constructor(message);
+
+		// the stack of the revived error would point here, which is misleading
+		delete error.stack;
+
+		return error;
+	},
+
+	createDOMException: (message, name) => {
+		const error = new DOMException(message, name);
+		delete error.stack;
+		return error;
+	},
+
+	defineErrorProperty: (error, key, value) => {
+		Object.defineProperty(error, key, {
+			value,
+			writable: true,
+			enumerable: false,
+			configurable: true
+		});
+	},
+
+	createAsyncIterable: (tag, values) => {
+		// `values` is populated after this returns, so it must be read lazily
+		if (tag === 'ReadableStream') {
+			return new ReadableStream({
+				pull(controller) {
+					for (const value of values) controller.enqueue(value);
+					controller.close();
+				}
+			});
+		}
+
+		return {
+			async *[Symbol.asyncIterator]() {
+				yield* values;
+			}
+		};
+	},
+
 	set: (target, key, value) => {
 		target[key] = value;
 	},
@@ -187,6 +368,10 @@ const parse_operations = {
 
 	addEntry: (map, key, value) => {
 		map.set(key, value);
+	},
+
+	append: (target, name, value) => {
+		target.append(name, value);
 	}
 };
 
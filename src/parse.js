@@ -1,4 +1,6 @@
 import { decode64 } from './base64.js';
+import { decode_binary } from './binary.js';
+import { find_syntax_error, strip_comments } from './json.js';
 import {
 	HOLE,
 	NAN,
@@ -9,37 +11,497 @@ import {
 	UNDEFINED
 } from './constants.js';
 import { default_parse_operations, merge_operations } from './operations.js';
-import { is_valid_array_index, is_valid_array_len } from './utils.js';
+import {
+	DevalueError,
+	DevalueLimitError,
+	DevalueParseError,
+	error_constructors,
+	get_symbol_info,
+	is_detached,
+	is_valid_array_index,
+	is_valid_array_len,
+	refs_of,
+	stringify_key,
+	stringify_string,
+	stringify_symbol,
+	well_known_symbols
+} from './utils.js';
 
+/**
+ * Revive a value serialized with `devalue.stringify`, and validate it against
+ * `options.schema`
+ * @template {import('./types.js').StandardSchemaV1} Schema
+ * @overload
+ * @param {string} serialized
+ * @param {Record<string, (value: any) => any> | undefined} revivers
+ * @param {import('./types.js').ParseOptions & { schema: Schema }} options
+ * @returns {import('./types.js').StandardSchemaV1.InferOutput<Schema>}
+ */
 /**
  * Revive a value serialized with `devalue.stringify`
+ * @overload
  * @param {string} serialized
  * @param {Record<string, (value: any) => any>} [revivers]
  * @param {import('./types.js').ParseOptions} [options]
+ * @returns {any}
+ */
+/**
+ * @param {string} serialized
+ * @param {Record<string, (value: any) => any>} [revivers]
+ * @param {import('./types.js').ParseOptions} [options]
+ * @returns {any}
  */
 export function parse(serialized, revivers, options) {
-	return unflatten(JSON.parse(serialized), revivers, options);
+	return unflatten(read_json(serialized, 0, options?.annotated), revivers, options);
 }
 
+/**
+ * Parses the output of `stringify` as JSON
+ * @param {string} serialized
+ * @param {number} [start] - where `serialized` starts in the input as a whole, for error offsets
+ * @param {boolean} [annotated] - whether to ignore the comments written by the `annotate` option
+ * @returns {any}
+ */
+export function read_json(serialized, start = 0, annotated = false) {
+	try {
+		return JSON.parse(annotated ? strip_comments(serialized) : serialized);
+	} catch (error) {
+		if (!(error instanceof SyntaxError)) throw error;
+
+		const offset = find_syntax_error(serialized, annotated);
+
+		throw new DevalueParseError(
+			error.message,
+			'INVALID_JSON',
+			undefined,
+			undefined,
+			offset === -1 ? undefined : start + offset
+		);
+	}
+}
+
+/**
+ * Revive a value flattened with `devalue.stringify`, and validate it against
+ * `options.schema`
+ * @template {import('./types.js').StandardSchemaV1} Schema
+ * @overload
+ * @param {number | any[]} parsed
+ * @param {Record<string, (value: any) => any> | undefined} revivers
+ * @param {import('./types.js').ParseOptions & { schema: Schema }} options
+ * @returns {import('./types.js').StandardSchemaV1.InferOutput<Schema>}
+ */
 /**
  * Revive a value flattened with `devalue.stringify`
+ * @overload
+ * @param {number | any[]} parsed
+ * @param {Record<string, (value: any) => any>} [revivers]
+ * @param {import('./types.js').ParseOptions} [options]
+ * @returns {any}
+ */
+/**
  * @param {number | any[]} parsed
  * @param {Record<string, (value: any) => any>} [revivers]
  * @param {import('./types.js').ParseOptions} [options]
+ * @returns {any}
  */
 export function unflatten(parsed, revivers, options) {
-	/** @type {import('./types.js').ParseOperations} */
-	const ops = merge_operations(default_parse_operations, options?.operations);
+	return revive(parsed, revivers, options, options?.buffers);
+}
+
+/**
+ * Revive a value serialized with `devalue.stringifyBinary`, and validate it
+ * against `options.schema`
+ * @template {import('./types.js').StandardSchemaV1} Schema
+ * @overload
+ * @param {ArrayBuffer | ArrayBufferView} bytes
+ * @param {Record<string, (value: any) => any> | undefined} revivers
+ * @param {import('./types.js').ParseOptions & { schema: Schema }} options
+ * @returns {import('./types.js').StandardSchemaV1.InferOutput<Schema>}
+ */
+/**
+ * Revive a value serialized with `devalue.stringifyBinary`
+ * @overload
+ * @param {ArrayBuffer | ArrayBufferView} bytes
+ * @param {Record<string, (value: any) => any>} [revivers]
+ * @param {import('./types.js').ParseOptions} [options]
+ * @returns {any}
+ */
+/**
+ * @param {ArrayBuffer | ArrayBufferView} bytes
+ * @param {Record<string, (value: any) => any>} [revivers]
+ * @param {import('./types.js').ParseOptions} [options]
+ * @returns {any}
+ */
+export function parseBinary(bytes, revivers, options) {
+	const { parsed, buffers } = decode_binary(bytes);
+	return revive(parsed, revivers, options, buffers);
+}
+
+/**
+ * @param {number | any[]} parsed
+ * @param {Record<string, (value: any) => any>} [revivers]
+ * @param {import('./types.js').ParseOptions} [options]
+ * @param {ArrayBufferLike[]} [buffers] - the contents of `["ArrayBuffer",n]` slots
+ */
+function revive(parsed, revivers, options, buffers) {
+	/** @type {any} */
+	let value;
+
+	if (typeof parsed === 'number') {
+		value = create_hydrator([], revivers, options, undefined, buffers)(parsed, true);
+	} else if (!Array.isArray(parsed) || parsed.length === 0) {
+		throw new DevalueParseError('Invalid input', 'INVALID_INPUT');
+	} else {
+		value = create_hydrator(parsed, revivers, options, undefined, buffers)(0);
+	}
+
+	return options?.schema ? conform(value, options.schema) : value;
+}
+
+/**
+ * Validates a revived value against a Standard Schema, and returns the
+ * schema's output
+ * @param {any} value
+ * @param {import('./types.js').StandardSchemaV1} schema
+ */
+function conform(value, schema) {
+	const result = schema['~standard'].validate(value);
+
+	if (typeof (/** @type {any} */ (result).then) === 'function') {
+		throw new DevalueError(
+			'Cannot validate against a schema asynchronously',
+			[],
+			value,
+			value,
+			'ASYNC_SCHEMA'
+		);
+	}
+
+	const { issues } = /** @type {import('./types.js').StandardSchemaV1.Result<any>} */ (result);
+
+	if (issues) {
+		const [issue] = issues;
+		const { path, target } = follow_issue_path(value, issue.path ?? []);
+
+		throw new DevalueError(issue.message, [path], target, value, 'SCHEMA_MISMATCH');
+	}
+
+	return /** @type {import('./types.js').StandardSchemaV1.SuccessResult<any>} */ (result).value;
+}
+
+/**
+ * Follows the path of a schema issue through a revived value, and describes
+ * it in the same format as `DevalueError#path` — so a `Map` entry is
+ * `.get("key")`, for example, rather than `.key`
+ * @param {any} value
+ * @param {ReadonlyArray<PropertyKey | { key: PropertyKey }>} path
+ * @returns {{ path: string, target: any }}
+ */
+function follow_issue_path(value, path) {
+	let description = '';
+	let target = value;
+
+	for (const segment of path) {
+		const key = typeof segment === 'object' ? segment.key : segment;
+
+		if (target instanceof Map) {
+			const description_of_key =
+				typeof key === 'string' ? stringify_string(key) : typeof key === 'number' ? key : '...';
+
+			description += `.get(${description_of_key})`;
+			target = target.get(key);
+		} else if (target instanceof Set) {
+			// members of a `Set` are described by the path to the `Set` itself
+			target = [...target][Number(key)];
+		} else if (typeof key === 'symbol') {
+			const info = get_symbol_info(key);
+			description += info.kind === 'unique' ? '[...]' : `[${stringify_symbol(info)}]`;
+			target = target?.[key];
+		} else {
+			const index = Number(key);
+
+			description +=
+				Array.isArray(target) && is_valid_array_index(index)
+					? `[${index}]`
+					: stringify_key(String(key));
+
+			target = target?.[key];
+		}
+	}
+
+	return { path: description, target };
+}
+
+/**
+ * Create a parser for the output of `devalue.stringifyStream`. Chunks can be
+ * pushed as they arrive; the root value is available as soon as the first
+ * chunk has been parsed, with promises that are still streaming revived as
+ * placeholders that settle when their own chunks arrive
+ * @param {Record<string, (value: any) => any>} [revivers]
+ * @param {import('./types.js').ParseOptions} [options]
+ * @returns {import('./types.js').Parser}
+ */
+export function createParser(revivers, options) {
+	/** @type {any[]} */
+	const values = [];
+
+	/** @type {Map<number, { resolve: (value: any) => void, reject: (reason: any) => void }>} */
+	const pending = new Map();
+
+	/** @type {ReturnType<typeof create_hydrator> | null} */
+	let hydrate = null;
+
+	let buffer = '';
+	let ended = false;
+
+	// the number of characters pushed before `buffer`
+	let consumed = 0;
+
+	// if parsing fails, the error is also thrown from `push`/`end`
+	const { promise: value, resolve, reject } = deferred();
+
+	/**
+	 * Slots that were streamed as `["Pending"]` placeholders, because they were
+	 * still being filled in, and haven't been replaced yet
+	 * @type {Set<number>}
+	 */
+	const placeholders = new Set();
+
+	/**
+	 * `["Promise"]` placeholders whose settlement hasn't arrived yet
+	 * @type {Set<number>}
+	 */
+	const awaiting = new Set();
+
+	/**
+	 * Values waiting to be revived, in the order they arrived. Each is revived
+	 * once none of the slots it refers to are placeholders
+	 * @type {Array<{ index: number, run: () => void }>}
+	 */
+	const tasks = [];
+
+	/** @param {any[]} slots */
+	function append(slots) {
+		for (const slot of slots) {
+			if (Array.isArray(slot) && slot.length === 1) {
+				if (slot[0] === 'Pending') placeholders.add(values.length);
+				if (slot[0] === 'Promise') awaiting.add(values.length);
+			}
+
+			values.push(slot);
+		}
+	}
+
+	/**
+	 * Whether a placeholder can be reached from the slot at `index`
+	 * @param {number} index
+	 */
+	function blocked(index) {
+		const hydrator = /** @type {NonNullable<typeof hydrate>} */ (hydrate);
+		const seen = new Set();
+		const stack = [index];
+
+		while (stack.length > 0) {
+			const next = /** @type {number} */ (stack.pop());
+			if (seen.has(next) || !Object.hasOwn(values, next) || hydrator.revived(next)) continue;
+			if (placeholders.has(next)) return true;
+
+			seen.add(next);
+			for (const [child] of get_children(values, values[next])) stack.push(child);
+		}
+
+		return false;
+	}
+
+	/**
+	 * @param {string} line
+	 * @param {number} start - where the line starts in the stream
+	 */
+	function read(line, start) {
+		const parsed = read_json(line, start);
+
+		if (hydrate === null) {
+			if (typeof parsed !== 'number' && (!Array.isArray(parsed) || parsed.length === 0)) {
+				throw new DevalueParseError('Invalid input', 'INVALID_INPUT');
+			}
+
+			const hydrator = (hydrate = create_hydrator(
+				values,
+				revivers,
+				options,
+				(index, resolve, reject) => {
+					pending.set(index, { resolve, reject });
+				},
+				options?.buffers
+			));
+
+			if (typeof parsed === 'number') {
+				resolve(hydrator(parsed, true));
+				return;
+			}
 
-	if (typeof parsed === 'number') return hydrate(parsed, true);
+			append(parsed);
 
-	if (!Array.isArray(parsed) || parsed.length === 0) {
-		throw new Error('Invalid input');
+			tasks.push({
+				index: 0,
+				run: () => {
+					const root = hydrator(0);
+
+					// promises that are still streaming are validated as promises, not
+					// as the values they settle with
+					resolve(options?.schema ? conform(root, options.schema) : root);
+				}
+			});
+		} else {
+			// subsequent chunks are `[index,["Promise",value,rejected?],...slots]` for
+			// promises, or `[index,slot,...slots]` to replace a `["Pending"]` placeholder
+			const index = Array.isArray(parsed) && parsed.length >= 2 ? parsed[0] : undefined;
+			const settled = parsed?.[1];
+
+			if (placeholders.has(index)) {
+				placeholders.delete(index);
+				values[index] = settled;
+			} else if (
+				awaiting.has(index) &&
+				Array.isArray(settled) &&
+				settled[0] === 'Promise' &&
+				settled.length >= 2
+			) {
+				awaiting.delete(index);
+				values[index] = settled;
+
+				tasks.push({
+					index: settled[1],
+					run: () => {
+						const result = /** @type {NonNullable<typeof hydrate>} */ (hydrate)(settled[1]);
+						const deferred = pending.get(index);
+
+						// if the promise was revived after it settled, there is nothing to do
+						if (!deferred) return;
+
+						// only now, so that if reviving it fails, the promise is rejected by `fail`
+						pending.delete(index);
+
+						if (settled[2] === 1) {
+							deferred.reject(result);
+						} else {
+							deferred.resolve(result);
+						}
+					}
+				});
+			} else {
+				throw new DevalueParseError('Invalid input', 'INVALID_INPUT');
+			}
+
+			append(parsed.slice(2));
+		}
+
+		while (tasks.length > 0 && !blocked(tasks[0].index)) {
+			/** @type {(typeof tasks)[number]} */ (tasks.shift()).run();
+		}
 	}
 
-	const values = /** @type {any[]} */ (parsed);
+	/** @param {any} error */
+	function fail(error) {
+		ended = true;
+		reject(error);
+
+		for (const deferred of pending.values()) {
+			deferred.reject(error);
+		}
+
+		pending.clear();
+	}
+
+	return {
+		value,
+
+		push(chunk) {
+			if (ended) {
+				throw new Error('Cannot push to a parser that has ended');
+			}
+
+			buffer += chunk;
+
+			try {
+				let start = 0;
+				let end;
+
+				while ((end = buffer.indexOf('\n', start)) !== -1) {
+					const line = buffer.slice(start, end);
+					if (line.trim()) read(line, consumed + start);
+
+					start = end + 1;
+				}
+
+				consumed += start;
+				buffer = buffer.slice(start);
+			} catch (error) {
+				fail(error);
+				throw error;
+			}
+		},
+
+		end() {
+			if (ended) return;
+
+			try {
+				if (buffer.trim()) read(buffer, consumed);
+			} catch (error) {
+				fail(error);
+				throw error;
+			}
+
+			if (hydrate === null || pending.size > 0 || tasks.length > 0) {
+				fail(new DevalueParseError('Unexpected end of stream', 'UNEXPECTED_END'));
+			}
+
+			ended = true;
+		}
+	};
+}
+
+function noop() {}
+
+/**
+ * Creates a promise along with the functions that settle it. Rejections are
+ * treated as handled — a rejected promise in the payload is part of the data,
+ * not a failure to parse it
+ */
+function deferred() {
+	/** @type {(value: any) => void} */
+	let resolve = noop;
+
+	/** @type {(reason: any) => void} */
+	let reject = noop;
+
+	const promise = new Promise((fulfil, fail) => {
+		resolve = fulfil;
+		reject = fail;
+	});
 
-	const hydrated = Array(values.length);
+	promise.catch(noop);
+
+	return { promise, resolve, reject };
+}
+
+/**
+ * Creates the `hydrate` function used by `unflatten` and `createParser`, which
+ * revives the value at a given index of `values`. Revived values are cached, so
+ * `values` can keep growing (as streamed chunks arrive) and later entries can
+ * refer back to earlier ones
+ * @param {any[]} values
+ * @param {Record<string, (value: any) => any>} [revivers]
+ * @param {import('./types.js').ParseOptions} [options]
+ * @param {(index: number, resolve: (value: any) => void, reject: (reason: any) => void) => void} [on_pending] - called for each `["Promise"]` placeholder of a promise that has yet to settle; only streams can contain them
+ * @param {ArrayBufferLike[]} [buffers] - the contents of `["ArrayBuffer",n]` slots
+ * @param {any[]} [known] - values that have already been revived, for the leading slots
+ */
+export function create_hydrator(values, revivers, options, on_pending, buffers, known) {
+	/** @type {import('./types.js').ParseOperations} */
+	const ops = merge_operations(default_parse_operations, options?.operations);
+
+	const hydrated = known ? known.slice() : Array(values.length);
 
 	/**
 	 * A set of values currently being hydrated with custom revivers,
@@ -48,6 +510,85 @@ export function unflatten(parsed, revivers, options) {
 	 */
 	let hydrating = null;
 
+	/** @type {TagContext} */
+	const context = {
+		revivers,
+		classes: options?.classes,
+		buffers,
+		allowed: options?.allow && new Set(options.allow),
+		streaming: on_pending !== undefined
+	};
+
+	/**
+	 * The index of the slot being revived, if any
+	 * @type {number | undefined}
+	 */
+	let current;
+
+	const limits = options?.limits;
+	let nodes = 0;
+	let depth = 0;
+	let buffer_bytes = 0;
+
+	/**
+	 * The last error thrown by a custom reviver, which is passed on as it is
+	 * rather than being reported as invalid data
+	 * @type {unknown}
+	 */
+	let thrown;
+
+	/**
+	 * Creates an error about the slot being revived
+	 * @param {string} [message]
+	 * @param {import('./types.js').ParseErrorCode} [code]
+	 */
+	function parse_error(message = 'Invalid input', code = 'INVALID_INPUT') {
+		const path = current === undefined ? undefined : get_path(values, current);
+		return new DevalueParseError(message, code, current, path);
+	}
+
+	/**
+	 * Throws if `amount` is over the given limit
+	 * @param {keyof import('./types.js').ParseLimits} limit
+	 * @param {number} amount
+	 * @param {number} index - the slot responsible
+	 */
+	function enforce(limit, amount, index) {
+		const max = limits?.[limit];
+
+		if (max !== undefined && amount > max) {
+			throw new DevalueLimitError(limit, max, index, get_path(values, index));
+		}
+	}
+
+	/**
+	 * Checks the slot at `index` against the `limits` before it is revived, so
+	 * that nothing is allocated for an oversized slot
+	 * @param {number} index
+	 */
+	function enforce_limits(index) {
+		const { string_length, collection_size } = measure(values[index]);
+
+		enforce('nodes', (nodes += 1), index);
+		enforce('depth', depth + 1, index);
+		enforce('stringLength', string_length, index);
+		enforce('collectionSize', collection_size, index);
+	}
+
+	/**
+	 * Calls a custom reviver
+	 * @param {(value: any) => any} reviver
+	 * @param {any} value
+	 */
+	function revive(reviver, value) {
+		try {
+			return reviver(value);
+		} catch (error) {
+			thrown = error;
+			throw error;
+		}
+	}
+
 	/**
 	 * @param {number} index
 	 * @returns {any}
@@ -60,11 +601,44 @@ export function unflatten(parsed, revivers, options) {
 		if (index === NEGATIVE_ZERO) return ops.fromPrimitive(-0);
 
 		if (standalone || typeof index !== 'number') {
-			throw new Error(`Invalid input`);
+			throw parse_error();
 		}
 
 		if (index in hydrated) return hydrated[index];
 
+		// a reference to a slot that doesn't exist is blamed on the slot containing it
+		if (!Object.hasOwn(values, index)) throw parse_error();
+
+		if (limits) enforce_limits(index);
+
+		const parent = current;
+		current = index;
+		depth += 1;
+
+		try {
+			return hydrate_slot(index);
+		} catch (error) {
+			if (error === thrown || error instanceof DevalueParseError || error instanceof DevalueError) {
+				throw error;
+			}
+
+			// the constructors of built-in types throw if their arguments are invalid,
+			// as in `["BigInt","1.5"]` or `["URL","nope"]`
+			const invalid = parse_error('Invalid data', 'INVALID_DATA');
+			invalid.cause = error;
+			throw invalid;
+		} finally {
+			current = parent;
+			depth -= 1;
+		}
+	}
+
+	/**
+	 * Revives the slot at `index`, which hasn't been revived yet
+	 * @param {number} index
+	 * @returns {any}
+	 */
+	function hydrate_slot(index) {
 		const value = values[index];
 
 		if (!value || typeof value !== 'object') {
@@ -72,15 +646,19 @@ export function unflatten(parsed, revivers, options) {
 		} else if (Array.isArray(value)) {
 			if (typeof value[0] === 'string') {
 				const type = value[0];
+				const bytes = check_tagged(values, index, context);
 
 				const reviver = revivers && Object.hasOwn(revivers, type) ? revivers[type] : undefined;
 
 				if (reviver) {
-					let i = value[1];
+					const i = value[1];
 					if (typeof i !== 'number') {
-						// if it's not a number, it was serialized by a builtin reviver
-						// so we need to munge it into the format expected by a custom reviver
-						i = values.push(value[1]) - 1;
+						// if it's not a number, it was serialized by a builtin reviver,
+						// whose payload is a primitive rather than a reference. (It
+						// isn't appended to `values`, because the indices beyond the
+						// end of `values` belong to streamed chunks that haven't
+						// arrived yet)
+						return (hydrated[index] = revive(reviver, ops.fromPrimitive(i)));
 					}
 
 					// If the payload is already hydrated, its recursion has already
@@ -90,27 +668,45 @@ export function unflatten(parsed, revivers, options) {
 					// cycle. An actually infinite payload (e.g. `[["Custom", 0]]`) is never
 					// cached, so it still hits the guard below.
 					if (Object.hasOwn(hydrated, i)) {
-						return (hydrated[index] = reviver(hydrated[i]));
+						return (hydrated[index] = revive(reviver, hydrated[i]));
 					}
 
 					hydrating ??= new Set();
 
 					if (hydrating.has(i)) {
-						throw new Error('Invalid circular reference');
+						throw parse_error('Invalid circular reference', 'CIRCULAR_REFERENCE');
 					}
 
 					hydrating.add(i);
-					hydrated[index] = reviver(hydrate(i));
+					hydrated[index] = revive(reviver, hydrate(i));
 					hydrating.delete(i);
 
 					return hydrated[index];
 				}
 
+				// the slot has been checked, so only the constructors of built-in
+				// types can reject it from here on
 				switch (type) {
 					case 'Date':
 						hydrated[index] = ops.fromISOString(value[1]);
 						break;
 
+					case 'Promise': {
+						const { promise, resolve, reject } = deferred();
+						hydrated[index] = ops.fromPromise(promise);
+
+						if (value.length === 1) {
+							// a placeholder for a promise that has yet to settle, which only streams contain
+							/** @type {NonNullable<typeof on_pending>} */ (on_pending)(index, resolve, reject);
+						} else if (value.length === 2) {
+							resolve(hydrate(value[1]));
+						} else {
+							reject(hydrate(value[1]));
+						}
+
+						break;
+					}
+
 					case 'Set':
 						const set = ops.createSet();
 						hydrated[index] = set;
@@ -131,36 +727,154 @@ export function unflatten(parsed, revivers, options) {
 						hydrated[index] = ops.fromRegExpInfo(value[1], value[2]);
 						break;
 
-					case 'Object': {
-						const wrapped_index = value[1];
+					case 'Error':
+					case 'DOMException': {
+						const error =
+							type === 'DOMException'
+								? ops.createDOMException(value[1], value[2])
+								: ops.createError(value[1], value[2]);
 
-						if (
-							typeof values[wrapped_index] === 'object' &&
-							values[wrapped_index][0] !== 'BigInt'
-						) {
-							// avoid infinite recusion in case of malformed input
-							throw new Error('Invalid input');
+						hydrated[index] = error;
+
+						for (let i = 3; i < value.length; i += 2) {
+							const key = value[i];
+
+							if (key === 'name' || key === 'stack') {
+								// these are written inline, rather than as references
+								ops.defineErrorProperty(error, key, ops.fromPrimitive(value[i + 1]));
+							} else if (key === 'cause' || key === 'errors') {
+								ops.defineErrorProperty(error, key, hydrate(value[i + 1]));
+							} else {
+								ops.set(error, key, hydrate(value[i + 1]));
+							}
+						}
+
+						break;
+					}
+
+					case 'AsyncIterable':
+					case 'ReadableStream': {
+						/** @type {any[]} */
+						const items = [];
+						hydrated[index] = ops.createAsyncIterable(type, items);
+						for (let i = 1; i < value.length; i += 1) {
+							items.push(hydrate(value[i]));
 						}
+						break;
+					}
 
-						hydrated[index] = ops.box(hydrate(wrapped_index));
+					case 'Class': {
+						const instance = ops.createInstance(/** @type {any} */ (context.classes)[value[1]]);
+						hydrated[index] = instance;
+
+						for (let i = 2; i < value.length; i += 2) {
+							ops.set(instance, value[i], hydrate(value[i + 1]));
+						}
 						break;
 					}
 
+					case 'Symbol':
+						hydrated[index] = ops.fromSymbolInfo('registered', value[1]);
+						break;
+
+					case 'WellKnownSymbol':
+						hydrated[index] = ops.fromSymbolInfo('well-known', value[1]);
+						break;
+
+					case 'Object':
+						hydrated[index] = ops.box(hydrate(value[1]));
+						break;
+
 					case 'BigInt':
 						hydrated[index] = ops.fromPrimitive(BigInt(value[1]));
 						break;
 
 					case 'null':
-						const obj = ops.createNullPrototypeObject();
+					case 'object':
+						const obj =
+							type === 'null' ? ops.createNullPrototypeObject() : ops.createObject();
 						hydrated[index] = obj;
 						for (let i = 1; i < value.length; i += 2) {
-							if (value[i] === '__proto__') {
-								throw new Error('Cannot parse an object with a `__proto__` property');
-							}
+							const key = value[i];
 
-							ops.set(obj, value[i], hydrate(value[i + 1]));
+							// numeric keys are references to symbols
+							ops.set(
+								obj,
+								typeof key === 'number' ? hydrate(key) : key,
+								hydrate(value[i + 1])
+							);
+						}
+						break;
+
+					case 'Blob':
+					case 'File': {
+						const [, buffer_index, blob_type, name, last_modified] = value;
+
+						hydrated[index] =
+							type === 'File'
+								? ops.fromBlobInfo(type, hydrate(buffer_index), blob_type, name, last_modified)
+								: ops.fromBlobInfo(type, hydrate(buffer_index), blob_type, undefined, undefined);
+						break;
+					}
+
+					case 'Headers': {
+						const headers = ops.createHeaders();
+						hydrated[index] = headers;
+
+						for (let i = 1; i < value.length; i += 2) {
+							ops.append(headers, value[i], value[i + 1]);
 						}
 						break;
+					}
+
+					case 'FormData': {
+						const form_data = ops.createFormData();
+						hydrated[index] = form_data;
+
+						for (let i = 1; i < value.length; i += 2) {
+							ops.append(form_data, value[i], hydrate(value[i + 1]));
+						}
+						break;
+					}
+
+					case 'Request': {
+						const [, url, method, headers, body] = value;
+						hydrated[index] = ops.fromRequestInfo(url, method, hydrate(headers), hydrate(body));
+						break;
+					}
+
+					case 'Response': {
+						const [, status, status_text, headers, body] = value;
+						hydrated[index] = ops.fromResponseInfo(
+							status,
+							status_text,
+							hydrate(headers),
+							hydrate(body)
+						);
+						break;
+					}
+
+					case 'ArrayBuffer':
+					case 'SharedArrayBuffer': {
+						const [, data, max_byte_length] = value;
+
+						// a resizable buffer may reserve up to its maximum length. This is
+						// checked before decoding, so that nothing is allocated if it's over
+						buffer_bytes += bytes;
+						enforce('bufferBytes', buffer_bytes, index);
+
+						const buffer =
+							typeof data === 'number'
+								? /** @type {ArrayBufferLike[]} */ (buffers)[data]
+								: decode64(data);
+
+						hydrated[index] = ops.fromArrayBuffer(
+							buffer,
+							max_byte_length,
+							type === 'SharedArrayBuffer'
+						);
+						break;
+					}
 
 					case 'Int8Array':
 					case 'Uint8Array':
@@ -174,54 +888,24 @@ export function unflatten(parsed, revivers, options) {
 					case 'Float64Array':
 					case 'BigInt64Array':
 					case 'BigUint64Array':
-					case 'DataView': {
-						if (values[value[1]][0] !== 'ArrayBuffer') {
-							// without this, if we receive malformed input we could
-							// end up trying to hydrate in a circle or allocate
-							// huge amounts of memory when we call `new TypedArrayConstructor(buffer)`
-							throw new Error('Invalid data');
-						}
-
-						const buffer = hydrate(value[1]);
-
-						hydrated[index] = ops.fromViewInfo(type, buffer, value[2], value[3]);
-
+					case 'DataView':
+						hydrated[index] = ops.fromViewInfo(type, hydrate(value[1]), value[2], value[3]);
 						break;
-					}
-
-					case 'ArrayBuffer': {
-						const base64 = value[1];
-						if (typeof base64 !== 'string') {
-							throw new Error('Invalid ArrayBuffer encoding');
-						}
-						hydrated[index] = ops.fromArrayBuffer(decode64(base64));
-						break;
-					}
-
-					case 'URL':
-					case 'URLSearchParams':
-					case 'Temporal.Duration':
-					case 'Temporal.Instant':
-					case 'Temporal.PlainDate':
-					case 'Temporal.PlainTime':
-					case 'Temporal.PlainDateTime':
-					case 'Temporal.PlainMonthDay':
-					case 'Temporal.PlainYearMonth':
-					case 'Temporal.ZonedDateTime': {
-						// the same tags `toStringValue` serializes on the stringify side
-						hydrated[index] = ops.fromStringValue(type, value[1]);
-						break;
-					}
 
 					default:
-						throw new Error(`Unknown type ${type}`);
+						// 'URL', 'URLSearchParams' and 'Temporal.*', the same tags
+						// `toStringValue` serializes on the stringify side
+						hydrated[index] = ops.fromStringValue(
+							/** @type {import('./types.js').StringValueTag} */ (type),
+							value[1]
+						);
 				}
 			} else if (value[0] === SPARSE) {
 				// Sparse array encoding: [SPARSE, length, idx, val, idx, val, ...]
 				const len = value[1];
 
 				if (!is_valid_array_len(len)) {
-					throw new Error('Invalid input');
+					throw parse_error();
 				}
 
 				// `len` comes from the input rather than being bounded by it, so
@@ -234,7 +918,7 @@ export function unflatten(parsed, revivers, options) {
 					const idx = value[i];
 
 					if (!is_valid_array_index(idx) || idx >= len) {
-						throw new Error('Invalid input');
+						throw parse_error();
 					}
 
 					ops.set(array, idx, hydrate(value[i + 1]));
@@ -256,7 +940,10 @@ export function unflatten(parsed, revivers, options) {
 
 			for (const key of Object.keys(value)) {
 				if (key === '__proto__') {
-					throw new Error('Cannot parse an object with a `__proto__` property');
+					throw parse_error(
+						'Cannot parse an object with a `__proto__` property',
+						'PROTO_PROPERTY'
+					);
 				}
 
 				ops.set(object, key, hydrate(value[key]));
@@ -266,5 +953,599 @@ export function unflatten(parsed, revivers, options) {
 		return hydrated[index];
 	}
 
-	return hydrate(0);
+	/**
+	 * Whether the slot at `index` has been revived
+	 * @param {number} index
+	 */
+	hydrate.revived = (index) => index in hydrated;
+
+	return hydrate;
+}
+
+// padded, as `stringify` writes it
+const base64 = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+const string_value_tags = new Set([
+	'URL',
+	'URLSearchParams',
+	'Temporal.Duration',
+	'Temporal.Instant',
+	'Temporal.PlainDate',
+	'Temporal.PlainTime',
+	'Temporal.PlainDateTime',
+	'Temporal.PlainMonthDay',
+	'Temporal.PlainYearMonth',
+	'Temporal.ZonedDateTime'
+]);
+
+const view_tags = new Set([
+	'Int8Array',
+	'Uint8Array',
+	'Uint8ClampedArray',
+	'Int16Array',
+	'Uint16Array',
+	'Float16Array',
+	'Int32Array',
+	'Uint32Array',
+	'Float32Array',
+	'Float64Array',
+	'BigInt64Array',
+	'BigUint64Array',
+	'DataView'
+]);
+
+// the statuses of responses that can't have a body, besides those below 200
+const null_body_statuses = new Set([204, 205, 304]);
+
+/**
+ * @typedef {{
+ *   revivers?: Record<string, (value: any) => any>,
+ *   classes?: Record<string, any>,
+ *   buffers?: ArrayBufferLike[],
+ *   allowed?: Set<string>,
+ *   streaming?: boolean,
+ *   trial?: import('./types.js').ParseOperations
+ * }} TagContext
+ */
+
+/**
+ * Checks a tagged slot before it is revived, throwing the error `parse` would
+ * throw for it, and calls `add` with each slot it refers to — and whether that
+ * slot must be revived before this one, rather than after it has been created.
+ * `parse` and `validate` both use this, so that they agree on what is valid.
+ * Some values, such as `RegExp`s and `URL`s, are only known to be valid once
+ * they have been constructed; `validate` passes the operations to construct
+ * them with as `trial`, whereas `parse` reports the constructor's error when
+ * it revives them
+ * @param {any[]} values
+ * @param {number} index
+ * @param {TagContext} context
+ * @param {(reference: any, eagerly?: boolean) => void} [add]
+ * @returns {number} the number of bytes an `ArrayBuffer` reserves, or 0
+ */
+export function check_tagged(values, index, context, add = noop) {
+	const { revivers, classes, buffers, allowed, trial } = context;
+	const value = values[index];
+	const type = value[0];
+
+	/**
+	 * @param {string} [message]
+	 * @param {import('./types.js').ParseErrorCode} [code]
+	 */
+	function invalid(message = 'Invalid input', code = 'INVALID_INPUT') {
+		return new DevalueParseError(message, code, index, get_path(values, index));
+	}
+
+	/** @param {boolean} condition */
+	function expect(condition) {
+		if (!condition) throw invalid();
+	}
+
+	/** @param {any} key */
+	function expect_key(key) {
+		if (key === '__proto__') {
+			throw invalid('Cannot parse an object with a `__proto__` property', 'PROTO_PROPERTY');
+		}
+	}
+
+	/**
+	 * Returns the tag of the slot at `reference`, if it is a tagged slot
+	 * @param {any} reference
+	 */
+	function tag_of(reference) {
+		const slot = Object.hasOwn(values, reference) ? values[reference] : undefined;
+		return Array.isArray(slot) && typeof slot[0] === 'string' ? slot[0] : undefined;
+	}
+
+	/**
+	 * Checks the `[key, value]` pairs from `start` onwards
+	 * @param {number} start
+	 * @param {(key: any) => boolean} [is_key]
+	 */
+	function expect_properties(start, is_key = (key) => typeof key === 'string') {
+		expect((value.length - start) % 2 === 0);
+
+		for (let i = start; i < value.length; i += 2) {
+			expect_key(value[i]);
+			expect(is_key(value[i]));
+			add(value[i + 1]);
+		}
+	}
+
+	if (allowed && !allowed.has(type)) {
+		throw invalid(`Disallowed type ${type}`, 'DISALLOWED_TYPE');
+	}
+
+	if (revivers && Object.hasOwn(revivers, type)) {
+		const payload = value[1];
+
+		// if it's not a number, it was serialized by a built-in reviver,
+		// whose payload is a primitive rather than a reference
+		if (typeof payload === 'number') {
+			add(payload, true);
+		} else {
+			expect(payload === null || typeof payload !== 'object');
+		}
+
+		return 0;
+	}
+
+	if (string_value_tags.has(type)) {
+		expect(value.length === 2 && typeof value[1] === 'string');
+		trial?.fromStringValue(/** @type {import('./types.js').StringValueTag} */ (type), value[1]);
+		return 0;
+	}
+
+	if (view_tags.has(type)) {
+		const [, buffer, offset = 0, length] = value;
+		const buffer_type = tag_of(buffer);
+
+		if (buffer_type !== 'ArrayBuffer' && buffer_type !== 'SharedArrayBuffer') {
+			// without this, malformed input could make us revive in a circle, or
+			// allocate huge amounts of memory for `new TypedArrayConstructor(buffer)`
+			throw invalid('Invalid data', 'INVALID_DATA');
+		}
+
+		expect(value.length <= 4 && value.slice(2).every(is_valid_array_len));
+
+		// the view's constructor throws if it doesn't fit in the buffer (which,
+		// if it is malformed, is reported when it is checked in turn)
+		const size = type === 'DataView' ? 1 : /** @type {any} */ (globalThis)[type]?.BYTES_PER_ELEMENT;
+		const [, data, max_byte_length] = values[buffer];
+		const byte_length = get_byte_length(data, buffers);
+
+		if (
+			size === undefined ||
+			(byte_length !== undefined &&
+				(offset % size !== 0 ||
+					offset > byte_length ||
+					(length === undefined
+						? !is_resizable(buffer_type, max_byte_length) && (byte_length - offset) % size !== 0
+						: offset + length * size > byte_length)))
+		) {
+			throw invalid('Invalid data', 'INVALID_DATA');
+		}
+
+		add(buffer, true);
+		return 0;
+	}
+
+	switch (type) {
+		case 'Date':
+		case 'Symbol':
+			expect(value.length === 2 && typeof value[1] === 'string');
+			break;
+
+		case 'WellKnownSymbol':
+			expect(value.length === 2 && well_known_symbols.has(value[1]));
+			break;
+
+		case 'BigInt':
+			expect(value.length === 2 && typeof value[1] === 'string');
+
+			// rather than `BigInt` accepting, say, `"0x1"`
+			if (!/^-?\d+$/.test(value[1])) throw invalid('Invalid data', 'INVALID_DATA');
+			break;
+
+		case 'RegExp':
+			// the flags are omitted if there are none
+			expect(
+				typeof value[1] === 'string' &&
+					(value.length === 2 || (value.length === 3 && typeof value[2] === 'string'))
+			);
+			trial?.fromRegExpInfo(value[1], value[2]);
+			break;
+
+		case 'Promise':
+			// only streams contain placeholders for promises that have yet to settle
+			expect(
+				value.length === 2 ||
+					(value.length === 3 && value[2] === 1) ||
+					(value.length === 1 && !!context.streaming)
+			);
+			if (value.length > 1) add(value[1]);
+			break;
+
+		case 'Set':
+		case 'AsyncIterable':
+		case 'ReadableStream':
+			for (let i = 1; i < value.length; i += 1) add(value[i]);
+			break;
+
+		case 'Map':
+			expect(value.length % 2 === 1);
+			for (let i = 1; i < value.length; i += 1) add(value[i]);
+			break;
+
+		case 'Error':
+		case 'DOMException': {
+			const [, first, message] = value;
+
+			expect(
+				value.length % 2 === 1 &&
+					typeof message === 'string' &&
+					(type === 'Error' ? error_constructors.has(first) : typeof first === 'string')
+			);
+
+			for (let i = 3; i < value.length; i += 2) {
+				const key = value[i];
+
+				if (key === 'name' || key === 'stack') {
+					// these are written inline, rather than as references
+					expect(typeof value[i + 1] === 'string');
+				} else {
+					expect_key(key);
+					expect(typeof key === 'string' && key !== 'message');
+
+					// `DOMException#code` is a getter, derived from the name
+					if (type === 'DOMException' && key === 'code') {
+						throw invalid('Invalid data', 'INVALID_DATA');
+					}
+
+					add(value[i + 1]);
+				}
+			}
+			break;
+		}
+
+		case 'Class': {
+			const name = value[1];
+
+			if (typeof name !== 'string' || !classes || !Object.hasOwn(classes, name)) {
+				throw invalid(`Unknown class ${name}`, 'UNKNOWN_CLASS');
+			}
+
+			expect_properties(2);
+			break;
+		}
+
+		case 'null':
+		case 'object':
+			expect_properties(1, (key) => {
+				if (typeof key !== 'number') return typeof key === 'string';
+
+				// numeric keys are references to symbols, which must be built in —
+				// otherwise it could be, say, the string `'__proto__'`
+				const tag = tag_of(key);
+				if (tag !== 'Symbol' && tag !== 'WellKnownSymbol') return false;
+				if (revivers && Object.hasOwn(revivers, tag)) return false;
+
+				add(key);
+				return true;
+			});
+			break;
+
+		case 'Object': {
+			const wrapped = values[value[1]];
+
+			// only `BigInt`s and symbols are boxed by reference, which also
+			// avoids infinite recursion in case of malformed input
+			expect(
+				value.length === 2 &&
+					(typeof wrapped !== 'object' ||
+						['BigInt', 'Symbol', 'WellKnownSymbol'].includes(wrapped?.[0]))
+			);
+
+			add(value[1], true);
+			break;
+		}
+
+		case 'Blob':
+		case 'File': {
+			const [, buffer, blob_type, name, last_modified] = value;
+
+			if (tag_of(buffer) !== 'ArrayBuffer') {
+				throw invalid('Invalid data', 'INVALID_DATA');
+			}
+
+			expect(
+				typeof blob_type === 'string' &&
+					(type === 'Blob'
+						? value.length === 3
+						: value.length === 5 && typeof name === 'string' && typeof last_modified === 'number')
+			);
+
+			add(buffer, true);
+			break;
+		}
+
+		case 'Headers':
+			expect(
+				value.length % 2 === 1 &&
+					value.every((/** @type {any} */ item) => typeof item === 'string')
+			);
+
+			if (trial) {
+				const headers = trial.createHeaders();
+				for (let i = 1; i < value.length; i += 2) trial.append(headers, value[i], value[i + 1]);
+			}
+			break;
+
+		case 'FormData':
+			expect_properties(1);
+			break;
+
+		case 'Request':
+		case 'Response': {
+			const [, first, second, headers, body] = value;
+
+			if (tag_of(headers) !== 'Headers' || (body !== UNDEFINED && tag_of(body) !== 'ArrayBuffer')) {
+				throw invalid('Invalid data', 'INVALID_DATA');
+			}
+
+			expect(
+				value.length === 5 &&
+					typeof first === (type === 'Request' ? 'string' : 'number') &&
+					typeof second === 'string'
+			);
+
+			if (
+				type === 'Response' &&
+				(!Number.isInteger(first) ||
+					first < 200 ||
+					first > 599 ||
+					(null_body_statuses.has(first) && body !== UNDEFINED))
+			) {
+				throw invalid('Invalid data', 'INVALID_DATA');
+			}
+
+			if (trial) {
+				const payload = body === UNDEFINED ? undefined : new ArrayBuffer(0);
+
+				if (type === 'Request') {
+					trial.fromRequestInfo(first, second, trial.createHeaders(), payload);
+				} else {
+					trial.fromResponseInfo(first, second, trial.createHeaders(), payload);
+				}
+			}
+
+			add(headers, true);
+			add(body, true);
+			break;
+		}
+
+		case 'ArrayBuffer':
+		case 'SharedArrayBuffer': {
+			const [, data, max_byte_length] = value;
+
+			expect(
+				value.length <= 3 && (max_byte_length === undefined || is_valid_array_len(max_byte_length))
+			);
+
+			const byte_length = get_byte_length(data, buffers);
+
+			if (byte_length === undefined) {
+				throw invalid('Invalid ArrayBuffer encoding', 'INVALID_BUFFER');
+			}
+
+			const buffer = typeof data === 'number' ? buffers?.[data] : undefined;
+
+			if (buffer && is_detached(buffer)) {
+				throw new DevalueError(
+					'Cannot parse a detached ArrayBuffer',
+					[get_path(values, index)],
+					buffer,
+					undefined,
+					'DETACHED_BUFFER'
+				);
+			}
+
+			if (max_byte_length !== undefined && max_byte_length < byte_length) {
+				throw invalid('Invalid data', 'INVALID_DATA');
+			}
+
+			// construct an empty buffer, in case this kind can't be created here
+			trial?.fromArrayBuffer(new ArrayBuffer(0), max_byte_length, type === 'SharedArrayBuffer');
+
+			// a resizable buffer may reserve up to its maximum length
+			return max_byte_length ?? byte_length;
+		}
+
+		default:
+			throw invalid(`Unknown type ${type}`, 'UNKNOWN_TYPE');
+	}
+
+	return 0;
+}
+
+/**
+ * Returns the length of the buffer an `["ArrayBuffer"]` slot contains, or
+ * `undefined` if it isn't encoded correctly
+ * @param {any} data
+ * @param {ArrayBufferLike[]} [buffers]
+ */
+function get_byte_length(data, buffers) {
+	if (typeof data === 'number') {
+		return buffers && Object.hasOwn(buffers, data) ? buffers[data].byteLength : undefined;
+	}
+
+	if (typeof data === 'string' && base64.test(data)) {
+		const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+		return (data.length / 4) * 3 - padding;
+	}
+}
+
+/**
+ * Whether a buffer that `parse` revives with the given maximum length can
+ * change size, which isn't supported everywhere
+ * @param {string} type
+ * @param {number | undefined} max_byte_length
+ */
+function is_resizable(type, max_byte_length) {
+	if (max_byte_length === undefined) return false;
+
+	return type === 'SharedArrayBuffer'
+		? typeof SharedArrayBuffer.prototype.grow === 'function'
+		: typeof ArrayBuffer.prototype.resize === 'function';
+}
+
+/**
+ * Returns the sizes of a slot that the `stringLength` and `collectionSize`
+ * limits apply to: the length of its longest string, including those in a
+ * tagged slot (the digits of a `BigInt`, say) and property keys, and its
+ * number of items if it's an array, `Set` or `Map`, or of properties if it's
+ * an object
+ * @param {any} value
+ * @returns {{ string_length: number, collection_size: number }}
+ */
+export function measure(value) {
+	let string_length = 0;
+	let collection_size = 0;
+
+	if (typeof value === 'string') {
+		string_length = value.length;
+	} else if (value && typeof value === 'object' && !Array.isArray(value)) {
+		const keys = Object.keys(value);
+
+		for (const key of keys) string_length = Math.max(string_length, key.length);
+		collection_size = keys.length;
+	} else if (Array.isArray(value)) {
+		const type = value[0];
+
+		if (typeof type === 'string') {
+			for (let i = 1; i < value.length; i += 1) {
+				if (typeof value[i] === 'string') {
+					string_length = Math.max(string_length, value[i].length);
+				}
+			}
+
+			if (type === 'Set') collection_size = value.length - 1;
+			if (type === 'Map') collection_size = (value.length - 1) / 2;
+
+			// the keys and values of objects with symbol keys or a null prototype,
+			// and of class instances, are written as pairs
+			if (type === 'object' || type === 'null') collection_size = (value.length - 1) / 2;
+			if (type === 'Class') collection_size = (value.length - 2) / 2;
+		} else {
+			// the declared length of a sparse array, which may not be a number
+			collection_size = type === SPARSE ? value[1] : value.length;
+		}
+	}
+
+	return { string_length, collection_size };
+}
+
+/**
+ * Returns the path (in the same format as `DevalueError#path`) through which
+ * the slot at `target` is first reached from the root. Only used to describe
+ * errors, so the slots are walked again rather than tracking the path while
+ * hydrating
+ * @param {any[]} values
+ * @param {number} target
+ */
+export function get_path(values, target) {
+	/** @type {Array<[number, string]>} */
+	const stack = [[0, '']];
+	const seen = new Set();
+
+	while (stack.length > 0) {
+		const [index, path] = /** @type {[number, string]} */ (stack.pop());
+
+		if (index === target) return path;
+		if (seen.has(index) || !Object.hasOwn(values, index)) continue;
+		seen.add(index);
+
+		const children = get_children(values, values[index]);
+
+		// in reverse, so that children are visited in order
+		for (let i = children.length - 1; i >= 0; i -= 1) {
+			stack.push([children[i][0], path + children[i][1]]);
+		}
+	}
+
+	return '';
+}
+
+/**
+ * Returns the indices of the slots a slot refers to, along with the keys
+ * `stringify` describes them with
+ * @param {any[]} values
+ * @param {any} value
+ * @returns {Array<[number, string]>}
+ */
+export function get_children(values, value) {
+	/** @type {Array<[number, string]>} */
+	const children = [];
+
+	for (const key of refs_of(value)) {
+		const index = value[key];
+		if (typeof index === 'number') children.push([index, describe_child(values, value, key)]);
+	}
+
+	return children;
+}
+
+/**
+ * Describes where a slot refers to another, the way `stringify` describes
+ * the key it found the value at
+ * @param {any[]} values
+ * @param {any} value - the slot containing the reference
+ * @param {string | number} at - where the reference is in `value`
+ * @returns {string}
+ */
+function describe_child(values, value, at) {
+	if (!Array.isArray(value)) return stringify_key(String(at));
+
+	const i = /** @type {number} */ (at);
+
+	if (typeof value[0] !== 'string') {
+		return `[${value[0] === SPARSE ? value[i - 1] : i}]`;
+	}
+
+	switch (value[0]) {
+		case 'Map': {
+			// keys are at odd positions, each followed by its value
+			const key = values[value[i % 2 === 1 ? i : i - 1]];
+			const description =
+				typeof key === 'string' ? stringify_string(key) : typeof key === 'number' ? key : '...';
+
+			return `.get(${description})`;
+		}
+
+		case 'FormData':
+			return `.get(${stringify_string(String(value[i - 1]))})`;
+
+		case 'Request':
+		case 'Response':
+			return i === 3 ? '.headers' : '';
+
+		case 'Error':
+		case 'DOMException':
+		case 'Class':
+			return stringify_key(String(value[i - 1]));
+
+		case 'null':
+		case 'object': {
+			// a symbol key is itself a reference, described like its value
+			const name = i % 2 === 1 ? value[i] : value[i - 1];
+			if (typeof name !== 'number') return stringify_key(String(name));
+
+			const [type, description] = Array.isArray(values[name]) ? values[name] : [];
+			const kind = type === 'Symbol' ? 'registered' : 'well-known';
+			return `[${stringify_symbol({ kind, key: String(description) })}]`;
+		}
+
+		default:
+			return '';
+	}
 }
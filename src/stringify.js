@@ -1,4 +1,11 @@
-import { DevalueError, stringify_key, stringify_string } from './utils.js';
+import {
+	DevalueError,
+	get_class_names,
+	stringify_key,
+	stringify_string,
+	refs_of,
+	stringify_symbol
+} from './utils.js';
 import {
 	HOLE,
 	NAN,
@@ -9,56 +16,330 @@ import {
 	UNDEFINED
 } from './constants.js';
 import { encode64 } from './base64.js';
+import { encode_binary } from './binary.js';
+import { indent_json, map_items } from './json.js';
+import { get_children } from './parse.js';
+import { create_digest } from './digest.js';
 import { default_stringify_operations, merge_operations } from './operations.js';
 
 /**
  * Turn a value into a JSON string that can be parsed with `devalue.parse`
+ * @overload
+ * @param {any} value
+ * @param {Record<string, (value: any) => any> | undefined} reducers
+ * @param {import('./types.js').StringifyOptions & { buffers: true }} options
+ * @returns {import('./types.js').StringifiedWithBuffers}
+ */
+/**
+ * Turn a value into a JSON string that can be parsed with `devalue.parse`
+ * @overload
+ * @param {any} value
+ * @param {Record<string, (value: any) => any>} [reducers]
+ * @param {import('./types.js').StringifyOptions & { buffers?: false }} [options]
+ * @returns {string}
+ */
+/**
+ * Turn a value into a JSON string that can be parsed with `devalue.parse`
+ * @overload
  * @param {any} value
  * @param {Record<string, (value: any) => any>} [reducers]
  * @param {import('./types.js').StringifyOptions} [options]
+ * @returns {string | import('./types.js').StringifiedWithBuffers}
+ */
+/**
+ * @param {any} value
+ * @param {Record<string, (value: any) => any>} [reducers]
+ * @param {import('./types.js').StringifyOptions} [options]
+ * @returns {string | import('./types.js').StringifiedWithBuffers}
  */
 export function stringify(value, reducers, options) {
-	const stringified = run(false, value, reducers, options);
-	return typeof stringified === 'string' ? stringified : `[${stringified.join(',')}]`;
+	/** @type {ArrayBufferLike[] | undefined} */
+	const buffers = options?.buffers ? [] : undefined;
+
+	/** @type {string[]} */
+	const paths = [];
+
+	const stringified = run(false, value, reducers, options, undefined, buffers, { paths });
+	const json = format(stringified, paths, options);
+
+	return buffers ? { json, buffers } : json;
 }
 
 /**
  * Turn a value into a JSON string that can be parsed with `devalue.parse`
+ * @overload
+ * @param {any} value
+ * @param {Record<string, (value: any) => any> | undefined} reducers
+ * @param {import('./types.js').StringifyOptions & { buffers: true }} options
+ * @returns {Promise<import('./types.js').StringifiedWithBuffers>}
+ */
+/**
+ * Turn a value into a JSON string that can be parsed with `devalue.parse`
+ * @overload
+ * @param {any} value
+ * @param {Record<string, (value: any) => any>} [reducers]
+ * @param {import('./types.js').StringifyOptions & { buffers?: false }} [options]
+ * @returns {Promise<string>}
+ */
+/**
+ * Turn a value into a JSON string that can be parsed with `devalue.parse`
+ * @overload
  * @param {any} value
  * @param {Record<string, (value: any) => any>} [reducers]
  * @param {import('./types.js').StringifyOptions} [options]
+ * @returns {Promise<string | import('./types.js').StringifiedWithBuffers>}
+ */
+/**
+ * @param {any} value
+ * @param {Record<string, (value: any) => any>} [reducers]
+ * @param {import('./types.js').StringifyOptions} [options]
+ * @returns {Promise<string | import('./types.js').StringifiedWithBuffers>}
  */
 export async function stringifyAsync(value, reducers, options) {
-	const stringified = run(true, value, reducers, options);
+	/** @type {ArrayBufferLike[] | undefined} */
+	const buffers = options?.buffers ? [] : undefined;
+
+	/** @type {string[]} */
+	const paths = [];
+
+	/** @type {Map<number, number>} */
+	const aliases = new Map();
+
+	const stringified = run(true, value, reducers, options, undefined, buffers, { paths, aliases });
+	const json = await join(stringified, paths, aliases, options);
 
+	return buffers ? { json, buffers } : json;
+}
+
+/**
+ * Joins the slots produced by `run` into a JSON string, once the slots that
+ * are filled in asynchronously are ready
+ * @param {string | any[]} stringified
+ * @param {string[]} paths
+ * @param {Map<number, number>} aliases
+ * @param {import('./types.js').StringifyOptions} [options]
+ */
+async function join(stringified, paths, aliases, options) {
 	if (typeof stringified === 'string') {
 		return stringified;
 	}
 
-	let out = '[';
+	for (let i = 0; i < stringified.length; i += 1) {
+		if (typeof stringified[i] !== 'string') await stringified[i];
+	}
+
+	if (aliases.size === 0) return format(stringified, paths, options);
+
+	// nothing else has a slot when the root is flattened, so a root promise can
+	// only have resolved to a value without one
+	const root = aliases.get(0);
+	if (root !== undefined) return `${root}`;
+
+	return format(...unalias(stringified, paths, aliases), options);
+}
+
+/**
+ * Removes the slots of promises that resolved to a value that has a slot of
+ * its own, or to a value without one such as `undefined`, and points the
+ * references to them at that value instead
+ * @param {string[]} stringified
+ * @param {string[]} paths
+ * @param {Map<number, number>} aliases
+ * @returns {[string[], string[]]}
+ */
+function unalias(stringified, paths, aliases) {
+	/**
+	 * The number of slots that are removed before each slot
+	 * @type {number[]}
+	 */
+	const removed = [];
+	let count = 0;
 
 	for (let i = 0; i < stringified.length; i += 1) {
-		let value = stringified[i];
+		removed[i] = count;
+		if (aliases.has(i)) count += 1;
+	}
 
-		if (typeof value !== 'string') {
-			await value;
-			value = stringified[i];
+	/** @param {number} index */
+	function renumber(index) {
+		while (aliases.has(index)) index = /** @type {number} */ (aliases.get(index));
+		return index < 0 ? index : index - removed[index];
+	}
 
-			if (i === 0 && value < 0) {
-				return `${value}`;
-			}
+	/** @type {string[]} */
+	const slots = [];
+
+	/** @type {string[]} */
+	const kept = [];
+
+	for (let i = 0; i < stringified.length; i += 1) {
+		if (aliases.has(i)) continue;
+
+		const slot = JSON.parse(stringified[i]);
+		let json = stringified[i];
+
+		if (typeof slot === 'object' && slot !== null) {
+			// every value of an object is a reference
+			const references = Array.isArray(slot) ? new Set(refs_of(slot)) : null;
+
+			json = map_items(json, (item, position) => {
+				if (references?.has(position) === false || !/^\d+$/.test(item)) return item;
+				return `${renumber(+item)}`;
+			});
 		}
 
-		out += value;
+		slots.push(json);
+		if (paths[i] !== undefined) kept[slots.length - 1] = paths[i];
+	}
+
+	return [slots, kept];
+}
+
+/**
+ * Joins serialized slots into a JSON string, laid out according to the
+ * `space` and `annotate` options
+ * @param {string | string[]} stringified
+ * @param {string[]} paths - the path to the value in each slot, if annotating
+ * @param {import('./types.js').StringifyOptions} [options]
+ */
+function format(stringified, paths, options) {
+	if (typeof stringified === 'string') {
+		return stringified;
+	}
+
+	// reuse `JSON.stringify`'s normalization of `space` to get the indentation.
+	// The output is laid out without being parsed again, which would undo the
+	// escaping of `<` and line separators
+	const space = options?.space ? JSON.stringify([0], null, options.space).slice(2, -3) : '';
+
+	if (!options?.annotate) {
+		return indent_json(`[${stringified.join(',')}]`, space);
+	}
+
+	const indent = space || '\t';
+
+	let out = '[';
+
+	for (let i = 0; i < stringified.length; i += 1) {
+		const slot = indent_json(stringified[i], space).replaceAll('\n', `\n${indent}`);
+		const path = (paths[i] || '(root)').replace(/[<\n\r\u2028\u2029]/g, (char) =>
+			stringify_string(char).slice(1, -1)
+		);
+
+		out += `\n${indent}// ${i}: ${path}\n${indent}${slot}`;
+		if (i < stringified.length - 1) out += ',';
+	}
+
+	return out + '\n]';
+}
+
+/**
+ * Turn a value into a compact binary encoding that can be parsed with
+ * `devalue.parseBinary`. The bytes of `ArrayBuffer`s and typed arrays are
+ * written as they are, rather than as base64
+ * @param {any} value
+ * @param {Record<string, (value: any) => any>} [reducers]
+ * @param {import('./types.js').StringifyOptions} [options]
+ * @returns {Uint8Array}
+ */
+export function stringifyBinary(value, reducers, options) {
+	/** @type {ArrayBufferLike[]} */
+	const buffers = [];
+
+	const stringified = run(false, value, reducers, options, undefined, buffers);
+
+	return encode_binary(
+		typeof stringified === 'string' ? Number(stringified) : stringified,
+		buffers
+	);
+}
+
+/**
+ * Compute a digest of a value — the same one for any two values that
+ * `devalue.parse` would revive as equivalent, regardless of key order or
+ * insertion order, and including cycles and repeated references. The
+ * digest is that of the `canonical` output of `devalue.stringify`, but is
+ * computed without joining it into a single string
+ * @param {any} value
+ * @param {Record<string, (value: any) => any>} [reducers]
+ * @param {import('./types.js').StringifyOptions} [options]
+ * @returns {string} a 128-bit non-cryptographic digest, as 32 hexadecimal digits
+ */
+export function hash(value, reducers, options) {
+	const stringified = run(false, value, reducers, { ...options, canonical: true });
+	const digest = create_digest();
+
+	if (typeof stringified === 'string') {
+		digest.update(stringified);
+	} else {
+		digest.update('[');
 
-		if (i < stringified.length - 1) {
-			out += ',';
+		for (let i = 0; i < stringified.length; i += 1) {
+			if (i > 0) digest.update(',');
+			digest.update(stringified[i]);
 		}
+
+		digest.update(']');
 	}
 
-	out += ']';
+	return digest.digest();
+}
+
+/**
+ * Finds every value that `stringify` can't serialize, rather than stopping at
+ * the first one. Each is described by the `DevalueError` that `stringify`
+ * would throw for it, whose `code` says why and whose `path` says where it
+ * is — a value that is referred to more than once is reported at each path.
+ * Values inside an unserializable value aren't checked, except for the other
+ * properties of an object with a unique symbol or `__proto__` key
+ * @param {any} value
+ * @param {Record<string, (value: any) => any>} [reducers]
+ * @param {Omit<import('./types.js').StringifyOptions, 'onUnserializable'>} [options]
+ * @returns {DevalueError[]} an empty array if the value can be serialized
+ */
+export function check(value, reducers, options) {
+	/** @type {DevalueError[]} */
+	const errors = [];
+
+	run(false, value, reducers, options, undefined, undefined, { errors });
+
+	return errors;
+}
+
+/**
+ * Returns the value in each slot of the output of `stringify`
+ * @param {any} value
+ * @param {Record<string, (value: any) => any>} [reducers]
+ * @param {import('./types.js').StringifyOptions} [options]
+ * @returns {any[]}
+ */
+export function get_slots(value, reducers, options) {
+	/** @type {any[]} */
+	const slots = [];
+
+	run(false, value, reducers, options, undefined, undefined, { slots });
+
+	return slots;
+}
 
-	return out;
+/**
+ * Turn a value into a stream of strings that can be parsed incrementally. The
+ * first chunk contains everything that can be serialized synchronously, with
+ * promises written as placeholders, as are async iterables, streams, blobs
+ * and bodies that have yet to be read; each subsequent chunk fills in one of
+ * those placeholders as soon as the underlying promise settles or the
+ * contents have been read
+ * @param {any} value
+ * @param {Record<string, (value: any) => any>} [reducers]
+ * @param {import('./types.js').StringifyOptions} [options]
+ * @returns {ReadableStream<string>}
+ */
+export function stringifyStream(value, reducers, options) {
+	return new ReadableStream({
+		start(controller) {
+			run(true, value, reducers, options, controller);
+		}
+	});
 }
 
 /**
@@ -66,8 +347,22 @@ export async function stringifyAsync(value, reducers, options) {
  * @param {any} value
  * @param {Record<string, (value: any) => any>} [reducers]
  * @param {import('./types.js').StringifyOptions} [options]
+ * @param {ReadableStreamDefaultController<string>} [controller] - if provided, the output is
+ * streamed to it, with promises written as `["Promise"]` placeholders that are settled by
+ * later chunks, and slots that are still being filled in as `["Pending"]` placeholders
+ * @param {ArrayBufferLike[]} [buffers] - if provided, the contents of `ArrayBuffer`s are collected
+ * into it rather than base64-encoded, and written as `["ArrayBuffer",n]`
+ * @param {Recording} [record] - if provided, the path to the value in each slot (if the `annotate`
+ * option is set) and the value itself are recorded into it, along with how far into the `sorting`
+ * stack the value refers. If it has `errors`, values that can't be serialized are collected into
+ * them rather than thrown. If it has `aliases`, each promise that resolves to a value that has a
+ * slot of its own (or to one without a slot, such as `undefined`) maps to that value's index
+ * @param {Map<any, Rank>} [ranking] - if provided, the value is a `Set` member or `Map` entry that
+ * is being serialized to determine its canonical order, and this holds the ranks that have
+ * already been determined. Values that can't be serialized are written as placeholders, rather
+ * than reported, since the containing value is serialized for real once it has been ordered
  */
-function run(async, value, reducers, options) {
+function run(async, value, reducers, options, controller, buffers, record, ranking) {
 	const ops = merge_operations(default_stringify_operations, options?.operations);
 
 	/** @type {any[]} */
@@ -87,8 +382,66 @@ function run(async, value, reducers, options) {
 	/** @type {string[]} */
 	const keys = [];
 
+	const classes = options?.classes ? get_class_names(options.classes) : null;
+
+	const annotate = options?.annotate ? record?.paths : undefined;
+	const slots = record?.slots;
+	const errors = record?.errors;
+	const aliases = record?.aliases;
+
+	/**
+	 * The error about the value whose replacement (as returned by
+	 * `onUnserializable`) is being serialized, if any
+	 * @type {DevalueError | null}
+	 */
+	let replacing = null;
+
+	/**
+	 * The values that have been collected into `errors`, and why
+	 * @type {Map<any, DevalueError>}
+	 */
+	const failures = new Map();
+
+	const canonical = !!options?.canonical;
+
+	/** @type {Map<any, Rank>} */
+	const ranks = ranking ?? new Map();
+
+	/**
+	 * Where each value is referred to from, once `referrers` has found out
+	 * @type {Map<any, string> | undefined}
+	 */
+	let referred;
+
+	/** The number of entries at the bottom of the `sorting` stack that the value refers to */
+	let depth = 0;
+
 	let p = 0;
 
+	/** The number of streamed promises and async iterables that have yet to settle */
+	let pending = 0;
+
+	/** Whether the first chunk has been streamed */
+	let started = false;
+
+	/** The number of slots that have been streamed */
+	let sent = 0;
+
+	/**
+	 * Streamed promises that have settled, and slots that have been filled in
+	 * asynchronously since they were streamed as `["Pending"]` placeholders,
+	 * as the first part of the chunk that replaces their placeholder, waiting
+	 * to be sent
+	 * @type {string[]}
+	 */
+	const settlements = [];
+
+	/**
+	 * The slots that have been streamed as `["Pending"]` placeholders
+	 * @type {Set<number>}
+	 */
+	const placeholders = new Set();
+
 	/**
 	 * @param {any} thing
 	 * @param {number} [index]
@@ -113,11 +466,30 @@ function run(async, value, reducers, options) {
 		}
 
 		const id = ops.identify(thing);
+		const failure = errors && failures.get(id);
+
+		// every path to a value that can't be serialized is reported
+		if (failure) {
+			errors.push(new DevalueError(failure.message, keys, thing, value, failure.code));
+			return UNDEFINED;
+		}
 
 		if (indexes.has(id)) return /** @type {number} */ (indexes.get(id));
 
 		index ??= p++;
 		indexes.set(id, index);
+		if (annotate) annotate[index] = keys.join('');
+		if (slots) slots[index] = thing;
+
+		// a `Set` or `Map` whose members are being ordered is referred to by its
+		// position in the stack, rather than serialized all over again
+		const ordering = sorting.indexOf(id);
+
+		if (ordering !== -1) {
+			depth = Math.max(depth, ordering + 1);
+			stringified[index] = `["Sorting",${ordering}]`;
+			return index;
+		}
 
 		for (const { key, fn } of custom) {
 			const value = fn(thing);
@@ -128,38 +500,220 @@ function run(async, value, reducers, options) {
 		}
 
 		if (type === 'function') {
-			throw new DevalueError(`Cannot stringify a function`, keys, thing, value);
-		} else if (type === 'symbol') {
-			throw new DevalueError(`Cannot stringify a Symbol primitive`, keys, thing, value);
+			return unserializable('FUNCTION', `Cannot stringify a function`, thing, index);
 		}
 
 		/** @type {string | Promise<any>} */
 		let str = '';
 
-		if (type !== 'object') {
+		const class_name =
+			classes && type === 'object' ? classes.get(ops.prototypeOf(thing)) : undefined;
+
+		if (type === 'symbol') {
+			const info = ops.symbolInfo(thing);
+
+			if (info.kind === 'unique') {
+				return unserializable(
+					'UNIQUE_SYMBOL',
+					`Cannot stringify a unique Symbol — only registered (Symbol.for) and well-known symbols can be recreated`,
+					thing,
+					index
+				);
+			}
+
+			str =
+				info.kind === 'registered'
+					? `["Symbol",${stringify_string(info.key)}]`
+					: `["WellKnownSymbol",${stringify_string(info.key)}]`;
+		} else if (type !== 'object') {
 			str = stringify_primitive(type === 'number' ? number : ops.toPrimitive(thing));
+		} else if (class_name !== undefined) {
+			const own_keys = ops.keysOf(thing);
+
+			if (own_keys.includes('__proto__')) {
+				return unserializable(
+					'PROTO_PROPERTY',
+					`Cannot stringify objects with __proto__ keys`,
+					thing,
+					index,
+					own_keys
+				);
+			}
+
+			str = `["Class",${stringify_string(class_name)}`;
+
+			for (const key of sort(own_keys)) {
+				keys.push(stringify_key(key));
+				str += `,${stringify_string(key)},${flatten(ops.get(thing, key))}`;
+				keys.pop();
+			}
+
+			str += ']';
 		} else if (ops.isThenable(thing)) {
 			if (!async) {
-				throw new DevalueError(
+				return unserializable(
+					'ASYNC',
 					`Cannot stringify a Promise or thenable — use stringifyAsync instead`,
-					keys,
 					thing,
-					value
+					index
 				);
 			}
 
-			str = ops.toPromise(thing).then((value) => {
-				const i = flatten(value, index);
-				if (i < 0) stringified[index] = i;
-			});
+			const path = keys.slice();
+
+			if (controller) {
+				str = '["Promise"]';
+				pending += 1;
+
+				ops
+					.toPromise(thing)
+					.then(
+						(value) => resume(path, () => settle(index, value, false)),
+						(error) => resume(path, () => settle(index, error, true))
+					)
+					// if the stream was cancelled or has already errored, this is a no-op
+					.catch((error) => controller.error(error));
+			} else if (options?.preservePromises) {
+				str = ops.toPromise(thing).then(
+					(value) => {
+						stringified[index] = resume(path, () => settled(value, false));
+					},
+					(error) => {
+						stringified[index] = resume(path, () => settled(error, true));
+					}
+				);
+			} else {
+				str = ops.toPromise(thing).then((value) => {
+					const i = resume(path, () => flatten(value, index));
+
+					// the promise's slot is removed, and its references point at the value's
+					if (i !== index) aliases?.set(index, i);
+				});
+			}
 		} else {
 			const tag = ops.tagOf(thing);
 
 			switch (tag) {
+				case 'ReadableStream':
+					if (!async) {
+						return unserializable(
+							'ASYNC',
+							`Cannot stringify a ReadableStream or async iterable — use stringifyAsync instead`,
+							thing,
+							index
+						);
+					}
+
+					str = drain(tag, thing, index);
+					break;
+
+				case 'Blob':
+				case 'File': {
+					if (!async) {
+						return unserializable(
+							'ASYNC',
+							`Cannot stringify a ${tag} — use stringifyAsync instead`,
+							thing,
+							index
+						);
+					}
+
+					// the bytes are read asynchronously, so the slot is filled in later
+					const info = ops.blobInfo(thing);
+					const slot = index;
+					const path = keys.slice();
+
+					let rest = `,${stringify_string(info.type)}`;
+					if (tag === 'File') {
+						rest += `,${stringify_string(String(info.name))},${info.lastModified}`;
+					}
+
+					str = wait(
+						slot,
+						Promise.resolve(info.buffer).then((buffer) => {
+							const contents = resume(path, () => flatten(buffer));
+							stringified[slot] = `["${tag}",${contents}${rest}]`;
+						})
+					);
+					break;
+				}
+
+				case 'Request':
+				case 'Response': {
+					if (!async) {
+						return unserializable(
+							'ASYNC',
+							`Cannot stringify a ${tag} — use stringifyAsync instead`,
+							thing,
+							index
+						);
+					}
+
+					// the body is read asynchronously, so the slot is filled in later
+					const slot = index;
+					const path = keys.slice();
+
+					let head;
+					let info;
+
+					if (tag === 'Request') {
+						info = ops.requestInfo(thing);
+						head = `["Request",${stringify_string(info.url)},${stringify_string(info.method)}`;
+					} else {
+						info = ops.responseInfo(thing);
+						head = `["Response",${info.status},${stringify_string(info.statusText)}`;
+					}
+
+					if (info.bodyUsed) {
+						return unserializable(
+							'BODY_USED',
+							`Cannot stringify a ${tag} whose body has already been read`,
+							thing,
+							index
+						);
+					}
+
+					keys.push('.headers');
+					head += `,${flatten(info.headers)}`;
+					keys.pop();
+
+					str = wait(
+						slot,
+						Promise.resolve(info.body).then((body) => {
+							const contents = resume(path, () => flatten(body ?? undefined));
+							stringified[slot] = `${head},${contents}]`;
+						})
+					);
+					break;
+				}
+
+				case 'Headers':
+					str = '["Headers"';
+
+					for (const [name, value] of ops.entriesOf(thing)) {
+						str += `,${stringify_string(String(name))},${stringify_string(String(value))}`;
+					}
+
+					str += ']';
+					break;
+
+				case 'FormData':
+					str = '["FormData"';
+
+					for (const [name, value] of ops.entriesOf(thing)) {
+						keys.push(`.get(${stringify_string(String(name))})`);
+						str += `,${stringify_string(String(name))},${flatten(value)}`;
+						keys.pop();
+					}
+
+					str += ']';
+					break;
+
 				case 'Number':
 				case 'String':
 				case 'Boolean':
 				case 'BigInt':
+				case 'Symbol':
 					str = `["Object",${flatten(ops.unbox(thing))}]`;
 					break;
 
@@ -182,6 +736,56 @@ function run(async, value, reducers, options) {
 						: `["RegExp",${stringify_string(source)}]`;
 					break;
 
+				case 'Error':
+				case 'DOMException': {
+					const info = ops.errorInfo(thing);
+
+					if (info.keys.includes('__proto__')) {
+						return unserializable(
+							'PROTO_PROPERTY',
+							`Cannot stringify objects with __proto__ keys`,
+							thing,
+							index,
+							info.keys
+						);
+					}
+
+					str =
+						tag === 'DOMException'
+							? `["DOMException",${stringify_string(info.message)},${stringify_string(info.name)}`
+							: `["Error","${info.kind}",${stringify_string(info.message)}`;
+
+					// `name` and `stack` are always strings, so they're written inline
+					if (tag !== 'DOMException' && info.name !== info.kind) {
+						str += `,"name",${stringify_string(info.name)}`;
+					}
+
+					if (options?.stack && info.stack !== undefined) {
+						str += `,"stack",${stringify_string(info.stack)}`;
+					}
+
+					if ('cause' in info) {
+						keys.push('.cause');
+						str += `,"cause",${flatten(info.cause)}`;
+						keys.pop();
+					}
+
+					if ('errors' in info) {
+						keys.push('.errors');
+						str += `,"errors",${flatten(info.errors)}`;
+						keys.pop();
+					}
+
+					for (const key of sort(info.keys)) {
+						keys.push(stringify_key(key));
+						str += `,${stringify_string(key)},${flatten(ops.get(thing, key))}`;
+						keys.pop();
+					}
+
+					str += ']';
+					break;
+				}
+
 				case 'Array': {
 					// For dense arrays (no holes), we iterate normally.
 					// When we encounter the first hole, we call Object.keys
@@ -268,20 +872,25 @@ function run(async, value, reducers, options) {
 					break;
 				}
 
-				case 'Set':
+				case 'Set': {
 					str = '["Set"';
 
-					for (const value of ops.valuesOf(thing)) {
+					const values = ops.valuesOf(thing);
+
+					for (const value of canonical ? order(thing, values, (value) => [value]) : values) {
 						str += `,${flatten(value)}`;
 					}
 
 					str += ']';
 					break;
+				}
 
-				case 'Map':
+				case 'Map': {
 					str = '["Map"';
 
-					for (const [key, value] of ops.entriesOf(thing)) {
+					const entries = ops.entriesOf(thing);
+
+					for (const [key, value] of canonical ? order(thing, entries, (entry) => entry) : entries) {
 						const key_type = ops.typeOf(key);
 						const key_is_primitive =
 							key_type !== 'object' && key_type !== 'function' && key_type !== 'symbol';
@@ -294,6 +903,7 @@ function run(async, value, reducers, options) {
 
 					str += ']';
 					break;
+				}
 
 				case 'Int8Array':
 				case 'Uint8Array':
@@ -310,8 +920,13 @@ function run(async, value, reducers, options) {
 					const info = ops.viewInfo(thing);
 					str = '["' + tag + '",' + flatten(info.buffer);
 
-					// handle subarrays
-					if (info.byteLength !== info.bufferByteLength) {
+					if (info.lengthTracking) {
+						if (info.byteOffset > 0) str += `,${info.byteOffset}`;
+					} else if (
+						info.byteLength !== info.bufferByteLength ||
+						info.lengthTracking === false
+					) {
+						// handle subarrays, and fixed-length views over resizable buffers
 						str += `,${info.byteOffset},${info.length}`;
 					}
 
@@ -323,7 +938,12 @@ function run(async, value, reducers, options) {
 					const info = ops.viewInfo(thing);
 					str = '["' + tag + '",' + flatten(info.buffer);
 
-					if (info.byteLength !== info.bufferByteLength) {
+					if (info.lengthTracking) {
+						if (info.byteOffset > 0) str += `,${info.byteOffset}`;
+					} else if (
+						info.byteLength !== info.bufferByteLength ||
+						info.lengthTracking === false
+					) {
 						str += `,${info.byteOffset},${info.byteLength}`;
 					}
 
@@ -331,10 +951,27 @@ function run(async, value, reducers, options) {
 					break;
 				}
 
-				case 'ArrayBuffer': {
-					const base64 = encode64(ops.toArrayBuffer(thing));
+				case 'ArrayBuffer':
+				case 'SharedArrayBuffer': {
+					const info = ops.bufferInfo(thing);
+
+					if (info.detached) {
+						return unserializable(
+							'DETACHED_BUFFER',
+							`Cannot stringify a detached ArrayBuffer`,
+							thing,
+							index
+						);
+					}
+
+					const contents = buffers
+						? buffers.push(ops.toArrayBuffer(thing)) - 1
+						: `"${encode64(ops.toArrayBuffer(thing))}"`;
 
-					str = `["ArrayBuffer","${base64}"]`;
+					str =
+						info.maxByteLength === undefined
+							? `["${tag}",${contents}]`
+							: `["${tag}",${contents},${info.maxByteLength}]`;
 					break;
 				}
 
@@ -350,46 +987,66 @@ function run(async, value, reducers, options) {
 					break;
 
 				default: {
+					if (ops.isAsyncIterable(thing)) {
+						if (!async) {
+							return unserializable(
+								'ASYNC',
+								`Cannot stringify a ReadableStream or async iterable — use stringifyAsync instead`,
+								thing,
+								index
+							);
+						}
+
+						str = drain('AsyncIterable', thing, index);
+						break;
+					}
+
 					const shape = ops.shapeOf(thing);
 
 					if (shape.kind === 'not-plain') {
-						throw new DevalueError(`Cannot stringify arbitrary non-POJOs`, keys, thing, value);
+						return unserializable('NON_POJO', `Cannot stringify arbitrary non-POJOs`, thing, index);
 					}
 
 					if (shape.kind === 'symbol-keys') {
-						throw new DevalueError(`Cannot stringify POJOs with symbolic keys`, keys, thing, value);
+						return unserializable(
+							'SYMBOL_KEY',
+							`Cannot stringify POJOs with symbolic keys`,
+							thing,
+							index,
+							ops.keysOf(thing)
+						);
 					}
 
-					if (shape.kind === 'null-proto') {
-						str = '["null"';
-						for (const key of shape.keys) {
-							if (key === '__proto__') {
-								throw new DevalueError(
-									`Cannot stringify objects with __proto__ keys`,
-									keys,
-									thing,
-									value
-								);
-							}
+					if (shape.keys.includes('__proto__')) {
+						return unserializable(
+							'PROTO_PROPERTY',
+							`Cannot stringify objects with __proto__ keys`,
+							thing,
+							index,
+							shape.keys
+						);
+					}
 
+					// symbol keys can't be represented as JSON object keys, so objects that
+					// have them are written as key/value pairs, with symbols as references
+					if (shape.kind === 'null-proto' || shape.symbols?.length) {
+						str = shape.kind === 'null-proto' ? '["null"' : '["object"';
+						for (const key of sort(shape.keys)) {
 							keys.push(stringify_key(key));
 							str += `,${stringify_string(key)},${flatten(ops.get(thing, key))}`;
 							keys.pop();
 						}
+						for (const symbol of sort_symbols(shape.symbols ?? [])) {
+							const info = ops.symbolInfo(symbol);
+							keys.push(info.kind === 'unique' ? '[...]' : `[${stringify_symbol(info)}]`);
+							str += `,${flatten(symbol)},${flatten(ops.get(thing, symbol))}`;
+							keys.pop();
+						}
 						str += ']';
 					} else {
 						str = '{';
 						let started = false;
-						for (const key of shape.keys) {
-							if (key === '__proto__') {
-								throw new DevalueError(
-									`Cannot stringify objects with __proto__ keys`,
-									keys,
-									thing,
-									value
-								);
-							}
-
+						for (const key of sort(shape.keys)) {
 							if (started) str += ',';
 							started = true;
 							keys.push(stringify_key(key));
@@ -406,14 +1063,398 @@ function run(async, value, reducers, options) {
 		return index;
 	}
 
+	/**
+	 * Throws a `DevalueError` for a value that can't be serialized, unless the
+	 * `onUnserializable` option returns a replacement for it, in which case
+	 * that is serialized instead. Anything else that refers to the value gets
+	 * the replacement too
+	 * @param {import('./types.js').StringifyErrorCode} code
+	 * @param {string} message
+	 * @param {any} thing
+	 * @param {number} index - the slot that was reserved for `thing`
+	 * @param {string[]} [names] - the keys of an object that can't be serialized because of
+	 * another of its keys, whose values are checked if errors are being collected
+	 * @returns {number}
+	 */
+	function unserializable(code, message, thing, index, names = []) {
+		if (ranking) {
+			stringified[index] = `["${code}"]`;
+			return index;
+		}
+
+		const error = new DevalueError(message, keys, thing, value, code);
+
+		if (errors) {
+			errors.push(error);
+			failures.set(ops.identify(thing), error);
+
+			for (const key of names) {
+				if (key === '__proto__') continue;
+
+				keys.push(stringify_key(key));
+				flatten(ops.get(thing, key));
+				keys.pop();
+			}
+
+			return index;
+		}
+
+		if (!options?.onUnserializable) throw error;
+
+		// a replacement isn't replaced in turn — if it can't be serialized
+		// either, the error is about the value it replaced
+		if (replacing) throw replacing;
+
+		const replacement = options.onUnserializable(error);
+		if (replacement === thing) throw error;
+
+		replacing = error;
+
+		try {
+			// a resolved promise's value fills in the promise's slot, which is
+			// already in use. Otherwise nothing has used the reserved slot yet, so
+			// it is given back in case the replacement already has one
+			if (stringified[index] !== undefined) return flatten(replacement, index);
+
+			p -= 1;
+			if (annotate) annotate.length = p;
+			if (slots) slots.length = p;
+
+			const id = ops.identify(thing);
+			indexes.delete(id);
+
+			const replaced = flatten(replacement);
+			indexes.set(id, replaced);
+
+			return replaced;
+		} finally {
+			replacing = null;
+		}
+	}
+
+	/**
+	 * Puts property keys in canonical order, if the `canonical` option is set
+	 * @param {string[]} names
+	 */
+	function sort(names) {
+		return canonical ? [...names].sort() : names;
+	}
+
+	/**
+	 * Puts symbol keys in canonical order, if the `canonical` option is set
+	 * @param {any[]} symbols
+	 */
+	function sort_symbols(symbols) {
+		if (!canonical) return symbols;
+
+		const named = symbols.map((symbol) => {
+			const info = ops.symbolInfo(symbol);
+			return { symbol, name: info.kind === 'unique' ? '' : stringify_symbol(info) };
+		});
+
+		return named.sort((a, b) => compare(a.name, b.name)).map(({ symbol }) => symbol);
+	}
+
+	/**
+	 * Puts the members of a `Set` or the entries of a `Map` in canonical order:
+	 * by the serialization of each member (or entry key, then value) as a value
+	 * in its own right, with ties going to those that already have a slot.
+	 * Members that are structurally identical but distinct objects, and have
+	 * yet to be serialized, are told apart by where they are referred to from
+	 * @template T
+	 * @param {any} container
+	 * @param {Iterable<T>} members
+	 * @param {(member: T) => any[]} parts - the values that determine a member's place
+	 * @returns {T[]}
+	 */
+	function order(container, members, parts) {
+		sorting.push(ops.identify(container));
+
+		try {
+			const ranked = Array.from(members, (member) => {
+				const values = parts(member);
+
+				return {
+					member,
+					rank: values.map(standalone).join('\n'),
+					index: indexes.get(ops.identify(values[0])) ?? Infinity,
+					key: values[0]
+				};
+			});
+
+			ranked.sort(
+				(a, b) =>
+					compare(a.rank, b.rank) ||
+					a.index - b.index ||
+					compare(referrers(a.key), referrers(b.key))
+			);
+
+			return ranked.map(({ member }) => member);
+		} finally {
+			sorting.pop();
+		}
+	}
+
+	/**
+	 * Describes where a value is referred to from — each reference as the
+	 * path to the value containing it, followed by its key there — so that
+	 * members that serialize the same way on their own can be put in an order
+	 * that doesn't depend on the order in which they were inserted. The paths
+	 * are found on the first call, by serializing the whole value without
+	 * putting anything in order
+	 * @param {any} thing
+	 * @returns {string}
+	 */
+	function referrers(thing) {
+		if (!referred) {
+			referred = new Map();
+
+			/** @type {any[]} */
+			const things = [];
+
+			// serialized as if by itself, rather than as part of the containers being ordered
+			const stack = sorting.splice(0);
+			const unordered = { ...options, canonical: false };
+			const record = { slots: things };
+			let serialized;
+
+			try {
+				serialized = run(false, value, reducers, unordered, undefined, undefined, record, new Map());
+			} finally {
+				sorting.push(...stack);
+			}
+
+			if (typeof serialized !== 'string') {
+				const values = serialized.map((slot) => JSON.parse(slot));
+
+				const references = values.map(() => /** @type {string[]} */ ([]));
+
+				for (const [index, path] of get_paths(values)) {
+					for (const [child, key] of get_children(values, values[index])) {
+						references[child]?.push(path + key);
+					}
+				}
+
+				references.forEach((list, index) => {
+					referred?.set(ops.identify(things[index]), list.sort(compare).join('\n'));
+				});
+			}
+		}
+
+		return referred.get(ops.identify(thing)) ?? '';
+	}
+
+	/**
+	 * Serializes a value on its own, to determine its canonical order. Each
+	 * value is only serialized once, unless it refers to a container that is
+	 * being ordered and that container is now elsewhere in the stack
+	 * @param {any} thing
+	 * @returns {string}
+	 */
+	function standalone(thing) {
+		const id = ops.identify(thing);
+		let rank = ranks.get(id);
+
+		if (!rank || rank.prefix.some((container, i) => sorting[i] !== container)) {
+			/** @type {{ depth?: number }} */
+			const nested = {};
+			const stringified = run(false, thing, reducers, options, undefined, undefined, nested, ranks);
+
+			rank = {
+				value: typeof stringified === 'string' ? stringified : stringified.join(','),
+				prefix: sorting.slice(0, nested.depth)
+			};
+
+			ranks.set(id, rank);
+		}
+
+		depth = Math.max(depth, rank.prefix.length);
+		return rank.value;
+	}
+
+	/**
+	 * Serializes a settled promise as `["Promise",value]`, or as
+	 * `["Promise",reason,1]` if it was rejected
+	 * @param {any} value
+	 * @param {boolean} rejected
+	 */
+	function settled(value, rejected) {
+		return `["Promise",${flatten(value)}${rejected ? ',1' : ''}]`;
+	}
+
+	/**
+	 * Serializes the items of an async iterable or `ReadableStream` as
+	 * `[tag,...items]`. The value occupies its slot while it is being drained,
+	 * but the slot is only filled in once it has been
+	 * @param {'AsyncIterable' | 'ReadableStream'} tag
+	 * @param {any} thing
+	 * @param {number} index
+	 * @returns {Promise<void>}
+	 */
+	function drain(tag, thing, index) {
+		const path = keys.slice();
+
+		return wait(
+			index,
+			(async () => {
+				let str = `["${tag}"`;
+
+				for await (const item of ops.asyncValuesOf(thing)) {
+					str += `,${resume(path, () => flatten(item))}`;
+				}
+
+				stringified[index] = str + ']';
+			})()
+		);
+	}
+
+	/**
+	 * Serializes part of a value asynchronously, once the synchronous pass
+	 * (or another asynchronous one) has unwound the keys stack, with `path`
+	 * reinstated as the keys of the value being serialized
+	 * @template T
+	 * @param {string[]} path
+	 * @param {() => T} fn
+	 * @returns {T}
+	 */
+	function resume(path, fn) {
+		const saved = keys.splice(0, keys.length, ...path);
+
+		try {
+			return fn();
+		} finally {
+			keys.splice(0, keys.length, ...saved);
+		}
+	}
+
+	/**
+	 * Keeps the stream (if any) open until a slot that is being filled in
+	 * asynchronously — a drained iterable, or a blob whose bytes are being
+	 * read — is ready, and then sends it if it was sent as a placeholder
+	 * @param {number} index
+	 * @param {Promise<void>} promise
+	 */
+	function wait(index, promise) {
+		if (controller) {
+			pending += 1;
+
+			promise
+				.then(() => {
+					if (placeholders.delete(index)) {
+						settlements.push(`[${index},${stringified[index]}`);
+					}
+
+					pending -= 1;
+					flush();
+				})
+				.catch((error) => controller.error(error));
+		}
+
+		return promise;
+	}
+
+	/**
+	 * Queues a chunk of the form `[index,["Promise",value],...slots]`, which
+	 * replaces the placeholder at `index` with the settled promise and appends
+	 * the slots that were created while serializing its value
+	 * @param {number} index
+	 * @param {any} value
+	 * @param {boolean} rejected
+	 */
+	function settle(index, value, rejected) {
+		settlements.push(`[${index},${settled(value, rejected)}`);
+		pending -= 1;
+		flush();
+	}
+
+	/**
+	 * Sends everything that is ready to the stream. Slots that are still being
+	 * filled in are sent as `["Pending"]` placeholders, and replaced by later
+	 * chunks, so that nothing waits for them. Slots created since the last
+	 * chunk are appended to the next one — if there isn't one yet, then the
+	 * value they belong to is still being serialized, and will be sent later
+	 */
+	function flush() {
+		const stream = /** @type {ReadableStreamDefaultController<string>} */ (controller);
+
+		/** Returns the slots that haven't been sent yet, each preceded by a comma */
+		function take() {
+			let slots = '';
+
+			for (; sent < p; sent += 1) {
+				if (typeof stringified[sent] === 'string') {
+					slots += `,${stringified[sent]}`;
+				} else {
+					slots += ',["Pending"]';
+					placeholders.add(sent);
+				}
+			}
+
+			return slots;
+		}
+
+		if (!started) {
+			started = true;
+			stream.enqueue(index < 0 ? `${index}\n` : `[${take().slice(1)}]\n`);
+		}
+
+		// new slots are appended by the first chunk, so later ones can refer to them
+		for (const settlement of settlements) {
+			stream.enqueue(`${settlement}${take()}]\n`);
+		}
+
+		settlements.length = 0;
+
+		if (pending === 0) stream.close();
+	}
+
 	const index = flatten(value);
 
+	if (record) record.depth = depth;
+	if (controller) flush();
+
 	// special case — value is represented as a negative index
 	if (index < 0) return `${index}`;
 
 	return stringified;
 }
 
+/**
+ * The identities of the `Set`s and `Map`s whose members are being put in
+ * canonical order. Ordering serializes each member, which may lead back to
+ * the container, so nested calls to `run` need to see every container that
+ * is being ordered. Ordering is always synchronous, so this can be shared
+ * @type {any[]}
+ */
+const sorting = [];
+
+/**
+ * The serialization of a `Set` member or `Map` entry that determines its
+ * canonical order, along with the bottom of the `sorting` stack at the time,
+ * as far as the serialization refers to it
+ * @typedef {{ value: string, prefix: any[] }} Rank
+ */
+
+/**
+ * What `run` records about the value it serializes
+ * @typedef {{
+ *   paths?: string[],
+ *   slots?: any[],
+ *   depth?: number,
+ *   errors?: DevalueError[],
+ *   aliases?: Map<number, number>
+ * }} Recording
+ */
+
+/**
+ * Compares strings by UTF-16 code units, like the default sort order
+ * @param {string} a
+ * @param {string} b
+ */
+function compare(a, b) {
+	return a < b ? -1 : a > b ? 1 : 0;
+}
+
 /**
  * @param {any} thing
  * @returns {string}
@@ -426,3 +1467,38 @@ function stringify_primitive(thing) {
 	if (type === 'bigint') return `["BigInt","${thing}"]`;
 	return String(thing);
 }
+
+/**
+ * Returns the shortest path to each slot that can be reached from the root,
+ * choosing between paths of the same length by comparing them, so that the
+ * paths don't depend on the order in which `Set` members and `Map` entries
+ * were inserted
+ * @param {any[]} values
+ * @returns {Map<number, string>}
+ */
+function get_paths(values) {
+	/** @type {Map<number, string>} */
+	const paths = new Map([[0, '']]);
+	let frontier = [0];
+
+	while (frontier.length > 0) {
+		/** @type {Map<number, string>} */
+		const next = new Map();
+
+		for (const index of frontier) {
+			for (const [child, key] of get_children(values, values[index])) {
+				if (child < 0 || paths.has(child)) continue;
+
+				const path = paths.get(index) + key;
+				const best = next.get(child);
+
+				if (best === undefined || compare(path, best) < 0) next.set(child, path);
+			}
+		}
+
+		for (const [child, path] of next) paths.set(child, path);
+		frontier = [...next.keys()];
+	}
+
+	return paths;
+}
@@ -1,3 +1,5 @@
+import type { DevalueError } from './utils.js';
+
 export type StringValueTag =
 	| 'URL'
 	| 'URLSearchParams'
@@ -25,6 +27,17 @@ export type ViewTag =
 	| 'BigUint64Array'
 	| 'DataView';
 
+/** The built-in error constructors that `stringify` and `parse` support. */
+export type ErrorKind =
+	| 'Error'
+	| 'EvalError'
+	| 'RangeError'
+	| 'ReferenceError'
+	| 'SyntaxError'
+	| 'TypeError'
+	| 'URIError'
+	| 'AggregateError';
+
 export type TypedArray =
 	| Int8Array
 	| Uint8Array
@@ -118,6 +131,16 @@ export interface StringifyOperations {
 	 */
 	toPrimitive(value: any): undefined | null | boolean | number | bigint | string;
 
+	/**
+	 * Returns the registry key of a symbol created with `Symbol.for`, or the
+	 * name of a well-known symbol like `Symbol.iterator` (`'iterator'`).
+	 * Other symbols are `'unique'` — they can't be recreated, so stringify
+	 * throws. Only called for values whose `typeOf` is `'symbol'`.
+	 */
+	symbolInfo(
+		symbol: any
+	): { kind: 'registered' | 'well-known'; key: string } | { kind: 'unique' };
+
 	/**
 	 * Returns the brand of an object value — the strings produced by
 	 * `Object.prototype.toString` without the wrapping (`'Date'`, `'Array'`,
@@ -128,17 +151,49 @@ export interface StringifyOperations {
 	 */
 	tagOf(value: any): string;
 
+	/**
+	 * Returns the prototype of an object value, which is compared (with `Map`
+	 * key semantics) against the `prototype` of each of the `classes` passed
+	 * to `stringify`. Only called if `classes` were passed.
+	 * Equivalent to `Object.getPrototypeOf(value)`.
+	 */
+	prototypeOf(value: any): unknown;
+
+	/**
+	 * Returns the own enumerable string keys of an instance of one of the
+	 * `classes` passed to `stringify`, whose values are read with `get`.
+	 * Equivalent to `Object.keys(value)`.
+	 */
+	keysOf(value: any): string[];
+
 	/** Returns true if the object value should be treated as a thenable. */
 	isThenable(value: any): boolean;
 
 	/**
 	 * Converts a thenable into a native promise, whose settled value is then
 	 * serialized. The returned promise may reject, in which case
-	 * `stringifyAsync` rejects. Only called from `stringifyAsync`, for values
-	 * where `isThenable` returned true.
+	 * `stringifyAsync` rejects (`stringifyStream` serializes the rejection
+	 * reason instead). Only called from `stringifyAsync` and
+	 * `stringifyStream`, for values where `isThenable` returned true.
 	 */
 	toPromise(thenable: any): Promise<any>;
 
+	/**
+	 * Returns true if an object value should be treated as an async iterable
+	 * (other than a `ReadableStream`, which is identified by its `tagOf`).
+	 * Only called if `isThenable` returned false. Default: checks for a
+	 * `Symbol.asyncIterator` method.
+	 */
+	isAsyncIterable(value: any): boolean;
+
+	/**
+	 * Returns an async iterable over the items of an async iterable or
+	 * `ReadableStream` value, which `stringifyAsync` drains before
+	 * serializing them. The iterable is consumed on the host; items may be
+	 * foreign values/handles.
+	 */
+	asyncValuesOf(iterable: any): AsyncIterable<any>;
+
 	/**
 	 * Extracts the inner value of a boxed primitive (`Number`, `String`,
 	 * `Boolean`, `BigInt` objects). Equivalent to `boxed.valueOf()`. The
@@ -161,6 +216,73 @@ export interface StringifyOperations {
 	/** Returns the source and flags of a `RegExp` value. */
 	regExpInfo(regexp: any): { source: string; flags: string };
 
+	/**
+	 * Returns the `type` of a `Blob` value, the `name` and `lastModified` of a
+	 * `File` value (which are ignored for a `Blob`), and a promise for its
+	 * bytes as an `ArrayBuffer`, which is serialized recursively — so it may
+	 * be a foreign value/handle. Only called from `stringifyAsync` and
+	 * `stringifyStream`.
+	 */
+	blobInfo(blob: any): {
+		type: string;
+		name?: string;
+		lastModified?: number;
+		buffer: Promise<any>;
+	};
+
+	/**
+	 * Returns the URL, method and `Headers` of a `Request` value, and a
+	 * promise for its body as an `ArrayBuffer` (`null` if it has none),
+	 * read without consuming the body, and whether the body has already been
+	 * read (stringify throws if so, since it can't be read again). `headers`
+	 * and the buffer are serialized recursively, so they may be foreign
+	 * values/handles. Only called from `stringifyAsync` and `stringifyStream`.
+	 */
+	requestInfo(request: any): {
+		url: string;
+		method: string;
+		headers: any;
+		bodyUsed: boolean;
+		body: Promise<any> | null;
+	};
+
+	/**
+	 * Returns the status, status text and `Headers` of a `Response` value,
+	 * and its body in the same form as `requestInfo`. Its `url` isn't
+	 * included, since the `Response` constructor can't set it.
+	 */
+	responseInfo(response: any): {
+		status: number;
+		statusText: string;
+		headers: any;
+		bodyUsed: boolean;
+		body: Promise<any> | null;
+	};
+
+	/**
+	 * Returns the parts of an `Error` or `DOMException` value that are
+	 * serialized:
+	 * - `kind` — the closest built-in constructor in its prototype chain,
+	 *   or `'DOMException'`
+	 * - `name`, `message` and `stack` (`undefined` if it has none, and only
+	 *   serialized with the `stack` option)
+	 * - `cause` — only present if the error has an own `cause` property
+	 * - `errors` — only present for `AggregateError`s
+	 * - `keys` — its other own enumerable string keys, read with `get`
+	 *
+	 * `cause` and `errors` are serialized recursively, so they may be
+	 * foreign values/handles.
+	 */
+	errorInfo(error: any): {
+		kind: ErrorKind | 'DOMException';
+		name: string;
+		message: string;
+		stack: string | undefined;
+		cause?: any;
+		errors?: any;
+		keys: string[];
+	};
+
 	/**
 	 * Returns an iterable over the elements of a `Set` value. The iterable
 	 * is consumed on the host; elements may be foreign values/handles.
@@ -168,16 +290,22 @@ export interface StringifyOperations {
 	valuesOf(set: any): Iterable<any>;
 
 	/**
-	 * Returns an iterable over the `[key, value]` entries of a `Map` value.
-	 * The iterable is consumed on the host; keys/values may be foreign
-	 * values/handles.
+	 * Returns an iterable over the `[key, value]` entries of a `Map`,
+	 * `Headers` or `FormData` value. The iterable is consumed on the host;
+	 * keys/values may be foreign values/handles, except for the names and
+	 * values of `Headers` and the names of `FormData`, which must be host
+	 * strings.
 	 */
 	entriesOf(map: any): Iterable<[any, any]>;
 
 	/**
 	 * Returns the view metadata of a typed array or `DataView` value.
 	 * `length` is only meaningful for typed arrays. `buffer` is serialized
-	 * recursively, so it may be a foreign value/handle.
+	 * recursively, so it may be a foreign value/handle. `lengthTracking` is
+	 * whether the view grows and shrinks with its resizable buffer
+	 * (`undefined` if the buffer isn't resizable) — the default assumes so
+	 * for views that extend to the end of the buffer, since it can't be
+	 * observed directly.
 	 */
 	viewInfo(view: any): {
 		buffer: any;
@@ -185,14 +313,23 @@ export interface StringifyOperations {
 		byteLength: number;
 		length?: number;
 		bufferByteLength: number;
+		lengthTracking?: boolean;
 	};
 
 	/**
-	 * Returns a host `ArrayBuffer` with the bytes of an `ArrayBuffer` value.
-	 * Default: the value itself. Foreign-runtime implementations should copy
-	 * the bytes into a host buffer.
+	 * Returns whether an `ArrayBuffer` or `SharedArrayBuffer` value has been
+	 * detached (stringify throws if so), and its `maxByteLength` if it is
+	 * resizable or growable (`undefined` otherwise).
 	 */
-	toArrayBuffer(buffer: any): ArrayBuffer;
+	bufferInfo(buffer: any): { detached: boolean; maxByteLength: number | undefined };
+
+	/**
+	 * Returns a host `ArrayBuffer` (or `SharedArrayBuffer`) with the bytes of
+	 * an `ArrayBuffer` or `SharedArrayBuffer` value. Default: the value
+	 * itself. Foreign-runtime implementations should copy the bytes into a
+	 * host buffer.
+	 */
+	toArrayBuffer(buffer: any): ArrayBufferLike;
 
 	/** Returns the length of an `Array` value. */
 	lengthOf(array: any): number;
@@ -219,25 +356,29 @@ export interface StringifyOperations {
 
 	/**
 	 * Classifies a plain-object candidate:
-	 * - `{ kind: 'plain' | 'null-proto', keys }` — a serializable POJO and
-	 *   its own enumerable string keys
+	 * - `{ kind: 'plain' | 'null-proto', keys, symbols }` — a serializable
+	 *   POJO, its own enumerable string keys and (optionally) its own
+	 *   enumerable symbol keys, which are serialized recursively and must be
+	 *   registered or well-known
 	 * - `{ kind: 'not-plain' }` — a non-POJO (stringify throws)
-	 * - `{ kind: 'symbol-keys' }` — a POJO with enumerable symbol keys
-	 *   (stringify throws)
+	 * - `{ kind: 'symbol-keys' }` — a POJO with enumerable symbol keys that
+	 *   can't be serialized (stringify throws)
 	 */
 	shapeOf(
 		value: any
 	):
-		| { kind: 'plain' | 'null-proto'; keys: string[] }
+		| { kind: 'plain' | 'null-proto'; keys: string[]; symbols?: any[] }
 		| { kind: 'not-plain' }
 		| { kind: 'symbol-keys' };
 
 	/**
-	 * Reads a property from an `Array` or plain-object value. Equivalent to
-	 * `value[key]`. Hardened implementations can read through property
-	 * descriptors to control what happens for accessor properties.
+	 * Reads a property from an `Array`, plain-object, class instance or error
+	 * value. Equivalent to `value[key]`. `key` is one of the `symbols`
+	 * returned by `shapeOf` when reading a symbol-keyed property. Hardened
+	 * implementations can read through property descriptors to control what
+	 * happens for accessor properties.
 	 */
-	get(value: any, key: string | number): any;
+	get(value: any, key: any): any;
 }
 
 /** The native JavaScript implementation exported as `defaultStringifyOperations`. */
@@ -256,19 +397,132 @@ export interface DefaultStringifyOperations extends StringifyOperations {
 		byteLength: number;
 		length?: number;
 		bufferByteLength: number;
+		lengthTracking: boolean | undefined;
 	};
-	toArrayBuffer(buffer: ArrayBuffer): ArrayBuffer;
+	bufferInfo(buffer: ArrayBufferLike): { detached: boolean; maxByteLength: number | undefined };
+	toArrayBuffer(buffer: ArrayBufferLike): ArrayBufferLike;
 	lengthOf(array: any[]): number;
 	indicesOf(array: any[]): string[];
 }
 
-/** Options for `stringify` and `stringifyAsync`. */
+/** Options for `stringify`, `stringifyAsync` and `stringifyStream`. */
 export interface StringifyOptions {
 	/**
 	 * Overrides for the introspection/extraction operations used while
 	 * serializing. Omitted members fall back to `defaultStringifyOperations`.
 	 */
 	operations?: Partial<StringifyOperations>;
+
+	/**
+	 * Whether to include the `stack` of `Error` values. Defaults to `false`,
+	 * so that stack traces don't leak into payloads sent to clients.
+	 */
+	stack?: boolean;
+
+	/**
+	 * Classes whose instances should be serialized, keyed by name. An
+	 * instance (whose prototype is exactly the class's `prototype`) is
+	 * serialized as its own enumerable properties, and revived by `parse` —
+	 * which must be passed the same `classes` — without calling the
+	 * constructor.
+	 */
+	classes?: Record<string, abstract new (...args: any[]) => any>;
+
+	/**
+	 * By default, `stringifyAsync` serializes the resolved value of each
+	 * promise in place of the promise itself. If `true`, promises are
+	 * serialized as promises instead, so that `parse` revives them as
+	 * promises that settle the same way (rejections included). Has no effect
+	 * on `stringify`, which cannot serialize promises, or `stringifyStream`,
+	 * which always preserves them.
+	 */
+	preservePromises?: boolean;
+
+	/**
+	 * If `true`, the contents of each `ArrayBuffer` (including those
+	 * underlying typed arrays, `DataView`s and `Blob`s) are not base64-encoded
+	 * into the JSON, but collected into a separate list of buffers, and only a
+	 * reference is written. `stringify` and `stringifyAsync` then return
+	 * `{ json, buffers }`, and `parse` must be passed the same buffers.
+	 *
+	 * The buffers are the original `ArrayBuffer`s rather than copies, so they
+	 * can be transferred with `postMessage` or sent as parts of a multipart
+	 * request. `SharedArrayBuffer`s are collected too — they can be posted,
+	 * but not transferred. Has no effect on `stringifyStream`.
+	 */
+	buffers?: boolean;
+
+	/**
+	 * Indents the output for readability, like the `space` argument of
+	 * `JSON.stringify`. Has no effect on `stringifyStream` or
+	 * `stringifyBinary`.
+	 */
+	space?: string | number;
+
+	/**
+	 * If `true`, each slot is written on its own line, preceded by a
+	 * `// index: path` comment giving the path to the value it holds (e.g.
+	 * `// 3: .user.roles[0]`). `parse` ignores the comments if given the
+	 * `annotated` option, so the output is still valid input. Slots are
+	 * indented by `space`, or a tab by default. Has no effect on
+	 * `stringifyStream` or `stringifyBinary`.
+	 */
+	annotate?: boolean;
+
+	/**
+	 * If `true`, the output only depends on the structure of the value, and
+	 * not on the order in which it was built up: object keys are sorted, and
+	 * `Set` members and `Map` entries are put in order by the serialization of
+	 * each member (or key), so equal values give identical output. Set and
+	 * Map members must be serializable synchronously, even in
+	 * `stringifyAsync`. Has no effect on `stringifyStream`.
+	 */
+	canonical?: boolean;
+
+	/**
+	 * Called instead of throwing when a value can't be serialized — a
+	 * function, a unique symbol, an instance of a class that isn't in
+	 * `classes`, and so on — with the `DevalueError` that would have been
+	 * thrown, whose `path` and `value` say where and what the value is. The
+	 * value is replaced by whatever is returned, which could be `undefined`,
+	 * a placeholder string, or an instance of a type that has a reducer.
+	 * Throw to stop serializing. The replacement can't contain the value,
+	 * and isn't replaced in turn: if it can't be serialized either, the
+	 * error is thrown.
+	 */
+	onUnserializable?: (error: DevalueError) => any;
+}
+
+/** The result of `stringify` and `stringifyAsync` with the `buffers` option. */
+export interface StringifiedWithBuffers {
+	/** The serialized value, which can be parsed with `parse`. */
+	json: string;
+	/** The contents of the `ArrayBuffer`s referenced by `json`, to be passed to `parse`. */
+	buffers: ArrayBufferLike[];
+}
+
+/** Options for `uneval`. */
+export interface UnevalOptions {
+	/**
+	 * Whether to include the `stack` of `Error` values. Defaults to `false`,
+	 * so that stack traces don't leak into code sent to clients.
+	 */
+	stack?: boolean;
+
+	/**
+	 * Classes whose instances should be serialized, keyed by name. An
+	 * instance is recreated with `Object.create(Class.prototype)` and its
+	 * own enumerable properties, so the names must be in scope when the
+	 * resulting code runs.
+	 */
+	classes?: Record<string, abstract new (...args: any[]) => any>;
+
+	/**
+	 * Called instead of throwing when a value can't be serialized, with the
+	 * `DevalueError` that would have been thrown. The value is replaced by
+	 * whatever is returned. See `StringifyOptions['onUnserializable']`.
+	 */
+	onUnserializable?: (error: DevalueError) => any;
 }
 
 /**
@@ -304,7 +558,7 @@ export interface StringifyOptions {
  *   container is cached before its contents are revived.
  * - bare verbs — value-space operations whose operands and results stay in
  *   value space (`box` inverts `unbox`, `set` inverts `get`, `addValue`
- *   inverts `valuesOf`, `addEntry` inverts `entriesOf`).
+ *   inverts `valuesOf`, `addEntry` and `append` invert `entriesOf`).
  *
  * All members are optional when passed to `parse`/`unflatten` — omitted
  * members fall back to the defaults (native behavior, exported as
@@ -337,12 +591,23 @@ export interface ParseOperations {
 	fromStringValue(tag: StringValueTag, text: string): any;
 
 	/**
-	 * Creates an `ArrayBuffer` from a host `ArrayBuffer` holding the decoded
-	 * bytes. The inverse of `toArrayBuffer`. Default: the buffer itself.
-	 * Foreign-runtime implementations should copy the bytes into the target
-	 * runtime.
+	 * Creates an `ArrayBuffer` (or, if `shared`, a `SharedArrayBuffer`) from
+	 * a host buffer holding the decoded bytes — or one of the out-of-band
+	 * `buffers` passed to `parse`. If `maxByteLength` is defined, the buffer
+	 * must be resizable (or growable) up to that length. The inverse of
+	 * `toArrayBuffer` and `bufferInfo`. Default: the buffer itself, if it is
+	 * already of the right kind, otherwise a copy. Foreign-runtime
+	 * implementations should copy the bytes into the target runtime.
+	 */
+	fromArrayBuffer(buffer: ArrayBufferLike, maxByteLength: number | undefined, shared: boolean): any;
+
+	/**
+	 * Creates a promise value from a host promise, which settles with the
+	 * revived value of a serialized promise — either straight away or, for
+	 * promises that are still streaming to a `createParser`, once their chunk
+	 * arrives. The inverse of `toPromise`. Default: the promise itself.
 	 */
-	fromArrayBuffer(buffer: ArrayBuffer): any;
+	fromPromise(promise: Promise<any>): any;
 
 	/**
 	 * Creates a `RegExp` from its source and flags. The inverse of
@@ -350,13 +615,49 @@ export interface ParseOperations {
 	 */
 	fromRegExpInfo(source: string, flags: string | undefined): any;
 
+	/**
+	 * Creates a `Blob` or `File` (depending on `tag`) from an
+	 * already-revived `ArrayBuffer` holding its bytes. The inverse of
+	 * `blobInfo`. `name` and `lastModified` are `undefined` for a `Blob`.
+	 * By default, a `File` is created as a `Blob` where there is no global
+	 * `File` constructor, as in Node 18.
+	 */
+	fromBlobInfo(
+		tag: 'Blob' | 'File',
+		buffer: any,
+		type: string,
+		name: string | undefined,
+		lastModified: number | undefined
+	): any;
+
+	/**
+	 * Creates a `Request` from its URL, method, `Headers` (created by
+	 * `createHeaders`) and body (an already-revived `ArrayBuffer`, or
+	 * `undefined`). The inverse of `requestInfo`.
+	 */
+	fromRequestInfo(url: string, method: string, headers: any, body: any): any;
+
+	/**
+	 * Creates a `Response` from its status, status text, `Headers` and body.
+	 * The inverse of `responseInfo`.
+	 */
+	fromResponseInfo(status: number, statusText: string, headers: any, body: any): any;
+
+	/**
+	 * Returns the symbol registered under `key` (equivalent to
+	 * `Symbol.for(key)`), or the well-known symbol named `key` (e.g.
+	 * `Symbol.iterator` for `'iterator'`). The inverse of `symbolInfo`.
+	 */
+	fromSymbolInfo(kind: 'registered' | 'well-known', key: string): any;
+
 	/**
 	 * Creates a typed array or `DataView` over an already-revived buffer.
 	 * The inverse of `viewInfo`. `tag` is the constructor name (e.g.
 	 * `'Uint8Array'`, `'DataView'`). `byteOffset` and `length` are
 	 * `undefined` when the view spans the whole buffer; otherwise `length`
 	 * is the element count for typed arrays and the byte length for
-	 * `DataView`, matching the constructor signatures.
+	 * `DataView`, matching the constructor signatures. `length` is also
+	 * `undefined` for views that track the length of a resizable buffer.
 	 */
 	fromViewInfo(
 		tag: ViewTag,
@@ -396,24 +697,78 @@ export interface ParseOperations {
 	 */
 	createNullPrototypeObject(): any;
 
+	/**
+	 * Creates an instance of one of the `classes` passed to `parse` without
+	 * calling its constructor, to be populated with `set`. Equivalent to
+	 * `Object.create(constructor.prototype)`.
+	 */
+	createInstance(constructor: abstract new (...args: any[]) => any): any;
+
+	/** Creates an empty `Headers` object, to be populated with `append`. */
+	createHeaders(): any;
+
+	/** Creates an empty `FormData` object, to be populated with `append`. */
+	createFormData(): any;
+
 	/** Creates an empty `Set`, to be populated with `addValue`. */
 	createSet(): any;
 
 	/** Creates an empty `Map`, to be populated with `addEntry`. */
 	createMap(): any;
 
+	/**
+	 * Creates an error with the given built-in constructor (`kind`) and
+	 * message, to be populated with `defineErrorProperty` and `set`. An
+	 * `AggregateError` starts with an empty `errors` array. The inverse of
+	 * `errorInfo`. The error should not have a `stack` of its own — if the
+	 * original one was serialized, it is defined afterwards.
+	 */
+	createError(kind: ErrorKind, message: string): any;
+
+	/**
+	 * Creates a `DOMException`, to be populated with `defineErrorProperty`
+	 * and `set`. Equivalent to `new DOMException(message, name)`, minus the
+	 * `stack`.
+	 */
+	createDOMException(message: string, name: string): any;
+
+	/**
+	 * Defines the `name`, `stack`, `cause` or `errors` property of an error
+	 * created by `createError` or `createDOMException` as a non-enumerable
+	 * property, as the built-in constructors do. Its other properties are
+	 * populated with `set`.
+	 */
+	defineErrorProperty(error: any, key: 'name' | 'stack' | 'cause' | 'errors', value: any): void;
+
+	/**
+	 * Creates an async iterable (if `tag` is `'AsyncIterable'`) or a
+	 * `ReadableStream` that yields the items in `values`. The inverse of
+	 * `asyncValuesOf`. `values` is populated after this returns — so that
+	 * items can refer back to the iterable — and must be read lazily.
+	 */
+	createAsyncIterable(tag: 'AsyncIterable' | 'ReadableStream', values: any[]): any;
+
 	/**
 	 * Sets an element or property on a value created by `createArray`,
-	 * `createSparseArray`, `createObject` or `createNullPrototypeObject`.
-	 * The inverse of `get`, which likewise serves both arrays and objects.
+	 * `createSparseArray`, `createObject`, `createNullPrototypeObject`,
+	 * `createInstance`, `createError` or `createDOMException`. The inverse of `get`, which
+	 * likewise serves arrays, objects and errors. `key` is a value created by
+	 * `fromSymbolInfo` when setting a symbol-keyed property.
 	 */
-	set(target: any, key: string | number, value: any): void;
+	set(target: any, key: any, value: any): void;
 
 	/** Adds a value to a `Set` created by `createSet`. The inverse of `valuesOf`. */
 	addValue(set: any, value: any): void;
 
 	/** Adds an entry to a `Map` created by `createMap`. The inverse of `entriesOf`. */
 	addEntry(map: any, key: any, value: any): void;
+
+	/**
+	 * Appends an entry to a value created by `createHeaders` or
+	 * `createFormData`. The inverse of `entriesOf`. `value` is a string, or
+	 * a `File` (or `Blob`) for `FormData`.
+	 */
+	append(target: any, name: string, value: any): void;
 }
 
 /** The native JavaScript implementation exported as `defaultParseOperations`. */
@@ -423,8 +778,33 @@ export interface DefaultParseOperations extends ParseOperations {
 	): string | number | boolean | bigint | null | undefined;
 	fromISOString(iso: string): Date;
 	fromStringValue(tag: StringValueTag, text: string): URL | URLSearchParams | object;
-	fromArrayBuffer(buffer: ArrayBuffer): ArrayBuffer;
+	fromArrayBuffer(
+		buffer: ArrayBufferLike,
+		maxByteLength: number | undefined,
+		shared: boolean
+	): ArrayBufferLike;
+	fromPromise(promise: Promise<any>): Promise<any>;
 	fromRegExpInfo(source: string, flags: string | undefined): RegExp;
+	fromBlobInfo(
+		tag: 'Blob' | 'File',
+		buffer: ArrayBuffer,
+		type: string,
+		name: string | undefined,
+		lastModified: number | undefined
+	): Blob | File;
+	fromRequestInfo(
+		url: string,
+		method: string,
+		headers: Headers,
+		body: ArrayBuffer | undefined
+	): Request;
+	fromResponseInfo(
+		status: number,
+		statusText: string,
+		headers: Headers,
+		body: ArrayBuffer | undefined
+	): Response;
+	fromSymbolInfo(kind: 'registered' | 'well-known', key: string): symbol;
 	fromViewInfo(
 		tag: ViewTag,
 		buffer: ArrayBufferLike,
@@ -436,17 +816,269 @@ export interface DefaultParseOperations extends ParseOperations {
 	createSparseArray(length: number): any[];
 	createObject(): Record<string, any>;
 	createNullPrototypeObject(): Record<string, any>;
+	createHeaders(): Headers;
+	createFormData(): FormData;
 	createSet(): Set<any>;
 	createMap(): Map<any, any>;
+	createError(kind: ErrorKind, message: string): Error;
+	createDOMException(message: string, name: string): DOMException;
+	createAsyncIterable(
+		tag: 'AsyncIterable' | 'ReadableStream',
+		values: any[]
+	): AsyncIterable<any> | ReadableStream<any>;
 	addValue(set: Set<any>, value: any): void;
 	addEntry(map: Map<any, any>, key: any, value: any): void;
+	append(target: Headers | FormData, name: string, value: any): void;
 }
 
-/** Options for `parse` and `unflatten`. */
+/** Options for `parse`, `unflatten` and `createParser`. */
 export interface ParseOptions {
 	/**
 	 * Overrides for the construction operations used while reviving.
 	 * Omitted members fall back to `defaultParseOperations`.
 	 */
 	operations?: Partial<ParseOperations>;
+
+	/**
+	 * Classes whose instances were serialized with the `classes` option of
+	 * `stringify`, keyed by the same names. Instances are created with
+	 * `Object.create(Class.prototype)` — the constructor isn't called — and
+	 * their properties are then assigned.
+	 */
+	classes?: Record<string, abstract new (...args: any[]) => any>;
+
+	/**
+	 * The `buffers` returned by `stringify` or `stringifyAsync` with the
+	 * `buffers` option. Revived `ArrayBuffer`s are these exact buffers (as
+	 * passed through `fromArrayBuffer`), so typed arrays and `DataView`s are
+	 * views over them, without copying. Ignored by `parseBinary`.
+	 */
+	buffers?: ArrayBufferLike[];
+
+	/**
+	 * A [Standard Schema](https://standardschema.dev) (from Zod, Valibot,
+	 * ArkType and so on) to validate the revived value against. If it
+	 * doesn't conform, a `DevalueError` with the code `SCHEMA_MISMATCH` is
+	 * thrown, whose `path` describes where in the value the first issue is;
+	 * otherwise, the schema's output is returned, and its type is inferred.
+	 * Validation must be synchronous (see `ASYNC_SCHEMA`).
+	 * `createParser` validates the root value as soon as it is revived, before
+	 * any promises in it have settled.
+	 */
+	schema?: StandardSchemaV1;
+
+	/**
+	 * Whether the input may contain the `//` comments written by the
+	 * `annotate` option of `stringify`, which are ignored. Without it, the
+	 * input must be plain JSON. Ignored by `createParser` and `parseBinary`.
+	 */
+	annotated?: boolean;
+
+	/**
+	 * Budgets for reviving untrusted input. If one is exceeded, a
+	 * `DevalueLimitError` is thrown before the offending value is allocated.
+	 */
+	limits?: ParseLimits;
+
+	/**
+	 * The tags of the types that may be revived, such as `['Date', 'Map']` —
+	 * either the name of a custom reviver or a built-in tag. Any other tag
+	 * causes a `DevalueError` to be thrown before anything is constructed.
+	 * Plain objects, arrays and primitives are always allowed.
+	 */
+	allow?: string[];
+}
+
+/**
+ * Options for `validate`, which are those of the `parse` call the input is
+ * meant for — the revivers, rather than being a separate argument, are one
+ */
+export interface ValidateOptions
+	extends Pick<ParseOptions, 'classes' | 'buffers' | 'allow' | 'limits' | 'annotated'> {
+	revivers?: Record<string, (value: any) => any>;
+}
+
+/**
+ * Why a value can't be serialized, as the `code` of a `DevalueError` thrown
+ * (or passed to `onUnserializable`) by `stringify` and `uneval`:
+ * - `FUNCTION`: the value is a function
+ * - `NON_POJO`: the value is an object of an unsupported type, or an instance of a class that
+ *   isn't in the `classes` option
+ * - `SYMBOL_KEY`: the value is an object with a unique symbol as a key
+ * - `PROTO_PROPERTY`: the value is an object with a `__proto__` property
+ * - `UNIQUE_SYMBOL`: the value is a symbol that is neither registered nor well-known
+ * - `ASYNC`: the value is a promise, `Blob`, stream or async iterable (or a `Request` or
+ *   `Response`) that can only be serialized asynchronously, with `stringifyAsync`
+ * - `DETACHED_BUFFER`: the value is a detached `ArrayBuffer` (`parse` also throws a
+ *   `DevalueError` with this code if one of its `buffers` is detached)
+ * - `BODY_USED`: the value is a `Request` or `Response` whose body has already been read
+ *
+ * The `schema` option of `parse` and friends throws a `DevalueError` too:
+ * - `SCHEMA_MISMATCH`: the revived value doesn't conform to the schema — the error has the
+ *   first issue's message, and the path to the value it is about
+ * - `ASYNC_SCHEMA`: the schema validates asynchronously, which isn't supported
+ */
+export type StringifyErrorCode =
+	| 'FUNCTION'
+	| 'NON_POJO'
+	| 'SYMBOL_KEY'
+	| 'PROTO_PROPERTY'
+	| 'UNIQUE_SYMBOL'
+	| 'ASYNC'
+	| 'DETACHED_BUFFER'
+	| 'BODY_USED'
+	| 'SCHEMA_MISMATCH'
+	| 'ASYNC_SCHEMA';
+
+/**
+ * Why `parse` failed, as the `code` of a `DevalueParseError`:
+ * - `INVALID_JSON`: the input isn't valid JSON
+ * - `INVALID_INPUT`: the input is valid JSON (or binary), but not a valid serialized value
+ * - `INVALID_DATA`: a value refers to another of the wrong type, such as a typed array to
+ *   something other than an `ArrayBuffer`, or can't be constructed from its data, such as a
+ *   `BigInt` that isn't an integer — the constructor's error is the `cause`
+ * - `INVALID_BUFFER`: an `ArrayBuffer` is neither encoded nor one of the out-of-band `buffers`
+ * - `PROTO_PROPERTY`: an object has a `__proto__` property
+ * - `CIRCULAR_REFERENCE`: a value passed to a custom reviver contains itself
+ * - `UNKNOWN_TYPE`: a value has a tag with no reviver
+ * - `UNKNOWN_CLASS`: an instance is of a class not passed in the `classes` option
+ * - `DISALLOWED_TYPE`: a value has a tag that isn't in the `allow` option
+ * - `LIMIT_EXCEEDED`: one of the `limits` was exceeded — the error is a `DevalueLimitError`
+ * - `UNEXPECTED_END`: a stream ended before all of its chunks arrived
+ * - `STALE_DELTA`: `patch` was given a delta that wasn't computed from the value being patched
+ */
+export type ParseErrorCode =
+	| 'INVALID_JSON'
+	| 'INVALID_INPUT'
+	| 'INVALID_DATA'
+	| 'INVALID_BUFFER'
+	| 'PROTO_PROPERTY'
+	| 'CIRCULAR_REFERENCE'
+	| 'UNKNOWN_TYPE'
+	| 'UNKNOWN_CLASS'
+	| 'DISALLOWED_TYPE'
+	| 'LIMIT_EXCEEDED'
+	| 'UNEXPECTED_END'
+	| 'STALE_DELTA';
+
+export interface ParseLimits {
+	/**
+	 * The maximum nesting depth. The root value is at depth 1, its
+	 * properties, items and entries at depth 2, and so on.
+	 */
+	depth?: number;
+
+	/** The maximum number of distinct values, including primitives */
+	nodes?: number;
+
+	/**
+	 * The maximum length of any string, including property keys and those that
+	 * make up other values — the digits of a `BigInt`, the source of a `RegExp`,
+	 * the encoded bytes of an `ArrayBuffer` and so on
+	 */
+	stringLength?: number;
+
+	/**
+	 * The maximum number of bytes across all `ArrayBuffer`s, including those
+	 * backing typed arrays, `Blob`s and `Request`/`Response` bodies. Resizable
+	 * buffers count their maximum length.
+	 */
+	bufferBytes?: number;
+
+	/**
+	 * The maximum length of any array, including sparse ones, size of any `Set`
+	 * or `Map`, and number of properties of any object
+	 */
+	collectionSize?: number;
+}
+
+/**
+ * The Standard Schema interface, as published at https://standardschema.dev.
+ * It is copied here, as the spec recommends, rather than depended upon.
+ */
+export interface StandardSchemaV1<Input = unknown, Output = Input> {
+	readonly '~standard': StandardSchemaV1.Props<Input, Output>;
+}
+
+export declare namespace StandardSchemaV1 {
+	export interface Props<Input = unknown, Output = Input> {
+		readonly version: 1;
+		readonly vendor: string;
+		readonly validate: (value: unknown) => Result<Output> | Promise<Result<Output>>;
+		readonly types?: Types<Input, Output> | undefined;
+	}
+
+	export type Result<Output> = SuccessResult<Output> | FailureResult;
+
+	export interface SuccessResult<Output> {
+		readonly value: Output;
+		readonly issues?: undefined;
+	}
+
+	export interface FailureResult {
+		readonly issues: ReadonlyArray<Issue>;
+	}
+
+	export interface Issue {
+		readonly message: string;
+		readonly path?: ReadonlyArray<PropertyKey | PathSegment> | undefined;
+	}
+
+	export interface PathSegment {
+		readonly key: PropertyKey;
+	}
+
+	export interface Types<Input = unknown, Output = Input> {
+		readonly input: Input;
+		readonly output: Output;
+	}
+
+	export type InferInput<Schema extends StandardSchemaV1> = NonNullable<
+		Schema['~standard']['types']
+	>['input'];
+
+	export type InferOutput<Schema extends StandardSchemaV1> = NonNullable<
+		Schema['~standard']['types']
+	>['output'];
+}
+
+/** Options for `patch`. */
+export interface PatchOptions extends ParseOptions {
+	/**
+	 * The reducers the previous value was serialized with. `patch` finds
+	 * the values a delta refers to by walking the target the same way
+	 * `stringify` did, so it needs them to handle custom types.
+	 */
+	reducers?: Record<string, (value: any) => any>;
+}
+
+/**
+ * An incremental parser for the output of `stringifyStream`, created with
+ * `createParser`.
+ */
+export interface Parser {
+	/**
+	 * Resolves with the root value as soon as the first chunk has been
+	 * parsed, or rejects if the input is invalid. If the first chunk refers to
+	 * async iterables, streams or blobs that were still being read when it was
+	 * sent, this waits for the chunks that fill them in. Promises whose values are
+	 * still streaming are revived as placeholders that settle as the
+	 * corresponding chunks are pushed. (If the root value is itself such a
+	 * promise, `value` settles along with it.)
+	 */
+	value: Promise<any>;
+
+	/**
+	 * Feeds text to the parser. Chunks don't need to line up with the ones
+	 * `stringifyStream` emitted — incomplete lines are buffered until the rest
+	 * arrives. Throws if the input is invalid, in which case `value` and any
+	 * unsettled promises reject with the same error.
+	 */
+	push(chunk: string): void;
+
+	/**
+	 * Signals that there is no more input. Promises that have yet to settle
+	 * are rejected, since their values will never arrive.
+	 */
+	end(): void;
 }
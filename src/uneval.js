@@ -2,11 +2,19 @@ import {
 	DevalueError,
 	enumerable_symbols,
 	escaped,
+	get_class_names,
+	get_error_keys,
+	get_error_kind,
+	get_symbol_info,
 	get_type,
+	is_detached,
+	is_identifier,
+	is_length_tracking,
 	is_plain_object,
 	is_primitive,
 	stringify_key,
 	stringify_string,
+	stringify_symbol,
 	valid_array_indices
 } from './utils.js';
 
@@ -19,8 +27,9 @@ const reserved =
  * Turn a value into the JavaScript that creates an equivalent value
  * @param {any} value
  * @param {(value: any, uneval: (value: any) => string) => string | void} [replacer]
+ * @param {import('./types.js').UnevalOptions} [options]
  */
-export function uneval(value, replacer) {
+export function uneval(value, replacer, options) {
 	const counts = new Map();
 
 	/** @type {string[]} */
@@ -28,8 +37,72 @@ export function uneval(value, replacer) {
 
 	const custom = new Map();
 
+	/**
+	 * Values that can't be serialized, mapped to the values the
+	 * `onUnserializable` option replaced them with
+	 * @type {Map<any, any>}
+	 */
+	const replacements = new Map();
+
+	/**
+	 * The error about the value whose replacement is being walked, if any
+	 * @type {DevalueError | null}
+	 */
+	let replacing = null;
+
+	const classes = options?.classes ? get_class_names(options.classes) : null;
+
+	if (classes) {
+		for (const name of classes.values()) {
+			// the name is emitted as code, as in `Object.create(Vector.prototype)`
+			if (!is_identifier.test(name) || reserved.test(name)) {
+				throw new DevalueError(
+					`Cannot uneval with the class name ${stringify_string(name)} — it must be a valid identifier`,
+					[],
+					options?.classes?.[name],
+					value
+				);
+			}
+		}
+	}
+
+	/**
+	 * Throws a `DevalueError` for a value that can't be serialized, unless the
+	 * `onUnserializable` option returns a replacement for it, in which case
+	 * that is walked instead
+	 * @param {import('./types.js').StringifyErrorCode} code
+	 * @param {string} message
+	 * @param {any} thing
+	 */
+	function unserializable(code, message, thing) {
+		const error = new DevalueError(message, keys, thing, value, code);
+		if (!options?.onUnserializable) throw error;
+
+		// a replacement isn't replaced in turn — if it can't be serialized
+		// either, the error is about the value it replaced
+		if (replacing) throw replacing;
+
+		const replacement = options.onUnserializable(error);
+		if (replacement === thing) throw error;
+
+		counts.delete(thing);
+		replacements.set(thing, replacement);
+		replacing = error;
+
+		try {
+			walk(replacement);
+		} finally {
+			replacing = null;
+		}
+	}
+
 	/** @param {any} thing */
 	function walk(thing) {
+		if (replacements.has(thing)) {
+			walk(replacements.get(thing));
+			return;
+		}
+
 		if (!is_primitive(thing)) {
 			if (counts.has(thing)) {
 				counts.set(thing, counts.get(thing) + 1);
@@ -39,7 +112,7 @@ export function uneval(value, replacer) {
 			counts.set(thing, 1);
 
 			if (replacer) {
-				const str = replacer(thing, (value) => uneval(value, replacer));
+				const str = replacer(thing, (value) => uneval(value, replacer, options));
 
 				if (typeof str === 'string') {
 					custom.set(thing, str);
@@ -48,12 +121,34 @@ export function uneval(value, replacer) {
 			}
 
 			if (typeof thing === 'function') {
-				throw new DevalueError(`Cannot stringify a function`, keys, thing, value);
+				unserializable('FUNCTION', `Cannot stringify a function`, thing);
+				return;
+			}
+
+			if (classes?.has(Object.getPrototypeOf(thing))) {
+				const own_keys = Object.keys(thing);
+
+				if (own_keys.includes('__proto__')) {
+					unserializable('PROTO_PROPERTY', `Cannot stringify objects with __proto__ keys`, thing);
+					return;
+				}
+
+				for (const key of own_keys) {
+					keys.push(stringify_key(key));
+					walk(thing[key]);
+					keys.pop();
+				}
+
+				return;
 			}
 
 			const type = get_type(thing);
 
 			switch (type) {
+				case 'Symbol':
+					walk(thing.valueOf());
+					return;
+
 				case 'Number':
 				case 'BigInt':
 				case 'String':
@@ -62,6 +157,29 @@ export function uneval(value, replacer) {
 				case 'RegExp':
 				case 'URL':
 				case 'URLSearchParams':
+				case 'Headers':
+					return;
+
+				case 'FormData':
+					for (const [name, value] of thing) {
+						keys.push(`.get(${stringify_string(name)})`);
+						walk(value);
+						keys.pop();
+					}
+					return;
+
+				case 'Blob':
+				case 'File':
+					// as with bodies, their contents can only be read asynchronously
+					unserializable('ASYNC', `Cannot stringify a ${type}`, thing);
+					return;
+
+				case 'Request':
+				case 'Response':
+					// bodies can only be read asynchronously
+					if (thing.body !== null) {
+						unserializable('ASYNC', `Cannot stringify a ${type} with a body`, thing);
+					}
 					return;
 
 				case 'Array':
@@ -102,7 +220,40 @@ export function uneval(value, replacer) {
 					return;
 
 				case 'ArrayBuffer':
+				case 'SharedArrayBuffer':
+					if (is_detached(thing)) {
+						unserializable('DETACHED_BUFFER', `Cannot stringify a detached ArrayBuffer`, thing);
+					}
+					return;
+
+				case 'Error':
+				case 'DOMException': {
+					const own_keys = get_error_keys(thing);
+
+					if (own_keys.includes('__proto__')) {
+						unserializable('PROTO_PROPERTY', `Cannot stringify objects with __proto__ keys`, thing);
+						return;
+					}
+
+					if (Object.hasOwn(thing, 'cause')) {
+						keys.push('.cause');
+						walk(thing.cause);
+						keys.pop();
+					}
+
+					if (get_error_kind(thing) === 'AggregateError') {
+						keys.push('.errors');
+						walk(thing.errors);
+						keys.pop();
+					}
+
+					for (const key of own_keys) {
+						keys.push(stringify_key(key));
+						walk(thing[key]);
+						keys.pop();
+					}
 					return;
+				}
 
 				case 'Temporal.Duration':
 				case 'Temporal.Instant':
@@ -116,30 +267,42 @@ export function uneval(value, replacer) {
 
 				default:
 					if (!is_plain_object(thing)) {
-						throw new DevalueError(`Cannot stringify arbitrary non-POJOs`, keys, thing, value);
+						unserializable('NON_POJO', `Cannot stringify arbitrary non-POJOs`, thing);
+						return;
 					}
 
-					if (enumerable_symbols(thing).length > 0) {
-						throw new DevalueError(`Cannot stringify POJOs with symbolic keys`, keys, thing, value);
+					const symbols = enumerable_symbols(thing);
+
+					if (symbols.some((symbol) => get_symbol_info(symbol).kind === 'unique')) {
+						unserializable('SYMBOL_KEY', `Cannot stringify POJOs with symbolic keys`, thing);
+						return;
 					}
 
-					for (const key of Object.keys(thing)) {
-						if (key === '__proto__') {
-							throw new DevalueError(
-								`Cannot stringify objects with __proto__ keys`,
-								keys,
-								thing,
-								value
-							);
-						}
+					const own_keys = Object.keys(thing);
 
+					if (own_keys.includes('__proto__')) {
+						unserializable('PROTO_PROPERTY', `Cannot stringify objects with __proto__ keys`, thing);
+						return;
+					}
+
+					for (const key of own_keys) {
 						keys.push(stringify_key(key));
 						walk(thing[key]);
 						keys.pop();
 					}
+
+					for (const symbol of symbols) {
+						keys.push(`[${stringify_primitive(symbol)}]`);
+						walk(thing[symbol]);
+						keys.pop();
+					}
 			}
-		} else if (typeof thing === 'symbol') {
-			throw new DevalueError(`Cannot stringify a Symbol primitive`, keys, thing, value);
+		} else if (typeof thing === 'symbol' && get_symbol_info(thing).kind === 'unique') {
+			unserializable(
+				'UNIQUE_SYMBOL',
+				`Cannot stringify a unique Symbol — only registered (Symbol.for) and well-known symbols can be recreated`,
+				thing
+			);
 		}
 	}
 
@@ -154,11 +317,119 @@ export function uneval(value, replacer) {
 			names.set(entry[0], get_name(i));
 		});
 
+	/**
+	 * Returns the constructor call that creates an error, and the properties
+	 * that must be assigned to it afterwards. If the error is `hoisted`, its
+	 * `cause` and `errors` are assigned too — the constructor is only passed
+	 * placeholders, so that the properties are non-enumerable
+	 * @param {any} thing
+	 * @param {boolean} hoisted
+	 * @returns {[string, Array<[string, string]>]}
+	 */
+	function construct_error(thing, hoisted) {
+		const kind = get_error_kind(thing);
+		const message = stringify_string(String(thing.message));
+
+		/** @type {Array<[string, string]>} */
+		const props = [];
+
+		const name = String(thing.name);
+
+		if (kind !== 'DOMException' && name !== kind) {
+			props.push(['name', stringify_string(name)]);
+		}
+
+		if (options?.stack && typeof thing.stack === 'string') {
+			props.push(['stack', stringify_string(thing.stack)]);
+		}
+
+		let constructor;
+
+		if (kind === 'DOMException') {
+			constructor = `new DOMException(${message},${stringify_string(name)})`;
+
+			if (Object.hasOwn(thing, 'cause')) {
+				props.push(['cause', stringify(thing.cause)]);
+			}
+		} else {
+			let args = message;
+
+			if (kind === 'AggregateError') {
+				args = `${hoisted ? '[]' : stringify(thing.errors)},${args}`;
+				if (hoisted) props.push(['errors', stringify(thing.errors)]);
+			}
+
+			if (Object.hasOwn(thing, 'cause')) {
+				args += `,{cause:${hoisted ? 'void 0' : stringify(thing.cause)}}`;
+				if (hoisted) props.push(['cause', stringify(thing.cause)]);
+			}
+
+			constructor = `new ${kind}(${args})`;
+		}
+
+		for (const key of get_error_keys(thing)) {
+			props.push([key, stringify(thing[key])]);
+		}
+
+		return [constructor, props];
+	}
+
+	/**
+	 * Returns the expression that creates a typed array or `DataView`. Its
+	 * buffer is written out as the view's elements, unless it is referenced
+	 * elsewhere or is shared or resizable
+	 * @param {string} type
+	 * @param {any} thing
+	 */
+	function construct_view(type, thing) {
+		const buffer = thing.buffer;
+		const tracking = is_length_tracking(thing);
+		const inline =
+			!names.has(buffer) && tracking === undefined && get_type(buffer) === 'ArrayBuffer';
+
+		// length-tracking views are created without a length; fixed-length views
+		// over resizable buffers need one even if they span the whole buffer
+		const whole = tracking === undefined && thing.byteLength === buffer.byteLength;
+
+		if (type === 'DataView') {
+			let str = inline
+				? `new DataView(new Uint8Array([${new Uint8Array(buffer)}]).buffer`
+				: `new DataView(${stringify(buffer)}`;
+
+			if (tracking) {
+				if (thing.byteOffset > 0) str += `,${thing.byteOffset}`;
+			} else if (!whole) {
+				str += `,${thing.byteOffset},${thing.byteLength}`;
+			}
+
+			return str + ')';
+		}
+
+		let str = inline
+			? `new ${type}([${stringify_typed_array_elements(type, buffer)}])`
+			: `new ${type}(${stringify(buffer)})`;
+
+		// handle subarrays
+		const start = thing.byteOffset / thing.BYTES_PER_ELEMENT;
+
+		if (tracking) {
+			if (start > 0) str += `.subarray(${start})`;
+		} else if (!whole) {
+			str += `.subarray(${start},${start + thing.length})`;
+		}
+
+		return str;
+	}
+
 	/**
 	 * @param {any} thing
 	 * @returns {string}
 	 */
 	function stringify(thing) {
+		if (replacements.has(thing)) {
+			return stringify(replacements.get(thing));
+		}
+
 		if (names.has(thing)) {
 			return names.get(thing);
 		}
@@ -171,6 +442,14 @@ export function uneval(value, replacer) {
 			return custom.get(thing);
 		}
 
+		const class_name = classes?.get(Object.getPrototypeOf(thing));
+
+		if (class_name !== undefined) {
+			const props = Object.keys(thing).map((key) => `${safe_key(key)}:${stringify(thing[key])}`);
+			const instance = `Object.create(${class_name}.prototype)`;
+			return props.length > 0 ? `Object.assign(${instance},{${props.join(',')}})` : instance;
+		}
+
 		const type = get_type(thing);
 
 		switch (type) {
@@ -178,6 +457,7 @@ export function uneval(value, replacer) {
 			case 'String':
 			case 'Boolean':
 			case 'BigInt':
+			case 'Symbol':
 				return `Object(${stringify(thing.valueOf())})`;
 
 			case 'RegExp':
@@ -195,6 +475,20 @@ export function uneval(value, replacer) {
 			case 'URLSearchParams':
 				return `new URLSearchParams(${stringify_string(thing.toString())})`;
 
+			case 'Headers':
+				return `new Headers(${stringify_headers(thing)})`;
+
+			case 'FormData': {
+				const appends = Array.from(thing).map(
+					([name, value]) => `f.append(${stringify_string(name)},${stringify(value)}),`
+				);
+				return appends.length > 0 ? `(f=>(${appends.join('')}f))(new FormData)` : 'new FormData';
+			}
+
+			case 'Request':
+			case 'Response':
+				return construct_message(type, thing);
+
 			case 'Array': {
 				// For dense arrays (no holes), we iterate normally.
 				// When we encounter the first hole, we call Object.keys
@@ -286,45 +580,21 @@ export function uneval(value, replacer) {
 			case 'Float32Array':
 			case 'Float64Array':
 			case 'BigInt64Array':
-			case 'BigUint64Array': {
-				let str = `new ${type}`;
-
-				if (!names.has(thing.buffer)) {
-					str += `([${stringify_typed_array_elements(type, thing.buffer)}])`;
-				} else {
-					str += `(${stringify(thing.buffer)})`;
-				}
+			case 'BigUint64Array':
+			case 'DataView':
+				return construct_view(type, thing);
 
-				// handle subarrays
-				if (thing.byteLength !== thing.buffer.byteLength) {
-					const start = thing.byteOffset / thing.BYTES_PER_ELEMENT;
-					const end = start + thing.length;
-					str += `.subarray(${start},${end})`;
-				}
-
-				return str;
-			}
-
-			case 'DataView': {
-				let str = `new DataView`;
-
-				if (!names.has(thing.buffer)) {
-					str += `(new Uint8Array([${new Uint8Array(thing.buffer)}]).buffer`;
-				} else {
-					str += `(${stringify(thing.buffer)}`;
-				}
-
-				// handle subviews
-				if (thing.byteLength !== thing.buffer.byteLength) {
-					str += `,${thing.byteOffset},${thing.byteLength}`;
-				}
+			case 'ArrayBuffer':
+			case 'SharedArrayBuffer':
+				return construct_buffer(type, thing);
 
-				return str + ')';
-			}
+			case 'Error':
+			case 'DOMException': {
+				const [constructor, props] = construct_error(thing, false);
+				if (props.length === 0) return constructor;
 
-			case 'ArrayBuffer': {
-				const ui8 = new Uint8Array(thing);
-				return `new Uint8Array([${ui8.toString()}]).buffer`;
+				const assigned = props.map(([key, value]) => `${safe_key(key)}:${value}`).join(',');
+				return `Object.assign(${constructor},{${assigned}})`;
 			}
 
 			case 'Temporal.Duration':
@@ -338,11 +608,15 @@ export function uneval(value, replacer) {
 				return `${type}.from(${stringify_string(thing.toString())})`;
 
 			default:
-				const keys = Object.keys(thing);
-				const obj = keys.map((key) => `${safe_key(key)}:${stringify(thing[key])}`).join(',');
+				const entries = Object.keys(thing).map((key) => `${safe_key(key)}:${stringify(thing[key])}`);
+				for (const symbol of enumerable_symbols(thing)) {
+					entries.push(`[${stringify_primitive(symbol)}]:${stringify(thing[symbol])}`);
+				}
+
+				const obj = entries.join(',');
 				const proto = Object.getPrototypeOf(thing);
 				if (proto === null) {
-					return keys.length > 0 ? `{${obj},__proto__:null}` : `{__proto__:null}`;
+					return entries.length > 0 ? `{${obj},__proto__:null}` : `{__proto__:null}`;
 				}
 
 				return `{${obj}}`;
@@ -381,6 +655,16 @@ export function uneval(value, replacer) {
 				return;
 			}
 
+			const class_name = classes?.get(Object.getPrototypeOf(thing));
+
+			if (class_name !== undefined) {
+				values.push(`Object.create(${class_name}.prototype)`);
+				Object.keys(thing).forEach((key) => {
+					statements.push(`${name}${safe_prop(key)}=${stringify(thing[key])}`);
+				});
+				return;
+			}
+
 			const type = get_type(thing);
 
 			switch (type) {
@@ -388,6 +672,7 @@ export function uneval(value, replacer) {
 				case 'String':
 				case 'Boolean':
 				case 'BigInt':
+				case 'Symbol':
 					values.push(`Object(${stringify(thing.valueOf())})`);
 					break;
 
@@ -411,6 +696,22 @@ export function uneval(value, replacer) {
 					values.push(`new URLSearchParams(${stringify_string(thing.toString())})`);
 					break;
 
+				case 'Headers':
+					values.push(`new Headers(${stringify_headers(thing)})`);
+					break;
+
+				case 'FormData':
+					values.push('new FormData');
+					for (const [key, value] of thing) {
+						statements.push(`${name}.append(${stringify_string(key)},${stringify(value)})`);
+					}
+					break;
+
+				case 'Request':
+				case 'Response':
+					values.push(construct_message(type, thing));
+					break;
+
 				case 'Array':
 					values.push(`Array(${thing.length})`);
 					/** @type {any[]} */ (thing).forEach((v, i) => {
@@ -447,52 +748,27 @@ export function uneval(value, replacer) {
 				case 'Float32Array':
 				case 'Float64Array':
 				case 'BigInt64Array':
-				case 'BigUint64Array': {
-					let str = `new ${type}`;
-
-					if (!names.has(thing.buffer)) {
-						str += `([${stringify_typed_array_elements(type, thing.buffer)}])`;
-					} else {
-						str += `(${stringify(thing.buffer)})`;
-					}
-
-					// handle subarrays
-					if (thing.byteLength !== thing.buffer.byteLength) {
-						const start = thing.byteOffset / thing.BYTES_PER_ELEMENT;
-						const end = start + thing.length;
-						str += `.subarray(${start},${end})`;
-					}
-
+				case 'BigUint64Array':
+				case 'DataView':
 					values.push(`{}`);
-					reconstructions.push(`${name}=${str}`);
+					reconstructions.push(`${name}=${construct_view(type, thing)}`);
 					break;
-				}
 
-				case 'DataView': {
-					let str = `new DataView`;
-
-					if (!names.has(thing.buffer)) {
-						str += `(new Uint8Array([${new Uint8Array(thing.buffer)}]).buffer`;
-					} else {
-						str += `(${stringify(thing.buffer)}`;
-					}
+				case 'ArrayBuffer':
+				case 'SharedArrayBuffer':
+					values.push(construct_buffer(type, thing));
+					break;
 
-					// handle subviews
-					if (thing.byteLength !== thing.buffer.byteLength) {
-						str += `,${thing.byteOffset},${thing.byteLength}`;
+				case 'Error':
+				case 'DOMException': {
+					const [constructor, props] = construct_error(thing, true);
+					values.push(constructor);
+					for (const [key, value] of props) {
+						statements.push(`${name}${safe_prop(key)}=${value}`);
 					}
-
-					str += ')';
-
-					values.push(`{}`);
-					reconstructions.push(`${name}=${str}`);
 					break;
 				}
 
-				case 'ArrayBuffer':
-					values.push(`new Uint8Array([${new Uint8Array(thing)}]).buffer`);
-					break;
-
 				case 'Temporal.Duration':
 				case 'Temporal.Instant':
 				case 'Temporal.PlainDate':
@@ -509,6 +785,9 @@ export function uneval(value, replacer) {
 					Object.keys(thing).forEach((key) => {
 						statements.push(`${name}${safe_prop(key)}=${stringify(thing[key])}`);
 					});
+					enumerable_symbols(thing).forEach((symbol) => {
+						statements.push(`${name}[${stringify_primitive(symbol)}]=${stringify(thing[symbol])}`);
+					});
 			}
 		});
 
@@ -559,6 +838,60 @@ function stringify_typed_array_elements(type, buffer) {
 	return array.toString();
 }
 
+/**
+ * Returns the entries of a `Headers` object as an array literal, which its
+ * constructor accepts
+ * @param {any} headers
+ */
+function stringify_headers(headers) {
+	const entries = Array.from(
+		headers,
+		([name, value]) => `[${stringify_string(name)},${stringify_string(value)}]`
+	);
+
+	return `[${entries.join(',')}]`;
+}
+
+/**
+ * Returns the constructor call that creates a bodiless `Request` or `Response`
+ * @param {'Request' | 'Response'} type
+ * @param {any} thing
+ */
+function construct_message(type, thing) {
+	const headers = `headers:${stringify_headers(thing.headers)}`;
+
+	if (type === 'Request') {
+		const method = stringify_string(thing.method);
+		return `new Request(${stringify_string(thing.url)},{method:${method},${headers}})`;
+	}
+
+	const status_text = stringify_string(thing.statusText);
+	return `new Response(null,{status:${thing.status},statusText:${status_text},${headers}})`;
+}
+
+/**
+ * Returns the expression that creates an `ArrayBuffer` or `SharedArrayBuffer`
+ * with the same contents and, if it is resizable, `maxByteLength`
+ * @param {string} type
+ * @param {any} buffer
+ */
+function construct_buffer(type, buffer) {
+	const bytes = new Uint8Array(buffer);
+
+	if (type === 'ArrayBuffer' && !buffer.resizable) {
+		return `new Uint8Array([${bytes}]).buffer`;
+	}
+
+	const options =
+		buffer.resizable || buffer.growable ? `,{maxByteLength:${buffer.maxByteLength}}` : '';
+	const constructor = `new ${type}(${buffer.byteLength}${options})`;
+
+	// the buffer starts out zero-filled
+	return bytes.some((byte) => byte !== 0)
+		? `(b=>(new Uint8Array(b).set([${bytes}]),b))(${constructor})`
+		: constructor;
+}
+
 /** @param {number} num */
 function get_name(num) {
 	let name = '';
@@ -597,6 +930,11 @@ function safe_prop(key) {
 function stringify_primitive(thing) {
 	const type = typeof thing;
 	if (type === 'string') return stringify_string(thing);
+	if (type === 'symbol') {
+		const info = get_symbol_info(thing);
+		// unique symbols can't be recreated, but still need describing in error paths
+		return info.kind === 'unique' ? String(thing) : stringify_symbol(info);
+	}
 	if (thing === void 0) return 'void 0';
 	if (thing === 0 && 1 / thing < 0) return '-0';
 	const str = String(thing);
@@ -1,4 +1,4 @@
-import { MAX_ARRAY_INDEX, MAX_ARRAY_LEN } from './constants.js';
+import { MAX_ARRAY_INDEX, MAX_ARRAY_LEN, SPARSE } from './constants.js';
 
 /** @type {Record<string, string>} */
 export const escaped = {
@@ -19,13 +19,49 @@ export class DevalueError extends Error {
 	 * @param {string[]} keys
 	 * @param {any} [value] - The value that failed to be serialized
 	 * @param {any} [root] - The root value being serialized
+	 * @param {import('./types.js').StringifyErrorCode} [code] - Why the value can't be serialized
 	 */
-	constructor(message, keys, value, root) {
+	constructor(message, keys, value, root, code) {
 		super(message);
 		this.name = 'DevalueError';
 		this.path = keys.join('');
 		this.value = value;
 		this.root = root;
+		this.code = code;
+	}
+}
+
+export class DevalueParseError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {import('./types.js').ParseErrorCode} code
+	 * @param {number} [index] - The index of the slot being revived
+	 * @param {string} [path] - The path from the root to that slot
+	 * @param {number} [offset] - For syntax errors, the offset of the offending character (or
+	 * byte, for binary input)
+	 */
+	constructor(message, code, index, path, offset) {
+		super(message);
+		this.name = 'DevalueParseError';
+		this.code = code;
+		this.index = index;
+		this.path = path;
+		this.offset = offset;
+	}
+}
+
+export class DevalueLimitError extends DevalueParseError {
+	/**
+	 * @param {keyof import('./types.js').ParseLimits} limit - The limit that was exceeded
+	 * @param {number} max - The value of that limit
+	 * @param {number} index - The index of the slot that exceeded it
+	 * @param {string} path - The path from the root to that slot
+	 */
+	constructor(limit, max, index, path) {
+		super(`Exceeded the ${limit} limit of ${max}`, 'LIMIT_EXCEEDED', index, path);
+		this.name = 'DevalueLimitError';
+		this.limit = limit;
+		this.max = max;
 	}
 }
 
@@ -55,6 +91,153 @@ export function get_type(thing) {
 	return Object.prototype.toString.call(thing).slice(8, -1);
 }
 
+/**
+ * Returns true if an `ArrayBuffer` has been detached (e.g. by being
+ * transferred). Runtimes without `ArrayBuffer.prototype.detached` only
+ * reveal it by refusing to create views over the buffer
+ * @param {any} buffer
+ * @returns {boolean}
+ */
+export function is_detached(buffer) {
+	if (typeof buffer.detached === 'boolean') return buffer.detached;
+	if (buffer.byteLength > 0) return false;
+
+	try {
+		new Uint8Array(buffer);
+		return false;
+	} catch {
+		return true;
+	}
+}
+
+/**
+ * Returns `undefined` if a typed array or `DataView` is over a buffer that
+ * isn't resizable, otherwise whether it tracks the buffer's length. That
+ * isn't observable, so views that extend to the end of the buffer are
+ * assumed to
+ * @param {any} view
+ * @returns {boolean | undefined}
+ */
+export function is_length_tracking(view) {
+	const buffer = view.buffer;
+	if (!buffer.resizable && !buffer.growable) return undefined;
+	return view.byteOffset + view.byteLength === buffer.byteLength;
+}
+
+/**
+ * The built-in error constructors that can be revived, keyed by name. A
+ * `Map` rather than a lookup on `globalThis`, so that untrusted input can
+ * only ever construct one of these
+ * @type {Map<string, { prototype: Error }>}
+ */
+export const error_constructors = /* @__PURE__ */ new Map(
+	Object.entries({
+		Error,
+		EvalError,
+		RangeError,
+		ReferenceError,
+		SyntaxError,
+		TypeError,
+		URIError,
+		AggregateError
+	})
+);
+
+/**
+ * Maps the prototype of each class in a `classes` option to its name
+ * @param {Record<string, { prototype: any }>} classes
+ * @returns {Map<any, string>}
+ */
+export function get_class_names(classes) {
+	const names = new Map();
+
+	for (const name of Object.getOwnPropertyNames(classes)) {
+		names.set(classes[name].prototype, name);
+	}
+
+	return names;
+}
+
+/**
+ * Well-known symbols like `Symbol.iterator`, keyed by name
+ * @type {Map<string, symbol>}
+ */
+export const well_known_symbols = /* @__PURE__ */ new Map(
+	Object.getOwnPropertyNames(Symbol)
+		.filter((name) => typeof (/** @type {any} */ (Symbol)[name]) === 'symbol')
+		.map((name) => [name, /** @type {any} */ (Symbol)[name]])
+);
+
+/** @type {{ kind: 'unique' }} */
+const UNIQUE_SYMBOL = Object.freeze({ kind: 'unique' });
+
+/**
+ * Returns the registry key of a registered symbol, or the name of a
+ * well-known one. Other symbols are unique, and can't be recreated
+ * @param {symbol} symbol
+ * @returns {{ kind: 'registered' | 'well-known', key: string } | { kind: 'unique' }}
+ */
+export function get_symbol_info(symbol) {
+	const key = Symbol.keyFor(symbol);
+	if (key !== undefined) return { kind: 'registered', key };
+
+	for (const [name, well_known] of well_known_symbols) {
+		if (symbol === well_known) return { kind: 'well-known', key: name };
+	}
+
+	return UNIQUE_SYMBOL;
+}
+
+/**
+ * Returns the JavaScript expression that recreates a registered or
+ * well-known symbol, e.g. `Symbol.for("key")` or `Symbol.iterator`
+ * @param {{ kind: 'registered' | 'well-known', key: string }} info
+ */
+export function stringify_symbol(info) {
+	return info.kind === 'registered'
+		? `Symbol.for(${stringify_string(info.key)})`
+		: `Symbol.${info.key}`;
+}
+
+/**
+ * Keys that are serialized as part of an error itself, rather than as
+ * one of its own enumerable properties
+ */
+const error_own_keys = new Set(['name', 'message', 'stack', 'cause', 'errors']);
+
+/**
+ * Returns the name of the closest built-in constructor in the prototype
+ * chain of an error, or `'DOMException'`
+ * @param {any} error
+ * @returns {import('./types.js').ErrorKind | 'DOMException'}
+ */
+export function get_error_kind(error) {
+	if (get_type(error) === 'DOMException') return 'DOMException';
+
+	let proto = Object.getPrototypeOf(error);
+
+	while (proto !== null) {
+		for (const [kind, constructor] of error_constructors) {
+			if (proto === constructor.prototype) {
+				return /** @type {import('./types.js').ErrorKind} */ (kind);
+			}
+		}
+
+		proto = Object.getPrototypeOf(proto);
+	}
+
+	return 'Error';
+}
+
+/**
+ * Returns the own enumerable string keys of an error, except those that are
+ * serialized as part of the error itself
+ * @param {any} error
+ */
+export function get_error_keys(error) {
+	return Object.keys(error).filter((key) => !error_own_keys.has(key));
+}
+
 /** @param {string} char */
 function get_escaped_char(char) {
 	switch (char) {
@@ -108,7 +291,87 @@ export function enumerable_symbols(object) {
 	);
 }
 
-const is_identifier = /^[a-zA-Z_$][a-zA-Z_$0-9]*$/;
+export const is_identifier = /^[a-zA-Z_$][a-zA-Z_$0-9]*$/;
+
+/**
+ * Returns the keys (or, for arrays, positions) of a slot of the flattened
+ * format that refer to other slots, rather than containing data. The
+ * out-of-band form of `["ArrayBuffer",n]` refers to a buffer, not a slot
+ * @param {any} value
+ * @returns {Array<string | number>}
+ */
+export function refs_of(value) {
+	if (typeof value !== 'object' || value === null) return [];
+	if (!Array.isArray(value)) return Object.keys(value);
+
+	/** @type {number[]} */
+	const positions = [];
+
+	/** @param {number} start */
+	const from = (start, step = 1) => {
+		for (let i = start; i < value.length; i += step) positions.push(i);
+	};
+
+	switch (value[0]) {
+		case 'Set':
+		case 'Map':
+		case 'AsyncIterable':
+		case 'ReadableStream':
+			from(1);
+			break;
+
+		case 'null':
+		case 'object':
+			for (let i = 1; i < value.length; i += 2) {
+				if (typeof value[i] === 'number') positions.push(i);
+				positions.push(i + 1);
+			}
+			break;
+
+		case 'Class':
+			from(3, 2);
+			break;
+
+		case 'FormData':
+			from(2, 2);
+			break;
+
+		case 'Error':
+		case 'DOMException':
+			for (let i = 3; i < value.length; i += 2) {
+				if (value[i] !== 'name' && value[i] !== 'stack') positions.push(i + 1);
+			}
+			break;
+
+		case 'Request':
+		case 'Response':
+			positions.push(3, 4);
+			break;
+
+		case 'Date':
+		case 'RegExp':
+		case 'BigInt':
+		case 'URL':
+		case 'URLSearchParams':
+		case 'Symbol':
+		case 'WellKnownSymbol':
+		case 'Headers':
+		case 'ArrayBuffer':
+		case 'SharedArrayBuffer':
+			break;
+
+		default:
+			if (typeof value[0] !== 'string') {
+				if (value[0] === SPARSE) from(3, 2);
+				else from(0);
+			} else if (!value[0].startsWith('Temporal.') && value.length > 1) {
+				// boxed primitives, views, blobs, promises and custom types
+				positions.push(1);
+			}
+	}
+
+	return positions;
+}
 
 /** @param {string} key */
 export function stringify_key(key) {
@@ -1,6 +1,6 @@
 import * as assert from 'uvu/assert';
 import { suite } from 'uvu';
-import { valid_array_indices } from './utils.js';
+import { refs_of, valid_array_indices } from './utils.js';
 
 const test = suite('valid_array_indices');
 
@@ -61,3 +61,25 @@ test('handles array properties pretending to be indices', () => {
 });
 
 test.run();
+
+const refs = suite('refs_of');
+
+refs('finds the references in each kind of slot', () => {
+	assert.equal(refs_of(1), []);
+	assert.equal(refs_of({ a: 1, b: 2 }), ['a', 'b']);
+	assert.equal(refs_of([1, -1, 2]), [0, 1, 2]);
+	assert.equal(refs_of([-7, 10, 2, 1, 5, 2]), [3, 5]);
+	assert.equal(refs_of(['Map', 1, 2, 3, 4]), [1, 2, 3, 4]);
+	assert.equal(refs_of(['object', 'a', 1, 2, 3]), [2, 3, 4]);
+	assert.equal(refs_of(['Error', 'Error', 'oops', 'name', 1, 'cause', 2]), [6]);
+	assert.equal(refs_of(['Uint8Array', 1, 0, 4]), [1]);
+	assert.equal(refs_of(['Promise']), []);
+});
+
+refs('skips data and out-of-band buffers', () => {
+	assert.equal(refs_of(['Date', '1970-01-01T00:00:00.000Z']), []);
+	assert.equal(refs_of(['ArrayBuffer', 0]), []);
+	assert.equal(refs_of(['Temporal.Instant', '1970-01-01T00:00:00Z']), []);
+});
+
+refs.run();
@@ -0,0 +1,269 @@
+import {
+	HOLE,
+	NAN,
+	NEGATIVE_INFINITY,
+	NEGATIVE_ZERO,
+	POSITIVE_INFINITY,
+	SPARSE,
+	UNDEFINED
+} from './constants.js';
+import { default_parse_operations } from './operations.js';
+import { check_tagged, get_path, measure, read_json } from './parse.js';
+import {
+	DevalueError,
+	DevalueLimitError,
+	DevalueParseError,
+	is_valid_array_index,
+	is_valid_array_len
+} from './utils.js';
+
+const sentinels = new Set([UNDEFINED, NAN, POSITIVE_INFINITY, NEGATIVE_INFINITY, NEGATIVE_ZERO]);
+
+/**
+ * Checks whether the output of `devalue.stringify` could be revived by
+ * `parse` with the same options, without reviving it. Rather than stopping
+ * at the first problem, every slot that can be reached from the root is
+ * checked, and the problems are returned in the order the slots are reached
+ * (except that circular references through custom revivers come last). Each
+ * limit is reported at most once, for the first slot that exceeds it, and a
+ * malformed slot's references aren't followed
+ * @param {string} serialized
+ * @param {import('./types.js').ValidateOptions} [options]
+ * @returns {DevalueParseError[]} an empty array if the input is valid
+ */
+export function validate(serialized, options) {
+	/** @type {any} */
+	let parsed;
+
+	try {
+		parsed = read_json(serialized, 0, options?.annotated);
+	} catch (error) {
+		if (error instanceof DevalueParseError) return [error];
+		throw error;
+	}
+
+	if (typeof parsed === 'number') {
+		return sentinels.has(parsed) ? [] : [new DevalueParseError('Invalid input', 'INVALID_INPUT')];
+	}
+
+	if (!Array.isArray(parsed) || parsed.length === 0) {
+		return [new DevalueParseError('Invalid input', 'INVALID_INPUT')];
+	}
+
+	/** @type {any[]} */
+	const values = parsed;
+
+	const limits = options?.limits;
+
+	/** @type {import('./parse.js').TagContext} */
+	const context = {
+		revivers: options?.revivers,
+		classes: options?.classes,
+		buffers: options?.buffers,
+		allowed: options?.allow && new Set(options.allow),
+		// nothing is revived, so construct the values whose constructors decide
+		// whether they are valid, and throw them away
+		trial: default_parse_operations
+	};
+
+	/** @type {DevalueParseError[]} */
+	const problems = [];
+
+	/** @type {Set<keyof import('./types.js').ParseLimits>} */
+	const exceeded = new Set();
+
+	/**
+	 * The slots that each slot refers to and that `parse` must revive before
+	 * it, rather than after it has been created and cached. A cycle of these
+	 * could never be revived
+	 * @type {Map<number, number[]>}
+	 */
+	const eager = new Map();
+
+	let nodes = 0;
+	let buffer_bytes = 0;
+
+	/**
+	 * @param {number} index
+	 * @param {string} [message]
+	 * @param {import('./types.js').ParseErrorCode} [code]
+	 */
+	function invalid(index, message = 'Invalid input', code = 'INVALID_INPUT') {
+		return new DevalueParseError(message, code, index, get_path(values, index));
+	}
+
+	/**
+	 * @param {keyof import('./types.js').ParseLimits} limit
+	 * @param {number} amount
+	 * @param {number} index
+	 */
+	function enforce(limit, amount, index) {
+		const max = limits?.[limit];
+
+		if (max !== undefined && amount > max && !exceeded.has(limit)) {
+			exceeded.add(limit);
+			problems.push(new DevalueLimitError(limit, max, index, get_path(values, index)));
+		}
+	}
+
+	/**
+	 * Checks the slot at `index`, throwing if it is malformed, and returns the
+	 * slots it refers to in the order `parse` would revive them
+	 * @param {number} index
+	 * @returns {number[]}
+	 */
+	function check(index) {
+		const value = values[index];
+
+		/** @type {number[]} */
+		const children = [];
+
+		/** @type {number[]} */
+		const first = [];
+
+		/** @param {boolean} condition */
+		function expect(condition) {
+			if (!condition) throw invalid(index);
+		}
+
+		/**
+		 * @param {any} reference
+		 * @param {boolean} [eagerly] - whether the slot must be revived before this one
+		 */
+		function add(reference, eagerly = false) {
+			expect(
+				Number.isInteger(reference) &&
+					(reference >= 0 ? reference < values.length : sentinels.has(reference))
+			);
+
+			if (reference >= 0) {
+				children.push(reference);
+				if (eagerly) first.push(reference);
+			}
+		}
+
+		/** @param {any} key */
+		function add_key(key) {
+			if (key === '__proto__') {
+				throw invalid(
+					index,
+					'Cannot parse an object with a `__proto__` property',
+					'PROTO_PROPERTY'
+				);
+			}
+		}
+
+		if (!value || typeof value !== 'object') return children;
+
+		if (!Array.isArray(value)) {
+			for (const key of Object.keys(value)) {
+				add_key(key);
+				add(value[key]);
+			}
+
+			return children;
+		}
+
+		if (typeof value[0] !== 'string') {
+			if (value[0] === SPARSE) {
+				const length = value[1];
+				expect(value.length % 2 === 0 && is_valid_array_len(length));
+
+				for (let i = 2; i < value.length; i += 2) {
+					expect(is_valid_array_index(value[i]) && value[i] < length);
+					add(value[i + 1]);
+				}
+			} else {
+				for (const item of value) {
+					if (item !== HOLE) add(item);
+				}
+			}
+
+			return children;
+		}
+
+		const bytes = check_tagged(values, index, context, add);
+
+		if (bytes > 0) {
+			// a resizable buffer may reserve up to its maximum length
+			enforce('bufferBytes', (buffer_bytes += bytes), index);
+		}
+
+		if (first.length > 0) eager.set(index, first);
+		return children;
+	}
+
+	/** @type {Array<[index: number, depth: number]>} */
+	const stack = [[0, 1]];
+	const visited = new Set();
+
+	while (stack.length > 0) {
+		const [index, depth] = /** @type {[number, number]} */ (stack.pop());
+
+		if (visited.has(index)) continue;
+		visited.add(index);
+
+		const { string_length, collection_size } = measure(values[index]);
+
+		enforce('nodes', (nodes += 1), index);
+		enforce('depth', depth, index);
+		enforce('stringLength', string_length, index);
+		enforce('collectionSize', collection_size, index);
+
+		/** @type {number[]} */
+		let children;
+
+		try {
+			children = check(index);
+		} catch (error) {
+			if (error instanceof DevalueParseError) {
+				problems.push(error);
+				continue;
+			}
+
+			// as `parse` would, report values that their constructors reject as
+			// invalid data. It throws a `DevalueError` for a detached buffer
+			const problem =
+				error instanceof DevalueError
+					? invalid(index, error.message, 'INVALID_BUFFER')
+					: invalid(index, 'Invalid data', 'INVALID_DATA');
+
+			problem.cause = error;
+			problems.push(problem);
+			continue;
+		}
+
+		// in reverse, so that children are visited in order
+		for (let i = children.length - 1; i >= 0; i -= 1) {
+			stack.push([children[i], depth + 1]);
+		}
+	}
+
+	/** @type {Map<number, 'visiting' | 'visited'>} */
+	const states = new Map();
+
+	for (const start of eager.keys()) {
+		if (states.has(start)) continue;
+
+		/** @type {Array<[index: number, next: number]>} */
+		const path = [[start, 0]];
+		states.set(start, 'visiting');
+
+		while (path.length > 0) {
+			const top = path[path.length - 1];
+			const next = eager.get(top[0])?.[top[1]++];
+
+			if (next === undefined) {
+				states.set(top[0], 'visited');
+				path.pop();
+			} else if (states.get(next) === 'visiting') {
+				problems.push(invalid(next, 'Invalid circular reference', 'CIRCULAR_REFERENCE'));
+			} else if (!states.has(next)) {
+				states.set(next, 'visiting');
+				path.push([next, 0]);
+			}
+		}
+	}
+
+	return problems;
+}
@@ -0,0 +1,109 @@
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import * as assert from 'uvu/assert';
+import * as uvu from 'uvu';
+import { stringify } from '../index.js';
+
+const bin = fileURLToPath(new URL('../bin/devalue.js', import.meta.url));
+
+// uvu sets `FORCE_COLOR`, which makes Node warn on stderr if `NO_COLOR` is set too
+const { FORCE_COLOR, NO_COLOR, ...env } = process.env;
+
+/**
+ * Runs the CLI with `input` on stdin
+ * @param {string[]} args
+ * @param {string} [input]
+ */
+function run(args, input = '') {
+	const result = spawnSync(process.execPath, [bin, ...args], { input, env, encoding: 'utf-8' });
+	return { stdout: result.stdout, stderr: result.stderr, status: result.status };
+}
+
+const test = uvu.suite('cli');
+
+const payload = stringify({ when: new Date(0), tags: new Set(['a']), count: 1n });
+
+test('converts to JSON', () => {
+	const { stdout, status } = run(['json'], payload);
+
+	assert.equal(status, 0);
+	assert.equal(JSON.parse(stdout), { when: '1970-01-01T00:00:00.000Z', tags: ['a'], count: '1' });
+});
+
+test('converts binary data and other built-in types to JSON', () => {
+	const input = stringify({
+		bytes: new Uint8Array([1, 2]),
+		big: new BigInt64Array([1n]),
+		buffer: new Uint8Array([1, 2, 3]).buffer,
+		view: new DataView(new Uint8Array([1, 2, 3]).buffer, 1),
+		url: new URL('https://example.com/'),
+		regex: /a/g
+	});
+
+	const { stdout, status } = run(['json'], input);
+
+	assert.equal(status, 0);
+	assert.equal(JSON.parse(stdout), {
+		bytes: [1, 2],
+		big: ['1'],
+		buffer: 'AQID',
+		view: 'AgM=',
+		url: 'https://example.com/',
+		regex: '/a/g'
+	});
+});
+
+test('fails to convert types that have no JSON equivalent', () => {
+	const { stdout, stderr, status } = run(['json'], '[[1],["Error","Error","oops"]]');
+
+	assert.equal(status, 1);
+	assert.equal(stdout, '');
+	assert.equal(stderr, 'devalue: Cannot convert an Error to JSON\n');
+});
+
+test('converts to JavaScript', () => {
+	const { stdout } = run(['js'], payload);
+	assert.equal(stdout, '{when:new Date(0),tags:new Set(["a"]),count:1n}\n');
+});
+
+test('converts JSON to the devalue format', () => {
+	const { stdout } = run(['stringify'], '{"a":[1,1]}');
+	assert.equal(stdout, '[{"a":1},[2,2],1]\n');
+});
+
+test('validates', () => {
+	assert.equal(run(['validate'], payload).stdout, 'valid\n');
+
+	const { stdout, status } = run(['validate'], '[{"a":1,"b":2},["Vector",3],["Nope"]]');
+
+	assert.equal(status, 1);
+	assert.equal(
+		stdout,
+		'Unknown type Vector (UNKNOWN_TYPE) at .a\nUnknown type Nope (UNKNOWN_TYPE) at .b\n'
+	);
+});
+
+test('inspects', () => {
+	const { stdout } = run(['inspect'], stringify([{ a: 1 }]));
+	assert.equal(stdout, '[\n  {\n    a: 1\n  }\n]\n');
+});
+
+test('revives custom types as their payloads', () => {
+	const input = '[["Vector",1],[2,3],1,2]';
+
+	assert.equal(run(['js', '--type', 'Vector'], input).stdout, '[1,2]\n');
+	assert.equal(run(['validate', '-t', 'Vector'], input).stdout, 'valid\n');
+	assert.match(run(['js'], input).stderr, /^devalue: Unknown type Vector \(UNKNOWN_TYPE\)\n/);
+});
+
+test('reports errors', () => {
+	const { stderr, status } = run(['json'], '[1,');
+
+	assert.equal(status, 1);
+	assert.match(stderr, /^devalue: .+ \(INVALID_JSON\) at offset 3\n/);
+
+	assert.equal(run(['nope']).status, 1);
+	assert.match(run(['--help']).stdout, /^Usage: devalue <command> \[file\]/);
+});
+
+test.run();
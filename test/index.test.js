@@ -2,7 +2,24 @@ import * as vm from 'vm';
 import * as assert from 'uvu/assert';
 import * as uvu from 'uvu';
 import * as consts from '../src/constants.js';
-import { uneval, unflatten, parse, stringify, stringifyAsync } from '../index.js';
+import {
+	DevalueError,
+	DevalueLimitError,
+	DevalueParseError,
+	check,
+	diff,
+	hash,
+	inspect,
+	patch,
+	uneval,
+	unflatten,
+	parse,
+	parseBinary,
+	stringify,
+	stringifyAsync,
+	stringifyBinary,
+	validate
+} from '../index.js';
 
 globalThis.Temporal ??= (await import('@js-temporal/polyfill')).Temporal;
 
@@ -918,6 +935,224 @@ const fixtures = {
 		}
 	],
 
+	errors: [
+		{
+			name: 'Error',
+			value: new Error('oops'),
+			js: 'new Error("oops")',
+			json: '[["Error","Error","oops"]]',
+			validate: (value) => {
+				assert.instance(value, Error);
+				assert.is(value.message, 'oops');
+				assert.is(value.stack, undefined);
+			}
+		},
+		{
+			name: 'Error with cause',
+			value: new TypeError('bad', { cause: new Error('root') }),
+			js: 'new TypeError("bad",{cause:new Error("root")})',
+			json: '[["Error","TypeError","bad","cause",1],["Error","Error","root"]]',
+			validate: (value) => {
+				assert.instance(value, TypeError);
+				assert.is(value.message, 'bad');
+				assert.instance(value.cause, Error);
+				assert.is(value.cause.message, 'root');
+				assert.equal(Object.keys(value), []);
+			}
+		},
+		{
+			name: 'AggregateError',
+			value: new AggregateError([new RangeError('r')], 'many'),
+			js: 'new AggregateError([new RangeError("r")],"many")',
+			json: '[["Error","AggregateError","many","errors",1],[2],["Error","RangeError","r"]]',
+			validate: (value) => {
+				assert.instance(value, AggregateError);
+				assert.is(value.message, 'many');
+				assert.is(value.errors.length, 1);
+				assert.instance(value.errors[0], RangeError);
+				assert.equal(Object.keys(value), []);
+			}
+		},
+		{
+			name: 'Error with name and own properties',
+			value: Object.assign(new Error('not found'), { name: 'HttpError', status: 404 }),
+			js: 'Object.assign(new Error("not found"),{name:"HttpError",status:404})',
+			json: '[["Error","Error","not found","name","HttpError","status",1],404]',
+			validate: (value) => {
+				assert.instance(value, Error);
+				assert.is(value.name, 'HttpError');
+				assert.is(value.status, 404);
+			}
+		},
+		{
+			name: 'DOMException',
+			value: new DOMException('aborted', 'AbortError'),
+			js: 'new DOMException("aborted","AbortError")',
+			json: '[["DOMException","aborted","AbortError"]]',
+			validate: (value) => {
+				assert.instance(value, DOMException);
+				assert.is(value.message, 'aborted');
+				assert.is(value.name, 'AbortError');
+				assert.is(value.code, 20);
+			}
+		},
+		{
+			name: 'Error with circular reference',
+			value: (() => {
+				const error = new Error('cycle');
+				error.self = error;
+				return error;
+			})(),
+			js: '(function(a){a.self=a;return a}(new Error("cycle")))',
+			json: '[["Error","Error","cycle","self",0]]',
+			validate: (value) => {
+				assert.is(value.message, 'cycle');
+				assert.is(value.self, value);
+			}
+		},
+		{
+			name: 'Error with circular cause',
+			value: (() => {
+				const error = new Error('cycle', { cause: null });
+				error.cause = error;
+				return error;
+			})(),
+			js: '(function(a){a.cause=a;return a}(new Error("cycle",{cause:void 0})))',
+			json: '[["Error","Error","cycle","cause",0]]',
+			validate: (value) => {
+				assert.is(value.cause, value);
+				assert.equal(Object.keys(value), []);
+			}
+		}
+	],
+
+	symbols: [
+		{
+			name: 'registered Symbol',
+			value: Symbol.for('key'),
+			js: 'Symbol.for("key")',
+			json: '[["Symbol","key"]]'
+		},
+		{
+			name: 'well-known Symbol',
+			value: Symbol.iterator,
+			js: 'Symbol.iterator',
+			json: '[["WellKnownSymbol","iterator"]]'
+		},
+		{
+			name: 'repeated registered Symbol',
+			value: [Symbol.for('key'), Symbol.for('key')],
+			js: '[Symbol.for("key"),Symbol.for("key")]',
+			json: '[[1,1],["Symbol","key"]]'
+		},
+		{
+			name: 'boxed registered Symbol',
+			value: Object(Symbol.for('key')),
+			js: 'Object(Symbol.for("key"))',
+			json: '[["Object",1],["Symbol","key"]]',
+			validate: (value) => {
+				assert.is(typeof value, 'object');
+				assert.is(value.valueOf(), Symbol.for('key'));
+			}
+		},
+		{
+			name: 'Map with Symbol keys',
+			value: new Map([[Symbol.for('key'), 1]]),
+			js: 'new Map([[Symbol.for("key"),1]])',
+			json: '[["Map",1,2],["Symbol","key"],1]'
+		},
+		{
+			name: 'POJO with Symbol keys',
+			value: { a: 1, [Symbol.for('key')]: 2, [Symbol.toStringTag]: 'Thing' },
+			js: '{a:1,[Symbol.for("key")]:2,[Symbol.toStringTag]:"Thing"}',
+			json: '[["object","a",1,2,3,4,5],1,["Symbol","key"],2,["WellKnownSymbol","toStringTag"],"Thing"]',
+			validate: (value) => {
+				assert.equal(Object.getPrototypeOf(value), Object.prototype);
+				assert.is(value.a, 1);
+				assert.is(value[Symbol.for('key')], 2);
+				assert.is(value[Symbol.toStringTag], 'Thing');
+			}
+		},
+		{
+			name: 'Object without prototype with Symbol keys',
+			value: Object.assign(Object.create(null), { a: 1, [Symbol.for('key')]: 2 }),
+			js: '{a:1,[Symbol.for("key")]:2,__proto__:null}',
+			json: '[["null","a",1,2,3],1,["Symbol","key"],2]',
+			validate: (value) => {
+				assert.equal(Object.getPrototypeOf(value), null);
+				assert.is(value.a, 1);
+				assert.is(value[Symbol.for('key')], 2);
+			}
+		},
+		{
+			name: 'repeated POJO with Symbol keys',
+			value: ((obj) => [obj, obj])({ [Symbol.for('key')]: 1 }),
+			js: '(function(a){a[Symbol.for("key")]=1;return [a,a]}({}))',
+			json: '[[1,1],["object",2,3],["Symbol","key"],1]',
+			validate: ([a, b]) => {
+				assert.is(a, b);
+				assert.is(a[Symbol.for('key')], 1);
+			}
+		}
+	],
+
+	fetch: [
+		{
+			name: 'Headers',
+			value: new Headers([
+				['content-type', 'text/plain'],
+				['set-cookie', 'a=1'],
+				['set-cookie', 'b=2']
+			]),
+			js: 'new Headers([["content-type","text/plain"],["set-cookie","a=1"],["set-cookie","b=2"]])',
+			json: '[["Headers","content-type","text/plain","set-cookie","a=1","set-cookie","b=2"]]',
+			validate: (value) => {
+				assert.ok(value instanceof Headers);
+				assert.is(value.get('content-type'), 'text/plain');
+				assert.equal(value.getSetCookie(), ['a=1', 'b=2']);
+			}
+		},
+		{
+			name: 'empty Headers',
+			value: new Headers(),
+			js: 'new Headers([])',
+			json: '[["Headers"]]',
+			validate: (value) => {
+				assert.ok(value instanceof Headers);
+				assert.equal([...value], []);
+			}
+		},
+		{
+			name: 'FormData',
+			value: (() => {
+				const form_data = new FormData();
+				form_data.append('a', '1');
+				form_data.append('a', '2');
+				return form_data;
+			})(),
+			js: '(f=>(f.append("a","1"),f.append("a","2"),f))(new FormData)',
+			json: '[["FormData","a",1,"a",2],"1","2"]',
+			validate: (value) => {
+				assert.ok(value instanceof FormData);
+				assert.equal(value.getAll('a'), ['1', '2']);
+			}
+		},
+		{
+			name: 'repeated FormData',
+			value: (() => {
+				const form_data = new FormData();
+				form_data.append('a', '1');
+				return [form_data, form_data];
+			})(),
+			js: '(function(a){a.append("a","1");return [a,a]}(new FormData))',
+			json: '[[1,1],["FormData","a",2],"1"]',
+			validate: ([a, b]) => {
+				assert.is(a, b);
+				assert.equal(a.getAll('a'), ['1']);
+			}
+		}
+	],
+
 	custom: ((instance) => [
 		{
 			name: 'Custom type',
@@ -1106,6 +1341,16 @@ for (const [name, tests] of Object.entries(fixtures)) {
 	test.run();
 }
 
+for (const [name, tests] of Object.entries(fixtures)) {
+	const test = uvu.suite(`validate: ${name}`);
+	for (const t of tests) {
+		test(t.name, () => {
+			assert.equal(validate(t.json, { revivers: t.revivers }), []);
+		});
+	}
+	test.run();
+}
+
 const invalid = [
 	{
 		name: 'typed array with non-ArrayBuffer input',
@@ -1246,19 +1491,76 @@ const invalid = [
 		revivers: { Custom: (v) => v },
 		message: 'Invalid circular reference'
 	},
+	{
+		name: 'unknown well-known Symbol',
+		json: '[["WellKnownSymbol","constructor"]]',
+		message: 'Invalid input'
+	},
+	{
+		name: 'registered Symbol with non-string key',
+		json: '[["Symbol",{}]]',
+		message: 'Invalid input'
+	},
+	{
+		name: 'prototype pollution via Symbol key reference',
+		json: '[["object",1,2],"__proto__",{}]',
+		message: 'Invalid input'
+	},
+	{
+		name: 'Symbol key reference to a custom type',
+		json: '[["object",1,2],["Symbol",3],{},"key"]',
+		revivers: { Symbol: () => '__proto__' },
+		message: 'Invalid input'
+	},
 	{
 		name: 'mutual TypedArray reference',
 		json: '[["Uint8Array", 1], ["Uint8Array", 0]]',
 		message: 'Invalid data'
+	},
+	{
+		name: 'Date with a non-string value',
+		json: '[["Date",5]]',
+		message: 'Invalid input'
+	},
+	{
+		name: 'RegExp with an invalid pattern',
+		json: '[["RegExp","("]]',
+		message: 'Invalid data'
+	},
+	{
+		name: 'invalid URL',
+		json: '[["URL","nope"]]',
+		message: 'Invalid data'
+	},
+	{
+		name: 'invalid header name',
+		json: '[["Headers","bad name","x"]]',
+		message: 'Invalid data'
+	},
+	{
+		name: 'Response status out of range',
+		json: '[["Response",99,"",1,-1],["Headers"]]',
+		message: 'Invalid data'
+	},
+	{
+		name: 'DOMException with a code',
+		json: '[["DOMException","message","Error","code",1],2]',
+		message: 'Invalid data'
 	}
 ];
 
 for (const { name, json, message, revivers } of invalid) {
+	uvu.test(`validate error: ${name}`, () => {
+		const [problem] = validate(json, { revivers });
+		assert.ok(problem instanceof DevalueParseError);
+		assert.equal(problem.message, message);
+	});
+
 	uvu.test(`parse error: ${name}`, () => {
 		assert.throws(
 			() => parse(json, revivers),
 			(error) => {
-				const match = error.message === message;
+				const match = error instanceof DevalueParseError && error.message === message;
 				if (!match) {
 					console.error(`Expected: ${message}, got: ${error.message}`);
 				}
@@ -1268,6 +1570,155 @@ for (const { name, json, message, revivers } of invalid) {
 	});
 }
 
+uvu.test('validate finds problems exactly when parse throws', () => {
+	const cases = [
+		...Object.values(fixtures).flat(),
+		...invalid,
+		{ json: '[["Uint16Array",1,1],["ArrayBuffer","AAAA"]]' },
+		{ json: '[["Uint16Array",1],["ArrayBuffer","AAA="]]' },
+		{ json: '[["Uint16Array",1,0,3],["ArrayBuffer","AAAA"]]' },
+		{ json: '[["Float16Array",1],["ArrayBuffer",""]]' },
+		{ json: '[["ArrayBuffer","AQI"]]' },
+		{ json: '[["ArrayBuffer","AAAA",1]]' },
+		{ json: '[["Response",204,"",1,2],["Headers"],["ArrayBuffer",""]]' },
+		{ json: '[["Response",200,"\\n",1,-1],["Headers"]]' },
+		{ json: '[["Request","https://example.com","GET",1,2],["Headers"],["ArrayBuffer",""]]' },
+		{ json: '[["Request","/relative","GET",1,-1],["Headers"]]' }
+	];
+
+	for (const { json, revivers } of /** @type {any[]} */ (cases)) {
+		let parsed = true;
+
+		try {
+			parse(json, revivers);
+		} catch {
+			parsed = false;
+		}
+
+		assert.equal(validate(json, { revivers }).length === 0, parsed, json);
+	}
+});
+
+{
+	const test = uvu.suite('DevalueParseError');
+
+	/**
+	 * @param {() => void} fn
+	 * @returns {Record<string, any>}
+	 */
+	function details(fn) {
+		try {
+			fn();
+			assert.unreachable('should have thrown');
+		} catch (e) {
+			assert.ok(e instanceof DevalueParseError);
+			assert.equal(e.name, 'DevalueParseError');
+			const { code, index, path, offset } = e;
+			return { message: e.message, code, index, path, offset };
+		}
+	}
+
+	/** @param {() => void} fn */
+	function get_message(fn) {
+		try {
+			fn();
+		} catch (e) {
+			return e.message;
+		}
+	}
+
+	test('describes the slot being revived', () => {
+		assert.equal(details(() => parse('[{"a":1},{"b":2},["Uint8Array",0]]')), {
+			message: 'Invalid data',
+			code: 'INVALID_DATA',
+			index: 2,
+			path: '.a.b',
+			offset: undefined
+		});
+
+		assert.equal(details(() => parse('[[1,2],{"__proto__":3},1]')), {
+			message: 'Cannot parse an object with a `__proto__` property',
+			code: 'PROTO_PROPERTY',
+			index: 1,
+			path: '[0]',
+			offset: undefined
+		});
+
+		// an invalid reference is blamed on the slot containing it
+		assert.equal(details(() => parse('[{"a":1},[true]]')).path, '.a');
+		assert.equal(details(() => parse('[["Foo",1],{}]', {})).code, 'UNKNOWN_TYPE');
+		assert.equal(details(() => parse('[["Class","Foo"]]')).code, 'UNKNOWN_CLASS');
+		assert.equal(
+			details(() => parse('[["Custom",0]]', { Custom: (v) => v })).code,
+			'CIRCULAR_REFERENCE'
+		);
+		assert.equal(details(() => parse('[["ArrayBuffer",true]]')).code, 'INVALID_BUFFER');
+	});
+
+	test('reports values that their constructors reject', () => {
+		for (const json of [
+			'[["BigInt","1.5"]]',
+			'[["RegExp","("]]',
+			'[["URL","nope"]]',
+			'[["Headers","bad name","x"]]',
+			'[["Response",99,"",1,-1],["Headers"]]',
+			'[["DOMException","message","Error","code",1],2]'
+		]) {
+			const { code, index, path } = details(() => parse(json));
+			assert.equal({ code, index, path }, { code: 'INVALID_DATA', index: 0, path: '' }, json);
+		}
+
+		assert.equal(details(() => parse('[{"a":1},["URL",1]]')).path, '.a');
+		assert.equal(details(() => parse('[["Uint8Array",1],null]')).code, 'INVALID_DATA');
+		assert.equal(details(() => parse('[["Object",1],null]')).code, 'INVALID_INPUT');
+		assert.equal(details(() => parse('[[1],{"a":2}]')).index, 1);
+	});
+
+	test('passes on errors thrown by revivers', () => {
+		const error = new Error('nope');
+
+		assert.throws(
+			() =>
+				parse('[["Set",1],["Custom",2],1]', {
+					Custom: () => {
+						throw error;
+					}
+				}),
+			(e) => e === error
+		);
+	});
+
+	test('reports the offset of JSON syntax errors', () => {
+		assert.equal(details(() => parse('[{"a":1},tru]')), {
+			message: get_message(() => JSON.parse('[{"a":1},tru]')),
+			code: 'INVALID_JSON',
+			index: undefined,
+			path: undefined,
+			offset: 12
+		});
+
+		assert.equal(details(() => parse('')).offset, 0);
+
+		const annotated = stringify({ a: 1 }, undefined, { annotate: true });
+		assert.equal(
+			details(() => parse(annotated.replace('1', 'x'), undefined, { annotated: true })).offset,
+			annotated.indexOf('1')
+		);
+	});
+
+	test('reports malformed input without a slot', () => {
+		assert.equal(details(() => parse('{}')), {
+			message: 'Invalid input',
+			code: 'INVALID_INPUT',
+			index: undefined,
+			path: undefined,
+			offset: undefined
+		});
+	});
+
+	test.run();
+}
+
 for (const fn of [uneval, stringify]) {
 	uvu.test(`${fn.name} throws for non-POJOs`, () => {
 		class Foo {}
@@ -1287,6 +1738,33 @@ for (const fn of [uneval, stringify]) {
 		assert.throws(() => fn({ [Symbol()]: null }));
 	});
 
+	uvu.test(`${fn.name} explains why unique Symbols are rejected`, () => {
+		const symbol = Symbol('unique');
+
+		try {
+			fn({ foo: [symbol] });
+			assert.unreachable('should have thrown');
+		} catch (e) {
+			assert.equal(e.name, 'DevalueError');
+			assert.equal(
+				e.message,
+				'Cannot stringify a unique Symbol — only registered (Symbol.for) and well-known symbols can be recreated'
+			);
+			assert.equal(e.path, '.foo[0]');
+			assert.equal(e.value, symbol);
+		}
+	});
+
+	uvu.test(`${fn.name} populates error.path for Symbol keys`, () => {
+		try {
+			fn({ foo: { [Symbol.for('key')]: () => {} } });
+			assert.unreachable('should have thrown');
+		} catch (e) {
+			assert.equal(e.message, 'Cannot stringify a function');
+			assert.equal(e.path, '.foo[Symbol.for("key")]');
+		}
+	});
+
 	uvu.test(`${fn.name} throws for __proto__ keys`, () => {
 		const inner = JSON.parse('{"__proto__":1}');
 		const root = { foo: inner };
@@ -1708,61 +2186,1451 @@ for (const [name, tests] of Object.entries(fixtures)) {
 	test.run();
 }
 
-// Async-specific tests
-const asyncTests = uvu.suite('stringifyAsync: promises');
+// Verify that the binary format revives the same values as the JSON format
+for (const [name, tests] of Object.entries(fixtures)) {
+	const test = uvu.suite(`stringifyBinary round-trip: ${name}`);
+	for (const t of tests) {
+		test(t.name, () => {
+			const bytes = stringifyBinary(t.value, t.reducers);
+			assert.ok(bytes instanceof Uint8Array);
 
-asyncTests('resolves top-level promise', async () => {
-	const result = await stringifyAsync(Promise.resolve(42));
-	assert.equal(result, stringify(42));
-});
+			const actual = parseBinary(bytes, t.revivers);
 
-asyncTests('resolves promise to undefined', async () => {
-	const result = await stringifyAsync(Promise.resolve(undefined));
-	assert.equal(result, stringify(undefined));
-});
+			if (t.validate) {
+				t.validate(actual);
+			} else {
+				assert.equal(actual, t.value);
+			}
+		});
+	}
+	test.run();
+}
 
-asyncTests('resolves promise to null', async () => {
-	const result = await stringifyAsync(Promise.resolve(null));
-	assert.equal(result, stringify(null));
+const binaryTests = uvu.suite('stringifyBinary');
+
+binaryTests('writes buffers as raw bytes', () => {
+	const value = new Float64Array(1024).fill(Math.PI);
+	const bytes = stringifyBinary(value);
+
+	assert.ok(bytes.length < value.byteLength + 64);
+	assert.ok(bytes.length < stringify(value).length);
+	assert.equal(parseBinary(bytes), value);
 });
 
-asyncTests('resolves promise to NaN', async () => {
-	const result = await stringifyAsync(Promise.resolve(NaN));
-	assert.equal(result, stringify(NaN));
+binaryTests('shares buffers between views', () => {
+	const buffer = new ArrayBuffer(8);
+	const [a, b] = parseBinary(stringifyBinary([new Uint8Array(buffer), new Uint32Array(buffer)]));
+
+	a[0] = 1;
+	assert.is(b.buffer, a.buffer);
+	assert.is(b[0], 1);
 });
 
-asyncTests('resolves nested promises in objects', async () => {
-	const result = await stringifyAsync({
-		a: Promise.resolve(1),
-		b: Promise.resolve('hello')
+binaryTests('uses custom operations', () => {
+	const bytes = stringifyBinary({ a: 1 }, undefined, {
+		operations: { keysOf: () => ['a'], toPrimitive: (value) => value * 2 }
 	});
-	assert.equal(result, stringify({ a: 1, b: 'hello' }));
+
+	const value = parseBinary(bytes, undefined, {
+		operations: { fromPrimitive: (value) => (typeof value === 'number' ? value + 1 : value) }
+	});
+
+	assert.equal(value, { a: 3 });
 });
 
-asyncTests('resolves promises in arrays', async () => {
-	const result = await stringifyAsync([Promise.resolve('a'), Promise.resolve('b')]);
-	assert.equal(result, stringify(['a', 'b']));
+binaryTests('parseBinary rejects malformed input', () => {
+	assert.throws(() => parseBinary(new TextEncoder().encode('[1]')), /Invalid input/);
+
+	// an `["ArrayBuffer",0]` slot without a buffer section
+	const bytes = stringifyBinary(new ArrayBuffer(1));
+	bytes[bytes.length - 3] = 0;
+	assert.throws(() => parseBinary(bytes.subarray(0, bytes.length - 2)), /Invalid ArrayBuffer/);
 });
 
-asyncTests('resolves promises in Sets', async () => {
-	const result = await stringifyAsync(new Set([Promise.resolve(1), Promise.resolve(2)]));
-	assert.equal(result, stringify(new Set([1, 2])));
+binaryTests.run();
+
+const bufferTests = uvu.suite('buffers');
+
+bufferTests('collects buffers out of band', () => {
+	const buffer = new Uint8Array([1, 2, 3]).buffer;
+	const value = { a: new Uint8Array(buffer), b: new DataView(buffer, 1) };
+	const result = stringify(value, undefined, { buffers: true });
+
+	assert.equal(
+		result.json,
+		'[{"a":1,"b":3},["Uint8Array",2],["ArrayBuffer",0],["DataView",2,1,2]]'
+	);
+	assert.equal(result.buffers.length, 1);
+	assert.is(result.buffers[0], buffer);
 });
 
-asyncTests('resolves promises in Map values', async () => {
-	const result = await stringifyAsync(new Map([['key', Promise.resolve('value')]]));
-	assert.equal(result, stringify(new Map([['key', 'value']])));
+bufferTests('revives views over the exact buffers', () => {
+	const buffer = new Uint16Array([1, 2, 3]).buffer;
+	const value = [new Uint16Array(buffer), new Uint8Array(buffer, 2)];
+	const { json, buffers } = stringify(value, undefined, { buffers: true });
+
+	const [a, b] = parse(json, undefined, { buffers });
+	assert.is(a.buffer, buffer);
+	assert.is(b.buffer, buffer);
+	assert.is(b.byteOffset, 2);
+	assert.equal(a, new Uint16Array([1, 2, 3]));
 });
 
-asyncTests('resolves deeply nested promises', async () => {
-	const result = await stringifyAsync({
-		a: { b: { c: Promise.resolve(42) } }
+bufferTests('works with stringifyAsync and unflatten', async () => {
+	const { json, buffers } = await stringifyAsync(
+		{ bytes: Promise.resolve(new Uint8Array([4, 5])), blob: new Blob(['hi']) },
+		undefined,
+		{ buffers: true }
+	);
+
+	assert.equal(buffers.length, 2);
+
+	const value = unflatten(JSON.parse(json), undefined, { buffers });
+	assert.equal(value.bytes, new Uint8Array([4, 5]));
+	assert.is(await value.blob.text(), 'hi');
+});
+
+bufferTests('returns an empty list if there are no buffers', () => {
+	assert.equal(stringify(undefined, undefined, { buffers: true }), { json: '-1', buffers: [] });
+	assert.equal(stringify({ a: 1 }, undefined, { buffers: true }), {
+		json: '[{"a":1},1]',
+		buffers: []
 	});
-	assert.equal(result, stringify({ a: { b: { c: 42 } } }));
 });
 
-asyncTests('deduplicates resolved values by identity', async () => {
-	const obj = { x: 1 };
+bufferTests('parse rejects missing buffers', () => {
+	const { json } = stringify(new ArrayBuffer(1), undefined, { buffers: true });
+
+	assert.throws(() => parse(json), /Invalid ArrayBuffer encoding/);
+	assert.throws(() => parse(json, undefined, { buffers: [] }), /Invalid ArrayBuffer encoding/);
+});
+
+bufferTests('reports paths that do not go through out-of-band buffers', () => {
+	const json = '[{"buffer":1,"deep":2},["ArrayBuffer",3],{"x":3},["Nope"]]';
+	const buffers = Array.from({ length: 4 }, () => new ArrayBuffer(1));
+
+	try {
+		parse(json, undefined, { buffers });
+		assert.unreachable('should have thrown');
+	} catch (e) {
+		assert.is(e.code, 'UNKNOWN_TYPE');
+		assert.is(e.path, '.deep.x');
+	}
+
+	assert.equal(validate(json, { buffers }).map((e) => e.path), ['.deep.x']);
+});
+
+bufferTests('parse still accepts base64 buffers', () => {
+	const json = stringify(new Uint8Array([1]));
+	assert.equal(parse(json, undefined, { buffers: [] }), new Uint8Array([1]));
+});
+
+bufferTests.run();
+
+const bufferKindTests = uvu.suite('shared, resizable and detached buffers');
+
+// resizable and growable buffers aren't supported in Node 18
+const resizable_supported = typeof ArrayBuffer.prototype.resize === 'function';
+const growable_supported = typeof SharedArrayBuffer.prototype.grow === 'function';
+
+const resizableTests = resizable_supported ? bufferKindTests : bufferKindTests.skip;
+const growableTests = growable_supported ? bufferKindTests : bufferKindTests.skip;
+
+resizableTests('round-trips resizable ArrayBuffers and length-tracking views', () => {
+	const buffer = new ArrayBuffer(4, { maxByteLength: 16 });
+	new Uint8Array(buffer).set([1, 2, 3, 4]);
+
+	const value = {
+		buffer,
+		tracking: new Uint8Array(buffer, 1),
+		fixed: new Uint8Array(buffer, 0, 2),
+		view: new DataView(buffer)
+	};
+
+	const json = stringify(value);
+	assert.equal(
+		json,
+		'[{"buffer":1,"tracking":2,"fixed":3,"view":4},["ArrayBuffer","AQIDBA==",16],["Uint8Array",1,1],["Uint8Array",1,0,2],["DataView",1]]'
+	);
+
+	for (const revived of [parse(json), parseBinary(stringifyBinary(value))]) {
+		assert.ok(revived.buffer.resizable);
+		assert.is(revived.buffer.maxByteLength, 16);
+
+		revived.buffer.resize(8);
+		assert.is(revived.tracking.length, 7);
+		assert.is(revived.fixed.length, 2);
+		assert.is(revived.view.byteLength, 8);
+		assert.equal([...revived.tracking], [2, 3, 4, 0, 0, 0, 0]);
+	}
+});
+
+growableTests('round-trips SharedArrayBuffers', () => {
+	const shared = new SharedArrayBuffer(2);
+	const growable = new SharedArrayBuffer(1, { maxByteLength: 4 });
+	new Uint8Array(shared).set([1, 2]);
+
+	const json = stringify([new Uint8Array(shared), growable]);
+	assert.equal(
+		json,
+		'[[1,3],["Uint8Array",2],["SharedArrayBuffer","AQI="],["SharedArrayBuffer","AA==",4]]'
+	);
+
+	const [view, revived] = parse(json);
+	assert.ok(view.buffer instanceof SharedArrayBuffer);
+	assert.equal([...view], [1, 2]);
+	assert.ok(revived instanceof SharedArrayBuffer);
+	assert.ok(revived.growable);
+	assert.is(revived.maxByteLength, 4);
+});
+
+bufferKindTests('passes shared and resizable out-of-band buffers through', () => {
+	const shared = new SharedArrayBuffer(2);
+	const resizable = new ArrayBuffer(2, { maxByteLength: 4 });
+
+	const { json, buffers } = stringify({ shared, resizable }, undefined, { buffers: true });
+	assert.is(buffers[0], shared);
+	assert.is(buffers[1], resizable);
+
+	const value = parse(json, undefined, { buffers });
+	assert.is(value.shared, shared);
+	assert.is(value.resizable, resizable);
+});
+
+resizableTests('uneval recreates shared and resizable buffers', () => {
+	const buffer = new ArrayBuffer(2, { maxByteLength: 4 });
+	new Uint8Array(buffer).set([1, 2]);
+
+	assert.is(
+		uneval(new Uint8Array(buffer, 1)),
+		'new Uint8Array((b=>(new Uint8Array(b).set([1,2]),b))(new ArrayBuffer(2,{maxByteLength:4}))).subarray(1)'
+	);
+	assert.is(uneval(new SharedArrayBuffer(1)), 'new SharedArrayBuffer(1)');
+
+	const value = (0, eval)(`(${uneval({ buffer, view: new DataView(buffer, 0, 1) })})`);
+	assert.ok(value.buffer.resizable);
+	assert.is(value.view.buffer, value.buffer);
+	value.buffer.resize(4);
+	assert.is(value.view.byteLength, 1);
+});
+
+bufferKindTests('throws on detached buffers', () => {
+	const buffer = new ArrayBuffer(4);
+	const view = new Uint8Array(buffer);
+	structuredClone(buffer, { transfer: [buffer] });
+
+	/**
+	 * @param {() => void} fn
+	 * @param {string} [message]
+	 */
+	function assert_detached(fn, message = 'Cannot stringify a detached ArrayBuffer') {
+		try {
+			fn();
+			assert.unreachable('should have thrown');
+		} catch (e) {
+			assert.equal(e.name, 'DevalueError');
+			assert.is(e.message, message);
+			assert.is(e.path, '.a[0]');
+		}
+	}
+
+	assert_detached(() => stringify({ a: [buffer] }));
+	assert_detached(() => stringify({ a: [view] }));
+	assert_detached(() => uneval({ a: [buffer] }));
+	assert_detached(() => uneval({ a: [view] }));
+
+	const { json, buffers } = stringify({ a: [new Uint8Array(4)] }, undefined, { buffers: true });
+	structuredClone(buffers[0], { transfer: buffers });
+
+	assert_detached(
+		() => parse(json, undefined, { buffers }),
+		'Cannot parse a detached ArrayBuffer'
+	);
+});
+
+bufferKindTests('parse rejects invalid maxByteLengths', () => {
+	assert.throws(() => parse('[["ArrayBuffer","",-1]]'), /Invalid input/);
+	assert.throws(() => parse('[["ArrayBuffer","","16"]]'), /Invalid input/);
+});
+
+bufferKindTests.run();
+
+const formattingTests = uvu.suite('formatting');
+
+formattingTests('indents the output with space', () => {
+	const value = { a: [1], b: new Date(0) };
+
+	assert.equal(
+		stringify(value, undefined, { space: 2 }),
+		JSON.stringify(JSON.parse(stringify(value)), null, 2)
+	);
+	assert.equal(stringify(undefined, undefined, { space: 2 }), '-1');
+});
+
+formattingTests('annotates each slot with its path', () => {
+	const value = { user: { roles: ['admin'] } };
+	const annotated = stringify(value, undefined, { annotate: true });
+
+	assert.equal(
+		annotated,
+		[
+			'[',
+			'\t// 0: (root)',
+			'\t{"user":1},',
+			'\t// 1: .user',
+			'\t{"roles":2},',
+			'\t// 2: .user.roles',
+			'\t[3],',
+			'\t// 3: .user.roles[0]',
+			'\t"admin"',
+			']'
+		].join('\n')
+	);
+	assert.equal(parse(annotated, undefined, { annotated: true }), value);
+});
+
+formattingTests('indents annotated slots with space', () => {
+	const annotated = stringify({ a: [1, 2] }, undefined, { annotate: true, space: '  ' });
+
+	assert.equal(
+		annotated,
+		'[\n  // 0: (root)\n  {\n    "a": 1\n  },\n  // 1: .a\n  [\n    2,\n    3\n  ],\n' +
+			'  // 2: .a[0]\n  1,\n  // 3: .a[1]\n  2\n]'
+	);
+	assert.equal(parse(annotated, undefined, { annotated: true }), { a: [1, 2] });
+});
+
+formattingTests('annotates values that are serialized asynchronously', async () => {
+	const value = { p: Promise.resolve({ q: 'x' }) };
+	const annotated = await stringifyAsync(value, undefined, { annotate: true });
+
+	assert.ok(annotated.includes('// 2: .p.q\n\t"x"'));
+	assert.equal(parse(annotated, undefined, { annotated: true }), { p: { q: 'x' } });
+});
+
+formattingTests('does not treat slashes in strings as annotations', () => {
+	const value = ['// not a comment', 'https://example.com'];
+
+	assert.equal(parse(stringify(value, undefined, { space: '\t' })), value);
+	assert.equal(
+		parse(stringify(value, undefined, { annotate: true }), undefined, { annotated: true }),
+		value
+	);
+	assert.equal(parse('[[1],"a\u2028// b"]'), ['a\u2028// b']);
+	assert.equal(parse('[[1],"a\u2028// b"]', undefined, { annotated: true }), ['a\u2028// b']);
+});
+
+formattingTests('only ignores annotations if asked to', () => {
+	const annotated = stringify({ a: 1 }, undefined, { annotate: true });
+
+	assert.throws(
+		() => parse(annotated),
+		(error) => error instanceof DevalueParseError && error.code === 'INVALID_JSON'
+	);
+	assert.equal(validate(annotated)[0]?.code, 'INVALID_JSON');
+	assert.equal(validate(annotated, { annotated: true }), []);
+});
+
+formattingTests('keeps strings and annotations safe to embed in a script', () => {
+	const value = { '</script>\u2028': '</script>\u2028' };
+
+	for (const options of [{ space: 2 }, { annotate: true }, { annotate: true, space: 2 }]) {
+		const json = stringify(value, undefined, options);
+
+		assert.not.match(json, /<\/script>|\u2028/);
+		assert.equal(parse(json, undefined, { annotated: options.annotate }), value);
+	}
+
+	assert.equal(stringify('</script>', undefined, { space: 2 }), '[\n  "\\u003C/script>"\n]');
+});
+
+formattingTests.run();
+
+const canonicalTests = uvu.suite('canonical');
+
+canonicalTests('sorts object keys', () => {
+	const value = { b: 1, a: { d: 2, c: 3 } };
+
+	assert.equal(
+		stringify(value, undefined, { canonical: true }),
+		'[{"a":1,"b":4},{"c":2,"d":3},3,2,1]'
+	);
+	assert.equal(
+		stringify(value, undefined, { canonical: true }),
+		stringify({ a: { c: 3, d: 2 }, b: 1 }, undefined, { canonical: true })
+	);
+	assert.equal(
+		stringify({ [Symbol.for('b')]: 1, [Symbol.for('a')]: 2 }, undefined, { canonical: true }),
+		stringify({ [Symbol.for('a')]: 2, [Symbol.for('b')]: 1 }, undefined, { canonical: true })
+	);
+});
+
+canonicalTests('orders Set members and Map entries regardless of insertion order', () => {
+	const a = {
+		set: new Set([{ x: 1 }, 'q', 3]),
+		map: new Map([
+			[{ k: 2 }, 'two'],
+			['k', 'one']
+		])
+	};
+
+	const b = {
+		map: new Map([
+			['k', 'one'],
+			[{ k: 2 }, 'two']
+		]),
+		set: new Set([3, 'q', { x: 1 }])
+	};
+
+	const json = stringify(a, undefined, { canonical: true });
+
+	assert.equal(json, stringify(b, undefined, { canonical: true }));
+	assert.equal(parse(json), a);
+});
+
+canonicalTests('gives identical output for equal cyclic graphs', () => {
+	const a = new Set();
+	a.add(1);
+	a.add({ set: a });
+	a.add(a);
+
+	const b = new Set();
+	b.add(b);
+	b.add({ set: b });
+	b.add(1);
+
+	const json = stringify(a, undefined, { canonical: true });
+
+	assert.equal(json, stringify(b, undefined, { canonical: true }));
+
+	const result = parse(json);
+	assert.ok(result.has(result));
+	assert.ok([...result].some((member) => member?.set === result));
+});
+
+canonicalTests('orders identical members by their existing slots', () => {
+	const x = { a: 1 };
+	const y = { a: 1 };
+
+	assert.equal(
+		stringify({ r: x, s: new Set([y, x]) }, undefined, { canonical: true }),
+		stringify({ r: x, s: new Set([x, y]) }, undefined, { canonical: true })
+	);
+});
+
+canonicalTests('orders identical members by where else they are referred to from', () => {
+	const x = { a: 1 };
+	const y = { a: 1 };
+
+	const json = stringify({ s1: new Set([x, y]), s2: new Set([y]) }, undefined, { canonical: true });
+
+	assert.equal(
+		json,
+		stringify({ s1: new Set([y, x]), s2: new Set([y]) }, undefined, { canonical: true })
+	);
+
+	const result = parse(json);
+	assert.ok(result.s1.has([...result.s2][0]));
+});
+
+canonicalTests('orders deeply nested Sets in linear passes', () => {
+	let a = new Set([0]);
+	let b = new Set([0]);
+
+	for (let i = 1; i <= 100; i += 1) {
+		a = new Set([a, i]);
+		b = new Set([i, b]);
+	}
+
+	assert.equal(
+		stringify(a, undefined, { canonical: true }),
+		stringify(b, undefined, { canonical: true })
+	);
+});
+
+canonicalTests('reports unserializable members once', () => {
+	/** @type {string[]} */
+	const paths = [];
+
+	const json = stringify(new Set([{ fn() {} }, 1]), undefined, {
+		canonical: true,
+		onUnserializable: (error) => {
+			paths.push(error.path);
+			return null;
+		}
+	});
+
+	assert.equal(paths.length, 1);
+	assert.equal(parse(json), new Set([1, { fn: null }]));
+});
+
+canonicalTests('orders members that are promises', async () => {
+	const json = await stringifyAsync(new Set([Promise.resolve(1), 2]), undefined, {
+		canonical: true
+	});
+
+	assert.equal(parse(json), new Set([1, 2]));
+});
+
+canonicalTests.run();
+
+const hashTests = uvu.suite('hash');
+
+hashTests('returns the digest of the canonical output', () => {
+	const value = { b: [1, 2], a: new Set(['x', 'y']) };
+
+	assert.match(hash(value), /^[0-9a-f]{32}$/);
+	assert.equal(hash(value), hash({ a: new Set(['y', 'x']), b: [1, 2] }));
+	assert.equal(hash(undefined), hash(undefined));
+	assert.not.equal(hash({ a: 1 }), hash({ a: 2 }));
+	assert.not.equal(hash(undefined), hash(null));
+});
+
+hashTests('distinguishes shared references from copies', () => {
+	const shared = { x: 1 };
+
+	assert.not.equal(hash([shared, shared]), hash([{ x: 1 }, { x: 1 }]));
+	assert.equal(hash([shared, shared]), hash(parse(stringify([shared, shared]))));
+});
+
+hashTests('gives equal graphs with identical members the same digest', () => {
+	const [x, y, x2, y2] = [{ a: 1 }, { a: 1 }, { a: 1 }, { a: 1 }];
+
+	assert.equal(
+		hash({ s1: new Set([x, y]), s2: new Set([y]) }),
+		hash({ s1: new Set([y2, x2]), s2: new Set([y2]) })
+	);
+
+	assert.not.equal(
+		hash({ s1: new Set([x, y]), s2: new Set([y]) }),
+		hash({ s1: new Set([x, y]), s2: new Set([{ a: 1 }]) })
+	);
+});
+
+hashTests('handles cycles', () => {
+	const a = { name: 'a' };
+	a.self = a;
+
+	const b = { self: /** @type {any} */ (null), name: 'a' };
+	b.self = b;
+
+	assert.equal(hash(a), hash(b));
+	assert.not.equal(hash(a), hash({ name: 'a', self: { name: 'a' } }));
+});
+
+hashTests('ignores formatting options', () => {
+	const value = { a: new Uint8Array([1, 2]) };
+
+	assert.equal(hash(value, undefined, { space: 2, annotate: true, buffers: true }), hash(value));
+});
+
+hashTests('uses reducers', () => {
+	class Vector {
+		constructor(x, y) {
+			this.x = x;
+			this.y = y;
+		}
+	}
+
+	const reducers = { Vector: (v) => v instanceof Vector && [v.x, v.y] };
+
+	assert.equal(hash(new Vector(1, 2), reducers), hash(new Vector(1, 2), reducers));
+	assert.not.equal(hash(new Vector(1, 2), reducers), hash([1, 2]));
+});
+
+hashTests.run();
+
+const patchTests = uvu.suite('diff and patch');
+
+/**
+ * @param {any} value
+ * @param {Record<string, (value: any) => any>} [reducers]
+ */
+function canonical(value, reducers) {
+	return stringify(value, reducers, { canonical: true });
+}
+
+patchTests('updates values in place', () => {
+	const previous = { user: { name: 'a', roles: ['admin'] }, settings: { theme: 'dark' } };
+	const next = { user: { name: 'b', roles: ['admin', 'owner'] }, settings: { theme: 'dark' } };
+
+	const target = parse(canonical(previous));
+	const { user, settings } = target;
+	const { roles } = user;
+
+	const result = patch(target, diff(canonical(previous), canonical(next)));
+
+	assert.is(result, target);
+	assert.is(result.user, user);
+	assert.is(result.user.roles, roles);
+	assert.is(result.settings, settings);
+	assert.equal(result, next);
+});
+
+patchTests('removes keys and shortens arrays', () => {
+	const previous = { a: 1, b: 2, list: [1, 2, 3] };
+	const next = { a: 1, list: [1] };
+
+	const target = parse(canonical(previous));
+	patch(target, diff(canonical(previous), canonical(next)));
+
+	assert.equal(target, next);
+	assert.not.ok('b' in target);
+});
+
+patchTests('updates Set and Map membership', () => {
+	const previous = { set: new Set([1, 'a', { x: 1 }]), map: new Map([['a', { v: 1 }]]) };
+	const next = {
+		set: new Set([1, { x: 1 }, 'b']),
+		map: new Map([
+			['a', { v: 2 }],
+			['b', { v: 3 }]
+		])
+	};
+
+	const target = parse(canonical(previous));
+	const value = target.map.get('a');
+
+	patch(target, diff(canonical(previous), canonical(next)));
+
+	assert.equal(target, next);
+	assert.is(target.map.get('a'), value);
+});
+
+patchTests('preserves shared references and cycles', () => {
+	const previous = { name: 'a' };
+	previous.self = previous;
+
+	const shared = { shared: true };
+	const next = { name: 'b', first: shared, second: shared };
+	next.self = next;
+
+	const target = parse(canonical(previous));
+	patch(target, diff(canonical(previous), canonical(next)));
+
+	assert.is(target.self, target);
+	assert.is(target.first, target.second);
+	assert.equal(target.name, 'b');
+});
+
+patchTests('replaces the root', () => {
+	const target = parse(canonical({ a: 1 }));
+
+	assert.equal(patch(target, diff(canonical({ a: 1 }), canonical([1, 2]))), [1, 2]);
+	assert.equal(patch(target, diff(canonical({ a: 1 }), canonical(undefined))), undefined);
+});
+
+patchTests('applies successive deltas', () => {
+	const value = { b: 1, list: [1] };
+	let previous = canonical(value);
+	let target = parse(previous);
+
+	for (let i = 0; i < 3; i += 1) {
+		value[`key${i}`] = { i };
+		value.list.push(i);
+		value.a = new Set([i, ...value.list]);
+
+		const next = canonical(value);
+		target = patch(target, diff(previous, next));
+		previous = next;
+
+		assert.equal(canonical(target), next);
+	}
+});
+
+patchTests('revives custom types', () => {
+	const reducers = { Foo: (x) => x instanceof Foo && x.value };
+	const revivers = { Foo: (value) => new Foo(value) };
+
+	const previous = { foo: new Foo(1), bar: 1 };
+	const next = { foo: new Foo(2), bar: 1 };
+
+	const target = parse(canonical(previous, reducers), revivers);
+	const delta = diff(canonical(previous, reducers), canonical(next, reducers));
+	patch(target, delta, revivers, { reducers });
+
+	assert.ok(target.foo instanceof Foo);
+	assert.equal(target.foo.value, 2);
+});
+
+patchTests('rejects deltas that do not apply', () => {
+	const delta = diff(canonical({ a: 1 }), canonical({ a: 2 }));
+	const base = JSON.stringify(hash({ a: 1 }));
+
+	/** @param {string} delta */
+	const code = (delta) => {
+		try {
+			patch({ a: 1 }, delta);
+		} catch (e) {
+			assert.instance(e, DevalueParseError);
+			return /** @type {DevalueParseError} */ (e).code;
+		}
+	};
+
+	assert.throws(() => patch({ a: 1, b: 2 }, delta), /Delta does not apply to this value/);
+	assert.throws(() => patch({ a: 1 }, `[${base},[],["=",0,"__proto__",1]]`), /__proto__/);
+	assert.throws(() => patch({ a: 1 }, `[${base},[],["=",1,"x",1]]`), /Invalid input/);
+	assert.throws(() => patch({ a: 1 }, `[${base},[],["nope",0]]`), /Invalid input/);
+
+	assert.is(code(`[${base},[],["=",0,"__proto__",1]]`), 'PROTO_PROPERTY');
+	assert.is(code(`[${base},[],["nope",0]]`), 'INVALID_INPUT');
+	assert.is(code('[2,[]]'), 'INVALID_INPUT');
+	assert.is(code('[2,'), 'INVALID_JSON');
+	assert.throws(() => diff('{}', '[1]'), (e) => e instanceof DevalueParseError);
+});
+
+patchTests('rejects deltas computed from a different value', () => {
+	const previous = { z: { v: 1 }, a: { v: 2 } };
+	const next = { z: { v: 1 }, a: { v: 3 } };
+
+	// without `canonical`, the slots are numbered in insertion order, which
+	// `patch` can't recreate
+	const target = parse(stringify(previous));
+
+	assert.throws(
+		() => patch(target, diff(stringify(previous), stringify(next))),
+		(e) => e instanceof DevalueParseError && e.code === 'STALE_DELTA'
+	);
+	assert.equal(target, previous);
+
+	const stale = diff(canonical({ a: 1 }), canonical({ a: 2 }));
+	assert.throws(() => patch({ a: 2 }, stale), /Delta does not apply to this value/);
+});
+
+patchTests('accepts formatted output', () => {
+	const target = parse(canonical({ a: 1 }));
+	const previous = stringify({ a: 1 }, undefined, { canonical: true, space: 2, annotate: true });
+
+	assert.equal(patch(target, diff(previous, canonical({ a: 2 }))), { a: 2 });
+});
+
+patchTests.run();
+
+const schemaTests = uvu.suite('schema');
+
+/**
+ * A minimal Standard Schema, which reports an issue for every number in a
+ * value — found by walking it, with paths in the usual Standard Schema form
+ * @param {(value: any) => any} [transform]
+ * @returns {import('../src/types.js').StandardSchemaV1}
+ */
+function no_numbers(transform = (value) => value) {
+	/**
+	 * @param {any} value
+	 * @param {PropertyKey[]} path
+	 * @param {Array<{ message: string, path: PropertyKey[] }>} issues
+	 */
+	function walk(value, path, issues) {
+		if (typeof value === 'number') {
+			issues.push({ message: 'Expected a non-number', path });
+		} else if (value instanceof Map) {
+			for (const [key, item] of value) walk(item, [...path, key], issues);
+		} else if (value instanceof Set) {
+			[...value].forEach((item, i) => walk(item, [...path, i], issues));
+		} else if (value && typeof value === 'object') {
+			for (const key of Reflect.ownKeys(value)) walk(value[key], [...path, key], issues);
+		}
+	}
+
+	return {
+		'~standard': {
+			version: 1,
+			vendor: 'test',
+			validate(value) {
+				/** @type {Array<{ message: string, path: PropertyKey[] }>} */
+				const issues = [];
+				walk(value, [], issues);
+				return issues.length > 0 ? { issues } : { value: transform(value) };
+			}
+		}
+	};
+}
+
+schemaTests('returns the output of the schema', () => {
+	const schema = no_numbers((value) => ({ ...value, checked: true }));
+
+	assert.equal(parse(stringify({ a: 'x' }), undefined, { schema }), { a: 'x', checked: true });
+	assert.equal(unflatten(JSON.parse(stringify({ a: 'x' })), undefined, { schema }), {
+		a: 'x',
+		checked: true
+	});
+	assert.equal(parseBinary(stringifyBinary({ a: 'x' }), undefined, { schema }), {
+		a: 'x',
+		checked: true
+	});
+});
+
+schemaTests('reports issues with DevalueError paths', () => {
+	/** @param {any} value */
+	function path_of(value) {
+		try {
+			parse(stringify(value), undefined, { schema: no_numbers() });
+			assert.unreachable('should have thrown');
+		} catch (e) {
+			assert.equal(e.name, 'DevalueError');
+			assert.equal(e.code, 'SCHEMA_MISMATCH');
+			assert.equal(e.message, 'Expected a non-number');
+			assert.equal(e.value, 1);
+			return e.path;
+		}
+	}
+
+	assert.equal(path_of({ a: [new Map([['k', 1]])] }), '.a[0].get("k")');
+	assert.equal(path_of({ 'not an identifier': [1] }), '["not an identifier"][0]');
+	assert.equal(path_of({ set: new Set(['x', 1]) }), '.set');
+	assert.equal(path_of({ [Symbol.for('s')]: 1 }), '[Symbol.for("s")]');
+	assert.equal(path_of(1), '');
+});
+
+schemaTests('accepts path segments', () => {
+	const schema = {
+		'~standard': {
+			version: 1,
+			vendor: 'test',
+			validate: () => ({ issues: [{ message: 'Nope', path: [{ key: 'a' }, { key: 0 }] }] })
+		}
+	};
+
+	try {
+		parse(stringify({ a: ['x'] }), undefined, { schema });
+		assert.unreachable('should have thrown');
+	} catch (e) {
+		assert.equal(e.path, '.a[0]');
+		assert.equal(e.value, 'x');
+	}
+});
+
+schemaTests('rejects asynchronous schemas', () => {
+	const schema = {
+		'~standard': { version: 1, vendor: 'test', validate: async (value) => ({ value }) }
+	};
+
+	assert.throws(
+		() => parse(stringify({}), undefined, { schema }),
+		(error) =>
+			error instanceof DevalueError &&
+			error.code === 'ASYNC_SCHEMA' &&
+			error.message === 'Cannot validate against a schema asynchronously'
+	);
+});
+
+schemaTests.run();
+
+const limitTests = uvu.suite('limits');
+
+/**
+ * @param {string} serialized
+ * @param {import('../src/types.js').ParseLimits} limits
+ */
+function exceeded(serialized, limits) {
+	try {
+		parse(serialized, undefined, { limits });
+		assert.unreachable('should have thrown');
+	} catch (e) {
+		assert.ok(e instanceof DevalueLimitError);
+		assert.ok(e instanceof DevalueParseError);
+		assert.equal(e.name, 'DevalueLimitError');
+		assert.equal(e.code, 'LIMIT_EXCEEDED');
+		return { limit: e.limit, max: e.max, path: e.path, message: e.message };
+	}
+}
+
+limitTests('allows values within the limits', () => {
+	const value = {
+		a: [1, 'xyz', new Set([1, 2]), new Map([[1, 2]])],
+		b: new Uint8Array([1, 2, 3])
+	};
+
+	const limits = { depth: 4, nodes: 13, stringLength: 4, bufferBytes: 3, collectionSize: 4 };
+	assert.equal(parse(stringify(value), undefined, { limits }), value);
+});
+
+limitTests('limits depth', () => {
+	assert.equal(exceeded(stringify({ a: { b: [{}] } }), { depth: 3 }), {
+		limit: 'depth',
+		max: 3,
+		path: '.a.b[0]',
+		message: 'Exceeded the depth limit of 3'
+	});
+
+	// repeated and circular references are only revived once
+	const circular = { shared: [1] };
+	circular.self = circular;
+	circular.again = circular.shared;
+	const result = parse(stringify(circular), undefined, { limits: { depth: 3 } });
+	assert.is(result.self, result);
+	assert.is(result.again, result.shared);
+});
+
+limitTests('limits the number of nodes', () => {
+	const serialized = stringify({ a: [1, 2], b: [1, 2] });
+
+	assert.equal(exceeded(serialized, { nodes: 4 }).path, '.b');
+	assert.equal(parse(serialized, undefined, { limits: { nodes: 5 } }), { a: [1, 2], b: [1, 2] });
+});
+
+limitTests('limits string length', () => {
+	assert.equal(exceeded(stringify({ a: ['abc', 'abcd'] }), { stringLength: 3 }).path, '.a[1]');
+	assert.equal(exceeded(stringify([/abcd/]), { stringLength: 3 }).path, '[0]');
+	assert.equal(exceeded(stringify(10000n), { stringLength: 3 }).path, '');
+	assert.equal(exceeded(stringify(new URL('https://a.b')), { stringLength: 3 }).path, '');
+
+	// including property keys
+	assert.equal(exceeded(stringify({ a: { abcd: 1 } }), { stringLength: 3 }).path, '.a');
+	assert.equal(exceeded(stringify({ abcd: 1 }), { stringLength: 3 }).path, '');
+	assert.equal(exceeded('[["null","abcd",1],2]', { stringLength: 3 }).path, '');
+});
+
+limitTests('limits total buffer bytes', () => {
+	const value = { a: new Uint8Array(4), b: new ArrayBuffer(4) };
+
+	assert.equal(exceeded(stringify(value), { bufferBytes: 7 }).path, '.b');
+	assert.equal(parse(stringify(value), undefined, { limits: { bufferBytes: 8 } }), value);
+
+	// resizable buffers count their maximum length, even where they aren't supported
+	assert.equal(exceeded('[["ArrayBuffer","AA==",100]]', { bufferBytes: 99 }).limit, 'bufferBytes');
+
+	const { json, buffers } = stringify(value, undefined, { buffers: true });
+	assert.throws(
+		() => parse(json, undefined, { buffers, limits: { bufferBytes: 7 } }),
+		/Exceeded the bufferBytes limit of 7/
+	);
+});
+
+limitTests('limits collection size', () => {
+	assert.equal(exceeded(stringify({ a: [1, 2, 3] }), { collectionSize: 2 }).path, '.a');
+	assert.equal(exceeded(stringify({ a: { x: 1, y: 2, z: 3 } }), { collectionSize: 2 }).path, '.a');
+	assert.equal(exceeded(stringify({ x: 1, y: 2, z: 3 }), { collectionSize: 2 }).path, '');
+	assert.equal(exceeded('[["Class","Bar","x",1,"y",1,"z",1],1]', { collectionSize: 2 }).path, '');
+	assert.equal(exceeded(stringify(new Set([1, 2, 3])), { collectionSize: 2 }).path, '');
+	const map = new Map([
+		[1, 2],
+		[3, 4],
+		[5, 6]
+	]);
+	assert.equal(exceeded(stringify(map), { collectionSize: 2 }).path, '');
+
+	// sparse arrays are limited by their length, not the number of elements
+	const sparse = [];
+	sparse[1e6] = 1;
+	assert.equal(exceeded(stringify(sparse), { collectionSize: 1000 }).limit, 'collectionSize');
+	assert.equal(exceeded(`[[${consts.SPARSE},4294967295]]`, { collectionSize: 1000 }).path, '');
+});
+
+limitTests.run();
+
+const allowTests = uvu.suite('allow');
+
+allowTests('revives allowed types', () => {
+	const value = { when: new Date(0), tags: new Map([['a', [1, 'b']]]) };
+	const allow = ['Date', 'Map'];
+
+	assert.equal(parse(stringify(value), undefined, { allow }), value);
+	assert.equal(parse(stringify([1, { a: undefined }]), undefined, { allow: [] }), [
+		1,
+		{ a: undefined }
+	]);
+});
+
+allowTests('throws for disallowed types', () => {
+	try {
+		parse(stringify({ a: [/(a+)+$/] }), undefined, { allow: ['Date'] });
+		assert.unreachable('should have thrown');
+	} catch (e) {
+		assert.equal(e.name, 'DevalueParseError');
+		assert.equal(e.message, 'Disallowed type RegExp');
+		assert.equal(e.code, 'DISALLOWED_TYPE');
+		assert.equal(e.path, '.a[0]');
+	}
+
+	assert.throws(
+		() => parse(stringify(new Uint8Array(4)), undefined, { allow: ['Uint8Array'] }),
+		/Disallowed type ArrayBuffer/
+	);
+	assert.throws(
+		() => parse(stringify(Object.create(null)), undefined, { allow: [] }),
+		/Disallowed type null/
+	);
+});
+
+allowTests('applies to custom revivers', () => {
+	const serialized = stringify(new Foo({ a: 1 }), { Foo: (x) => x instanceof Foo && x.value });
+	let revived = false;
+	const revivers = {
+		Foo: (value) => {
+			revived = true;
+			return new Foo(value);
+		}
+	};
+
+	assert.throws(() => parse(serialized, revivers, { allow: ['Date'] }), /Disallowed type Foo/);
+	assert.ok(!revived);
+
+	assert.equal(parse(serialized, revivers, { allow: ['Foo'] }), new Foo({ a: 1 }));
+});
+
+allowTests('checks before anything is constructed', () => {
+	let created = 0;
+	const operations = {
+		createMap: () => {
+			created += 1;
+			return new Map();
+		}
+	};
+
+	assert.throws(
+		() => parse(stringify(new Map([[1, new Set()]])), undefined, { allow: ['Map'], operations }),
+		/Disallowed type Set/
+	);
+	assert.equal(created, 1);
+
+	assert.throws(
+		() => parse(stringify(new Map()), undefined, { allow: ['Set'], operations }),
+		/Disallowed type Map/
+	);
+	assert.equal(created, 1);
+});
+
+allowTests.run();
+
+const validateTests = uvu.suite('validate');
+
+validateTests('reports every problem rather than the first', () => {
+	const problems = validate('[{"a":1,"b":2,"c":3},["Date",1],["Nope"],["Set",9]]');
+
+	assert.equal(
+		problems.map(({ message, code, index, path }) => ({ message, code, index, path })),
+		[
+			{ message: 'Invalid input', code: 'INVALID_INPUT', index: 1, path: '.a' },
+			{ message: 'Unknown type Nope', code: 'UNKNOWN_TYPE', index: 2, path: '.b' },
+			{ message: 'Invalid input', code: 'INVALID_INPUT', index: 3, path: '.c' }
+		]
+	);
+	assert.ok(problems.every((problem) => problem instanceof DevalueParseError));
+});
+
+validateTests('checks references and sparse arrays', () => {
+	assert.equal(validate('[[1,-2,-1],"a"]'), []);
+	assert.equal(validate('[[1,5]]')[0].index, 0);
+	assert.equal(validate('[[1,-8]]')[0].index, 0);
+	assert.equal(validate('[[-7,3,0,1,2,1],"a"]'), []);
+	assert.equal(validate('[[-7,3,3,1],"a"]')[0].message, 'Invalid input');
+	assert.equal(validate('[[-7,3,0],"a"]')[0].message, 'Invalid input');
+});
+
+validateTests('checks that views are over buffers', () => {
+	assert.equal(validate(stringify(new DataView(new ArrayBuffer(2), 1))), []);
+
+	const [problem] = validate('[["Uint8Array",1],"AAAA"]');
+	assert.equal(problem.code, 'INVALID_DATA');
+	assert.equal(problem.index, 0);
+});
+
+validateTests('finds circular references through custom revivers', () => {
+	const revivers = { A: (x) => x, B: (x) => x };
+
+	assert.equal(validate('[["A",1],["B",2],{"a":0}]', { revivers }), []);
+	assert.equal(validate('[["A",1],{"a":0}]', { revivers }), []);
+
+	const [problem, ...rest] = validate('[["A",1],["B",0]]', { revivers });
+	assert.equal(problem.code, 'CIRCULAR_REFERENCE');
+	assert.equal(rest, []);
+	assert.throws(() => parse('[["A",1],["B",0]]', revivers), /Invalid circular reference/);
+
+	const cycle = '[["Uint8Array",1],["ArrayBuffer",0]]';
+	assert.equal(
+		validate(cycle, { revivers: { ArrayBuffer: (x) => x } })[0].code,
+		'CIRCULAR_REFERENCE'
+	);
+});
+
+validateTests('applies the options of parse', () => {
+	const serialized = stringify(
+		{ a: new Foo(1), b: /a/ },
+		{ Foo: (x) => x instanceof Foo && x.value }
+	);
+
+	assert.equal(validate(serialized)[0].message, 'Unknown type Foo');
+	assert.equal(validate(serialized, { revivers: { Foo: (x) => new Foo(x) } }), []);
+	assert.equal(
+		validate(serialized, { revivers: { Foo: (x) => new Foo(x) }, allow: ['Foo'] })[0].code,
+		'DISALLOWED_TYPE'
+	);
+
+	assert.equal(validate('[["Class","Foo"]]', { classes: { Foo } }), []);
+	assert.equal(validate('[["Class","Foo"]]')[0].code, 'UNKNOWN_CLASS');
+
+	const buffers = [new ArrayBuffer(8)];
+	assert.equal(validate('[["ArrayBuffer",0]]', { buffers }), []);
+	assert.equal(validate('[["ArrayBuffer",1]]', { buffers })[0].code, 'INVALID_BUFFER');
+});
+
+validateTests('reports each limit once', () => {
+	const serialized = stringify(['a'.repeat(10), 'b'.repeat(10), [[['c']]]]);
+	const problems = validate(serialized, { limits: { stringLength: 5, depth: 3 } });
+
+	assert.equal(
+		problems.map(({ limit, max, path }) => ({ limit, max, path })),
+		[
+			{ limit: 'stringLength', max: 5, path: '[0]' },
+			{ limit: 'depth', max: 3, path: '[2][0][0]' }
+		]
+	);
+	assert.ok(problems.every((problem) => problem instanceof DevalueLimitError));
+});
+
+validateTests('reports syntax errors', () => {
+	const [problem, ...rest] = validate('[1,]');
+
+	assert.equal(problem.code, 'INVALID_JSON');
+	assert.equal(problem.offset, 3);
+	assert.equal(rest, []);
+
+	assert.equal(validate('{}')[0].code, 'INVALID_INPUT');
+	assert.equal(validate('[]')[0].code, 'INVALID_INPUT');
+	assert.equal(validate('-1'), []);
+});
+
+validateTests.run();
+
+const inspectTests = uvu.suite('inspect');
+
+inspectTests('prints a tree without reviving anything', () => {
+	const value = {
+		user: { name: 'Rich', 'last-seen': new Date(0) },
+		position: new Foo([1, 2]),
+		tags: new Set(['a'])
+	};
+
+	assert.equal(
+		inspect(stringify(value, { Foo: (x) => x instanceof Foo && x.value })),
+		[
+			'{',
+			'  user: {',
+			'    name: "Rich",',
+			'    "last-seen": <Date "1970-01-01T00:00:00.000Z">',
+			'  },',
+			'  position: <Foo [',
+			'    1,',
+			'    2',
+			'  ]>,',
+			'  tags: <Set [',
+			'    "a"',
+			'  ]>',
+			'}'
+		].join('\n')
+	);
+});
+
+inspectTests('labels shared values and cycles', () => {
+	const shared = { a: 1 };
+	const value = { shared, again: shared, self: /** @type {any} */ (null) };
+	value.self = value;
+
+	assert.equal(
+		inspect(stringify(value)),
+		['#0 {', '  shared: #1 {', '    a: 1', '  },', '  again: #1,', '  self: #0', '}'].join('\n')
+	);
+
+	// strings are deduplicated, but aren't labelled
+	assert.equal(inspect(stringify(['x', 'x'])), '[\n  "x",\n  "x"\n]');
+});
+
+inspectTests('prints special values and holes', () => {
+	const sparse = [undefined, NaN, -0];
+	sparse[5] = 1;
+
+	assert.equal(
+		inspect(stringify(sparse)),
+		'[\n  undefined,\n  NaN,\n  -0,\n  <2 empty items>,\n  1\n]'
+	);
+	assert.equal(inspect('[[-7,1000,1,1],1]'), '[\n  <1 empty item>,\n  1,\n  <998 empty items>\n]');
+	assert.equal(inspect('-4'), 'Infinity');
+	assert.equal(inspect(stringify({}, undefined, { annotate: true })), '{}');
+});
+
+inspectTests('prints broken payloads', () => {
+	assert.equal(
+		inspect('[{"a":1,"b":7},["Nope",2],"x"]'),
+		'{\n  a: <Nope "x">,\n  b: <invalid 7>\n}'
+	);
+
+	try {
+		inspect('[1,');
+		assert.unreachable('should have thrown');
+	} catch (e) {
+		assert.ok(e instanceof DevalueParseError);
+		assert.equal(e.code, 'INVALID_JSON');
+	}
+});
+
+inspectTests.run();
+
+const unserializableTests = uvu.suite('onUnserializable');
+
+unserializableTests('replaces values that cannot be serialized', () => {
+	const fn = () => {};
+	const value = { a: fn, b: new Bar(1), c: Symbol('unique'), d: [fn] };
+
+	/** @type {string[]} */
+	const paths = [];
+
+	/** @param {DevalueError} error */
+	const onUnserializable = (error) => {
+		paths.push(error.path);
+		return error.value instanceof Bar ? '[Bar]' : undefined;
+	};
+
+	const expected = { a: undefined, b: '[Bar]', c: undefined, d: [undefined] };
+
+	assert.equal(parse(stringify(value, undefined, { onUnserializable })), expected);
+	assert.equal(paths, ['.a', '.b', '.c']);
+
+	paths.length = 0;
+
+	assert.equal((0, eval)(`(${uneval(value, undefined, { onUnserializable })})`), expected);
+	assert.equal(paths, ['.a', '.b', '.c']);
+});
+
+unserializableTests('resolves cycles and shared references to replacements', () => {
+	const instance = new Bar(1);
+	const value = { instance, nested: { instance, parent: /** @type {any} */ (null) } };
+	value.nested.parent = value;
+
+	const options = { onUnserializable: () => ({ replaced: true }) };
+
+	for (const result of [
+		parse(stringify(value, undefined, options)),
+		(0, eval)(`(${uneval(value, undefined, options)})`)
+	]) {
+		assert.equal(result.instance, { replaced: true });
+		assert.ok(result.nested.instance === result.instance);
+		assert.ok(result.nested.parent === result);
+	}
+
+	// a replacement that has already been serialized is referred to, rather than repeated
+	assert.equal(
+		stringify({ a: 'x', b: () => {} }, undefined, { onUnserializable: () => 'x' }),
+		'[{"a":1,"b":1},"x"]'
+	);
+});
+
+unserializableTests('can use a custom type as a marker', () => {
+	class Unserializable {
+		/** @param {string} path */
+		constructor(path) {
+			this.path = path;
+		}
+	}
+
+	const serialized = stringify(
+		{ callback: () => {} },
+		{ Unserializable: (x) => x instanceof Unserializable && x.path },
+		{ onUnserializable: (error) => new Unserializable(error.path) }
+	);
+
+	assert.equal(serialized, '[{"callback":1},["Unserializable",2],".callback"]');
+});
+
+unserializableTests('can rethrow', () => {
+	assert.throws(
+		() =>
+			stringify({ a: { b: () => {} } }, undefined, {
+				onUnserializable: (error) => {
+					throw error;
+				}
+			}),
+		(error) => error instanceof DevalueError && error.path === '.a.b'
+	);
+
+	// returning the value itself can't work, so the error is thrown
+	assert.throws(
+		() => uneval({ a: () => {} }, undefined, { onUnserializable: (error) => error.value }),
+		/Cannot stringify a function/
+	);
+});
+
+unserializableTests('applies to promises in stringify and stringifyAsync', async () => {
+	const options = { onUnserializable: () => 'pending' };
+
+	assert.equal(parse(stringify({ a: Promise.resolve(1) }, undefined, options)), { a: 'pending' });
+	assert.equal(
+		parse(await stringifyAsync({ a: Promise.resolve(() => {}) }, undefined, options)),
+		{ a: 'pending' }
+	);
+});
+
+unserializableTests('refers to replacements of resolved promises that are shared', async () => {
+	const fn = () => {};
+	const options = { onUnserializable: () => 'X' };
+
+	const json = await stringifyAsync({ a: Promise.resolve(fn), b: fn }, undefined, options);
+	assert.equal(json, '[{"a":1,"b":1},"X"]');
+	assert.equal(parse(json), { a: 'X', b: 'X' });
+
+	const shared = { x: 1 };
+	const value = parse(await stringifyAsync({ b: shared, a: Promise.resolve(shared) }));
+	assert.is(value.a, value.b);
+
+	assert.equal(parse(await stringifyAsync({ a: Promise.resolve(undefined), b: 1 })), {
+		a: undefined,
+		b: 1
+	});
+});
+
+unserializableTests('throws the original error if a replacement cannot be serialized', () => {
+	const options = { onUnserializable: () => () => 2 };
+
+	for (const fn of [stringify, uneval]) {
+		assert.throws(
+			() => fn({ a: Symbol('unique') }, undefined, options),
+			(error) => error instanceof DevalueError && error.code === 'UNIQUE_SYMBOL'
+		);
+	}
+});
+
+unserializableTests.run();
+
+const checkTests = uvu.suite('check');
+
+checkTests('reports every unserializable value', () => {
+	const value = {
+		fn() {},
+		instance: new Bar(1),
+		symbols: { [Symbol('key')]: 1 },
+		proto: JSON.parse('{"__proto__":1}'),
+		promise: Promise.resolve(),
+		fine: [1, new Date(0)],
+		symbol: Symbol('value')
+	};
+
+	assert.equal(
+		check(value).map(({ path, code }) => ({ path, code })),
+		[
+			{ path: '.fn', code: 'FUNCTION' },
+			{ path: '.instance', code: 'NON_POJO' },
+			{ path: '.symbols', code: 'SYMBOL_KEY' },
+			{ path: '.proto', code: 'PROTO_PROPERTY' },
+			{ path: '.promise', code: 'ASYNC' },
+			{ path: '.symbol', code: 'UNIQUE_SYMBOL' }
+		]
+	);
+
+	const [error] = check(value);
+	assert.ok(error instanceof DevalueError);
+	assert.equal(error.message, 'Cannot stringify a function');
+	assert.is(error.value, value.fn);
+	assert.is(error.root, value);
+});
+
+checkTests('reports every path to a value', () => {
+	const fn = () => {};
+	const paths = (/** @type {any} */ value) => check(value).map((error) => error.path);
+
+	assert.equal(paths({ list: [fn, fn, fn] }), ['.list[0]', '.list[1]', '.list[2]']);
+	assert.equal(paths({ a: fn, b: [fn] }), ['.a', '.b[0]']);
+	assert.equal(check(new Set([fn, () => {}]), undefined, { canonical: true }).length, 2);
+});
+
+checkTests('checks the other properties of objects with invalid keys', () => {
+	const root = { [Symbol('key')]: 1, fn() {}, nested: { __proto__: null, a: () => {} } };
+	const proto = JSON.parse('{"__proto__":1,"b":[]}');
+	proto.b.push(() => {}, proto);
+	root.proto = proto;
+
+	assert.equal(
+		check(root).map(({ path, code }) => ({ path, code })),
+		[
+			{ path: '', code: 'SYMBOL_KEY' },
+			{ path: '.fn', code: 'FUNCTION' },
+			{ path: '.nested.a', code: 'FUNCTION' },
+			{ path: '.proto', code: 'PROTO_PROPERTY' },
+			{ path: '.proto.b[0]', code: 'FUNCTION' },
+			{ path: '.proto.b[1]', code: 'PROTO_PROPERTY' }
+		]
+	);
+});
+
+checkTests('applies reducers and options', () => {
+	const value = { instance: new Bar(1) };
+
+	assert.equal(check(value, { Bar: (x) => x instanceof Bar && x.value }), []);
+	assert.equal(check(value, undefined, { classes: { Bar } }), []);
+	assert.equal(check({ a: 1, b: [new Map()] }), []);
+});
+
+checkTests('matches the code of the error stringify throws', () => {
+	try {
+		stringify({ a: [() => {}] });
+		assert.unreachable('should have thrown');
+	} catch (e) {
+		assert.equal(e.code, 'FUNCTION');
+		assert.equal(e.path, '.a[0]');
+	}
+
+	assert.throws(
+		() => uneval({ a: new Bar(1) }),
+		(error) => error.code === 'NON_POJO' && error.path === '.a'
+	);
+});
+
+checkTests.run();
+
+// Async-specific tests
+const asyncTests = uvu.suite('stringifyAsync: promises');
+
+asyncTests('resolves top-level promise', async () => {
+	const result = await stringifyAsync(Promise.resolve(42));
+	assert.equal(result, stringify(42));
+});
+
+asyncTests('resolves promise to undefined', async () => {
+	const result = await stringifyAsync(Promise.resolve(undefined));
+	assert.equal(result, stringify(undefined));
+});
+
+asyncTests('resolves promise to null', async () => {
+	const result = await stringifyAsync(Promise.resolve(null));
+	assert.equal(result, stringify(null));
+});
+
+asyncTests('resolves promise to NaN', async () => {
+	const result = await stringifyAsync(Promise.resolve(NaN));
+	assert.equal(result, stringify(NaN));
+});
+
+asyncTests('resolves nested promises in objects', async () => {
+	const result = await stringifyAsync({
+		a: Promise.resolve(1),
+		b: Promise.resolve('hello')
+	});
+	assert.equal(result, stringify({ a: 1, b: 'hello' }));
+});
+
+asyncTests('resolves promises in arrays', async () => {
+	const result = await stringifyAsync([Promise.resolve('a'), Promise.resolve('b')]);
+	assert.equal(result, stringify(['a', 'b']));
+});
+
+asyncTests('resolves promises in Sets', async () => {
+	const result = await stringifyAsync(new Set([Promise.resolve(1), Promise.resolve(2)]));
+	assert.equal(result, stringify(new Set([1, 2])));
+});
+
+asyncTests('resolves promises in Map values', async () => {
+	const result = await stringifyAsync(new Map([['key', Promise.resolve('value')]]));
+	assert.equal(result, stringify(new Map([['key', 'value']])));
+});
+
+asyncTests('resolves deeply nested promises', async () => {
+	const result = await stringifyAsync({
+		a: { b: { c: Promise.resolve(42) } }
+	});
+	assert.equal(result, stringify({ a: { b: { c: 42 } } }));
+});
+
+asyncTests('deduplicates resolved values by identity', async () => {
+	const obj = { x: 1 };
 	const promise = Promise.resolve(obj);
 	const result = await stringifyAsync([promise, promise]);
 	assert.equal(result, stringify([obj, obj]));
@@ -1813,6 +3681,593 @@ asyncTests('resolves mixed sync and async values', async () => {
 
 asyncTests.run();
 
+const preservedPromiseTests = uvu.suite('stringifyAsync: preserved promises');
+
+preservedPromiseTests('serializes resolved promises as promises', async () => {
+	const result = await stringifyAsync(
+		{ sync: 1, async: Promise.resolve({ a: 2 }) },
+		undefined,
+		{ preservePromises: true }
+	);
+
+	assert.equal(result, '[{"sync":1,"async":2},1,["Promise",3],{"a":4},2]');
+});
+
+preservedPromiseTests('serializes rejected promises with their reason', async () => {
+	const result = await stringifyAsync([Promise.reject({ reason: 'nope' })], undefined, {
+		preservePromises: true
+	});
+
+	assert.equal(result, '[[1],["Promise",2,1],{"reason":3},"nope"]');
+});
+
+preservedPromiseTests('serializes promises that resolve to negative indices', async () => {
+	const result = await stringifyAsync(Promise.resolve(undefined), undefined, {
+		preservePromises: true
+	});
+
+	assert.equal(result, '[["Promise",-1]]');
+});
+
+preservedPromiseTests('round-trips resolved promises', async () => {
+	const shared = { x: 1 };
+	const json = await stringifyAsync(
+		{ shared, later: Promise.resolve({ shared, nested: Promise.resolve(new Set([1])) }) },
+		undefined,
+		{ preservePromises: true }
+	);
+
+	const value = parse(json);
+	assert.instance(value.later, Promise);
+
+	const later = await value.later;
+	assert.is(later.shared, value.shared);
+	assert.instance(later.nested, Promise);
+	assert.equal(await later.nested, new Set([1]));
+});
+
+preservedPromiseTests('round-trips rejected promises', async () => {
+	const json = await stringifyAsync({ failed: Promise.reject('nope') }, undefined, {
+		preservePromises: true
+	});
+
+	const value = parse(json);
+	assert.instance(value.failed, Promise);
+
+	try {
+		await value.failed;
+		assert.unreachable('should have rejected');
+	} catch (e) {
+		assert.is(e, 'nope');
+	}
+});
+
+preservedPromiseTests('round-trips promises that resolve to themselves', async () => {
+	const value = { self: /** @type {any} */ (null) };
+	value.self = Promise.resolve(value);
+
+	const revived = parse(await stringifyAsync(value, undefined, { preservePromises: true }));
+	assert.is(await revived.self, revived);
+});
+
+preservedPromiseTests('builds promises with the fromPromise operation', async () => {
+	const json = await stringifyAsync([Promise.resolve(1)], undefined, { preservePromises: true });
+	const value = parse(json, undefined, {
+		operations: { fromPromise: (promise) => ({ wrapped: promise }) }
+	});
+
+	assert.equal(await value[0].wrapped, 1);
+});
+
+preservedPromiseTests('rejects malformed promise entries', () => {
+	assert.throws(() => parse('[["Promise",1,2],1]'), /Invalid input/);
+	assert.throws(() => parse('[["Promise",1,1,1],1]'), /Invalid input/);
+});
+
+preservedPromiseTests.run();
+
+const errorTests = uvu.suite('errors');
+
+errorTests('omits stacks by default', () => {
+	const error = new Error('oops');
+	assert.equal(stringify(error), '[["Error","Error","oops"]]');
+	assert.equal(uneval(error), 'new Error("oops")');
+});
+
+errorTests('includes stacks with the stack option', () => {
+	const error = new Error('oops');
+	error.stack = 'Error: oops\n    at somewhere';
+
+	const json = stringify(error, undefined, { stack: true });
+	assert.equal(json, '[["Error","Error","oops","stack","Error: oops\\n    at somewhere"]]');
+
+	const revived = parse(json);
+	assert.is(revived.stack, error.stack);
+	assert.equal(Object.keys(revived), []);
+
+	const js = uneval(error, undefined, { stack: true });
+	assert.equal(js, 'Object.assign(new Error("oops"),{stack:"Error: oops\\n    at somewhere"})');
+	assert.is((0, eval)(`(${js})`).stack, error.stack);
+});
+
+errorTests('revives the closest built-in constructor of a subclass', () => {
+	class ValidationError extends TypeError {
+		constructor(message) {
+			super(message);
+			this.name = 'ValidationError';
+		}
+	}
+
+	const json = stringify(new ValidationError('invalid'));
+	assert.equal(json, '[["Error","TypeError","invalid","name","ValidationError"]]');
+
+	const revived = parse(json);
+	assert.instance(revived, TypeError);
+	assert.is(revived.name, 'ValidationError');
+});
+
+errorTests('serializes errors from other realms', () => {
+	const error = vm.runInNewContext('new RangeError("elsewhere")');
+	assert.equal(stringify(error), '[["Error","Error","elsewhere","name","RangeError"]]');
+});
+
+errorTests('preserves shared references in cause chains', () => {
+	const root = new Error('root');
+	const value = [root, new Error('wrapper', { cause: root })];
+
+	const revived = parse(stringify(value));
+	assert.is(revived[1].cause, revived[0]);
+
+	const evaluated = (0, eval)(`(${uneval(value)})`);
+	assert.is(evaluated[1].cause, evaluated[0]);
+});
+
+errorTests('populates error.path for unserializable properties', () => {
+	const error = new Error('oops', { cause: { fn() {} } });
+
+	for (const fn of [stringify, uneval]) {
+		try {
+			fn(error);
+			assert.unreachable('should have thrown');
+		} catch (e) {
+			assert.is(e.name, 'DevalueError');
+			assert.is(e.path, '.cause.fn');
+		}
+	}
+});
+
+errorTests('parse rejects unknown error constructors', () => {
+	assert.throws(() => parse('[["Error","Function","return 1"]]'), /Invalid input/);
+	assert.throws(() => parse('[["Error","Error",1]]'), /Invalid input/);
+	assert.throws(() => parse('[["Error","Error","oops","stack",1],"x"]'), /Invalid input/);
+	assert.throws(() => parse('[["Error","Error","oops","message",1],"x"]'), /Invalid input/);
+	assert.throws(
+		() => parse('[["Error","Error","oops","__proto__",1],{}]'),
+		/Cannot parse an object with a `__proto__` property/
+	);
+});
+
+errorTests.run();
+
+const classTests = uvu.suite('classes');
+
+class Vector {
+	constructor(x, y) {
+		this.x = x;
+		this.y = y;
+	}
+
+	get magnitude() {
+		return Math.sqrt(this.x * this.x + this.y * this.y);
+	}
+}
+
+class Graph {
+	constructor() {
+		throw new Error('constructor should not be called');
+	}
+}
+
+classTests('round-trips registered class instances', () => {
+	const classes = { Vector };
+	const json = stringify({ v: new Vector(30, 40) }, undefined, { classes });
+	assert.equal(json, '[{"v":1},["Class","Vector","x",2,"y",3],30,40]');
+
+	const { v } = parse(json, undefined, { classes });
+	assert.instance(v, Vector);
+	assert.is(v.magnitude, 50);
+	assert.equal(Object.keys(v), ['x', 'y']);
+});
+
+classTests('revives cycles without calling the constructor', () => {
+	const classes = { Graph, Vector };
+
+	/** @type {any} */
+	const graph = Object.create(Graph.prototype);
+	graph.self = graph;
+	graph.origin = new Vector(0, 0);
+
+	const revived = parse(stringify(graph, undefined, { classes }), undefined, { classes });
+	assert.instance(revived, Graph);
+	assert.is(revived.self, revived);
+	assert.instance(revived.origin, Vector);
+});
+
+classTests('only matches exact prototypes', () => {
+	class Vector3 extends Vector {}
+
+	assert.throws(
+		() => stringify(new Vector3(1, 2), undefined, { classes: { Vector } }),
+		/Cannot stringify arbitrary non-POJOs/
+	);
+});
+
+classTests('reducers take precedence over classes', () => {
+	const json = stringify(
+		new Vector(1, 2),
+		{ Vector: (v) => v instanceof Vector && [v.x, v.y] },
+		{ classes: { Vector } }
+	);
+
+	assert.equal(json, '[["Vector",1],[2,3],1,2]');
+});
+
+classTests('parse throws for unregistered classes', () => {
+	const json = '[["Class","Vector","x",1],1]';
+	assert.throws(() => parse(json), /Unknown class Vector/);
+	assert.throws(() => parse(json, undefined, { classes: { Graph } }), /Unknown class Vector/);
+	assert.throws(
+		() => parse('[["Class","toString"]]', undefined, { classes: {} }),
+		/Unknown class toString/
+	);
+	assert.throws(
+		() => parse('[["Class","Vector","__proto__",1],{}]', undefined, { classes: { Vector } }),
+		/Cannot parse an object with a `__proto__` property/
+	);
+});
+
+classTests('uneval recreates class instances', () => {
+	const classes = { Vector };
+	const vector = new Vector(30, 40);
+
+	const js = uneval({ a: vector, b: vector, c: new Vector(1, 2) }, undefined, { classes });
+	assert.equal(
+		js,
+		'(function(a){a.x=30;a.y=40;return {a:a,b:a,c:Object.assign(Object.create(Vector.prototype),{x:1,y:2})}}(Object.create(Vector.prototype)))'
+	);
+
+	const value = new Function('Vector', `return ${js}`)(Vector);
+	assert.is(value.a, value.b);
+	assert.instance(value.c, Vector);
+	assert.is(value.a.magnitude, 50);
+});
+
+classTests('uneval rejects class names that are not identifiers', () => {
+	for (const name of ['a.b', 'Object.prototype,alert(1)', 'new', '']) {
+		assert.throws(
+			() => uneval(new Vector(1, 2), undefined, { classes: { [name]: Vector } }),
+			(error) =>
+				error instanceof DevalueError &&
+				error.message ===
+					`Cannot uneval with the class name ${JSON.stringify(name)} — it must be a valid identifier`
+		);
+	}
+
+	// `stringify` quotes the name, so any will do
+	const classes = { 'a.b': Vector };
+	const json = stringify(new Vector(1, 2), undefined, { classes });
+	assert.instance(parse(json, undefined, { classes }), Vector);
+});
+
+classTests('stringifyAsync serializes class instances', async () => {
+	const classes = { Vector };
+	const json = await stringifyAsync(Promise.resolve(new Vector(1, 2)), undefined, { classes });
+	assert.equal(json, stringify(new Vector(1, 2), undefined, { classes }));
+});
+
+classTests.run();
+
+const asyncIterableTests = uvu.suite('stringifyAsync: async iterables');
+
+/** @param {any[]} items */
+async function* generate(...items) {
+	for (const item of items) {
+		await Promise.resolve();
+		yield item;
+	}
+}
+
+/** @param {AsyncIterable<any>} iterable */
+async function collect(iterable) {
+	const items = [];
+	for await (const item of iterable) items.push(item);
+	return items;
+}
+
+asyncIterableTests('serializes async iterables', async () => {
+	const result = await stringifyAsync({ items: generate(1, 'two') });
+	assert.equal(result, '[{"items":1},["AsyncIterable",2,3],1,"two"]');
+});
+
+asyncIterableTests('serializes ReadableStreams', async () => {
+	const stream = new ReadableStream({
+		start(controller) {
+			controller.enqueue('a');
+			controller.enqueue('b');
+			controller.close();
+		}
+	});
+
+	assert.equal(await stringifyAsync(stream), '[["ReadableStream",1,2],"a","b"]');
+});
+
+asyncIterableTests('round-trips async iterables and ReadableStreams', async () => {
+	const shared = { x: 1 };
+	const value = parse(
+		await stringifyAsync({
+			shared,
+			items: generate(shared, undefined, Promise.resolve(2)),
+			stream: new ReadableStream({
+				start(controller) {
+					controller.enqueue(new Uint8Array([1, 2, 3]));
+					controller.close();
+				}
+			})
+		})
+	);
+
+	const items = await collect(value.items);
+	assert.is(items[0], value.shared);
+	assert.equal(items, [shared, undefined, 2]);
+
+	assert.instance(value.stream, ReadableStream);
+	assert.equal(await collect(value.stream), [new Uint8Array([1, 2, 3])]);
+});
+
+asyncIterableTests('parsed async iterables can be iterated more than once', async () => {
+	const value = parse(await stringifyAsync(generate(1, 2)));
+	assert.equal(await collect(value), [1, 2]);
+	assert.equal(await collect(value), [1, 2]);
+});
+
+asyncIterableTests('stringify throws for async iterables', () => {
+	assert.throws(
+		() => stringify({ items: generate(1) }),
+		/Cannot stringify a ReadableStream or async iterable — use stringifyAsync instead/
+	);
+	assert.throws(
+		() => stringify(new ReadableStream()),
+		/Cannot stringify a ReadableStream or async iterable — use stringifyAsync instead/
+	);
+});
+
+asyncIterableTests('rejects if the iterable throws', async () => {
+	async function* broken() {
+		yield 1;
+		throw new Error('broken');
+	}
+
+	try {
+		await stringifyAsync(broken());
+		assert.unreachable('should have rejected');
+	} catch (e) {
+		assert.is(/** @type {Error} */ (e).message, 'broken');
+	}
+});
+
+asyncIterableTests.run();
+
+const blobTests = uvu.suite('stringifyAsync: blobs');
+
+// `File` isn't a global in Node 18
+const fileTests = typeof File === 'function' ? blobTests : blobTests.skip;
+
+fileTests('serializes Blobs and Files', async () => {
+	const blob = new Blob(['hi'], { type: 'text/plain' });
+	const file = new File([new Uint8Array([1, 2, 3])], 'a.bin', { lastModified: 1000 });
+
+	assert.equal(await stringifyAsync(blob), '[["Blob",1,"text/plain"],["ArrayBuffer","aGk="]]');
+	assert.equal(await stringifyAsync(file), '[["File",1,"","a.bin",1000],["ArrayBuffer","AQID"]]');
+});
+
+fileTests('round-trips Blobs and Files', async () => {
+	const file = new File(['hello'], 'hello.txt', { type: 'text/plain', lastModified: 1234 });
+	const value = parse(await stringifyAsync({ blob: new Blob(['x']), file, again: file }));
+
+	assert.ok(value.blob instanceof Blob);
+	assert.is(await value.blob.text(), 'x');
+	assert.ok(value.file instanceof File);
+	assert.is(value.file.name, 'hello.txt');
+	assert.is(value.file.type, 'text/plain');
+	assert.is(value.file.lastModified, 1234);
+	assert.is(await value.file.text(), 'hello');
+	assert.is(value.again, value.file);
+});
+
+blobTests('stringify throws on Blobs', () => {
+	assert.throws(
+		() => stringify({ blob: new Blob([]) }),
+		(error) => error.message === 'Cannot stringify a Blob — use stringifyAsync instead'
+	);
+});
+
+blobTests('parse rejects malformed Blobs and Files', () => {
+	assert.throws(() => parse('[["Blob",1,"text/plain"],"nope"]'), /Invalid data/);
+	assert.throws(() => parse('[["Blob",1,0],["ArrayBuffer",""]]'), /Invalid input/);
+	assert.throws(() => parse('[["File",1,"","a.txt"],["ArrayBuffer",""]]'), /Invalid input/);
+});
+
+blobTests('revives Files as Blobs where there is no File constructor', () => {
+	const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'File');
+	delete (/** @type {any} */ (globalThis).File);
+
+	try {
+		const value = parse('[["File",1,"text/plain","a.txt",1000],["ArrayBuffer","aGk="]]');
+
+		assert.ok(value instanceof Blob);
+		assert.is(value.type, 'text/plain');
+		assert.is(value.size, 2);
+	} finally {
+		if (descriptor) Object.defineProperty(globalThis, 'File', descriptor);
+	}
+});
+
+blobTests('uses the fromBlobInfo operation', async () => {
+	const value = parse(await stringifyAsync(new Blob(['abc'], { type: 'x/y' })), undefined, {
+		operations: {
+			fromBlobInfo: (tag, buffer, type) => ({ tag, bytes: buffer.byteLength, type })
+		}
+	});
+
+	assert.equal(value, { tag: 'Blob', bytes: 3, type: 'x/y' });
+});
+
+blobTests.run();
+
+const fetchTests = uvu.suite('stringifyAsync: Request and Response');
+
+// some of these put a `File` in a `FormData`, and `File` isn't a global in Node 18
+const fetchFileTests = typeof File === 'function' ? fetchTests : fetchTests.skip;
+
+fetchTests('serializes Requests and Responses', async () => {
+	const request = new Request('https://example.com/', { method: 'POST', body: 'hi' });
+	assert.equal(
+		await stringifyAsync(request),
+		'[["Request","https://example.com/","POST",1,2],["Headers","content-type","text/plain;charset=UTF-8"],["ArrayBuffer","aGk="]]'
+	);
+
+	const response = new Response(null, { status: 204, statusText: 'No Content' });
+	assert.equal(await stringifyAsync(response), '[["Response",204,"No Content",1,-1],["Headers"]]');
+});
+
+fetchFileTests('round-trips Requests and Responses', async () => {
+	const form_data = new FormData();
+	form_data.append('file', new File(['hello'], 'hello.txt'));
+
+	const value = parse(
+		await stringifyAsync({
+			request: new Request('https://example.com/', { headers: { accept: 'text/html' } }),
+			response: new Response('body', { status: 201, headers: { 'x-thing': 'yes' } }),
+			form_data
+		})
+	);
+
+	assert.ok(value.request instanceof Request);
+	assert.is(value.request.url, 'https://example.com/');
+	assert.is(value.request.method, 'GET');
+	assert.is(value.request.headers.get('accept'), 'text/html');
+	assert.is(value.request.body, null);
+
+	assert.ok(value.response instanceof Response);
+	assert.is(value.response.status, 201);
+	assert.is(value.response.headers.get('x-thing'), 'yes');
+	assert.is(await value.response.text(), 'body');
+
+	const file = value.form_data.get('file');
+	assert.ok(file instanceof File);
+	assert.is(await file.text(), 'hello');
+});
+
+fetchTests('does not consume the body', async () => {
+	const response = new Response('body');
+	await stringifyAsync(response);
+	assert.is(await response.text(), 'body');
+});
+
+fetchTests('throws on Requests and Responses whose body has been read', async () => {
+	const response = new Response('body');
+	await response.text();
+
+	try {
+		await stringifyAsync({ response });
+		assert.unreachable('should have thrown');
+	} catch (e) {
+		assert.ok(e instanceof DevalueError);
+		assert.equal(e.code, 'BODY_USED');
+		assert.equal(e.message, 'Cannot stringify a Response whose body has already been read');
+		assert.equal(e.path, '.response');
+	}
+
+	const request = new Request('https://example.com/', { method: 'POST', body: 'hi' });
+	await request.arrayBuffer();
+
+	assert.equal(
+		await stringifyAsync(request, undefined, { onUnserializable: (error) => error.code }),
+		'["BODY_USED"]'
+	);
+});
+
+fetchFileTests('stringify throws on Requests, Responses and File entries', () => {
+	assert.throws(
+		() => stringify(new Response(null)),
+		(error) => error.message === 'Cannot stringify a Response — use stringifyAsync instead'
+	);
+
+	const form_data = new FormData();
+	form_data.append('file', new File([], 'empty.txt'));
+
+	assert.throws(
+		() => stringify(form_data),
+		(error) =>
+			error.message === 'Cannot stringify a File — use stringifyAsync instead' &&
+			error.path === '.get("file")'
+	);
+});
+
+fetchTests('uneval handles bodiless Requests and Responses', () => {
+	assert.is(
+		uneval(new Request('https://example.com/', { method: 'HEAD' })),
+		'new Request("https://example.com/",{method:"HEAD",headers:[]})'
+	);
+	assert.is(
+		uneval(new Response(null, { status: 204 })),
+		'new Response(null,{status:204,statusText:"",headers:[]})'
+	);
+	assert.throws(
+		() => uneval(new Response('body')),
+		(error) => error.message === 'Cannot stringify a Response with a body'
+	);
+});
+
+fetchTests('uneval reports File entries in FormData', () => {
+	const form_data = new FormData();
+	form_data.append('name', 'x');
+	form_data.append('file', new Blob(['hello']), 'hello.txt');
+
+	assert.throws(
+		() => uneval({ form_data }),
+		(error) =>
+			error.code === 'ASYNC' &&
+			error.message === 'Cannot stringify a File' &&
+			error.path === '.form_data.get("file")'
+	);
+
+	assert.is(
+		uneval(form_data, undefined, { onUnserializable: (error) => error.value.name }),
+		'(f=>(f.append("name","x"),f.append("file","hello.txt"),f))(new FormData)'
+	);
+});
+
+fetchTests('does not preserve the url of Responses', async () => {
+	const response = await fetch('data:text/plain,hi');
+	assert.is(response.url, 'data:text/plain,hi');
+	assert.is(parse(await stringifyAsync(response)).url, '');
+});
+
+fetchTests('parse rejects malformed fetch types', () => {
+	assert.throws(() => parse('[["Headers","a"]]'), /Invalid input/);
+	assert.throws(() => parse('[["Headers","a",1]]'), /Invalid input/);
+	assert.throws(() => parse('[["FormData",1,2],"x"]'), /Invalid input/);
+	assert.throws(() => parse('[["Response","200","",1,-1],["Headers"]]'), /Invalid input/);
+	assert.throws(() => parse('[["Response",200,"",1,-1],{}]'), /Invalid data/);
+	assert.throws(
+		() => parse('[["Request","https://example.com/","POST",1,2],["Headers"],"x"]'),
+		/Invalid data/
+	);
+});
+
+fetchTests.run();
+
 // Error handling with stringifyAsync
 const asyncErrorTests = uvu.suite('stringifyAsync: errors');
 
@@ -1856,6 +4311,16 @@ asyncErrorTests('throws for promise resolving to function', async () => {
 	}
 });
 
+asyncErrorTests('reports the path to values serialized asynchronously', async () => {
+	try {
+		await stringifyAsync({ a: Promise.resolve({ b: function invalid() {} }) });
+		assert.unreachable('should have thrown');
+	} catch (e) {
+		assert.equal(e.name, 'DevalueError');
+		assert.equal(e.path, '.a.b');
+	}
+});
+
 asyncErrorTests.run();
 
 const circularCustomTypes = uvu.suite('circular references through custom types');
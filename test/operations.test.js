@@ -5,6 +5,7 @@ import {
 	stringifyAsync,
 	defaultStringifyOperations,
 	filterArrayIndices,
+	hash,
 	parse
 } from '../index.js';
 
@@ -358,6 +359,7 @@ const handle_operations = {
 		const info = defaultStringifyOperations.viewInfo(raw(handle));
 		return { ...info, buffer: h(info.buffer) };
 	},
+	bufferInfo: (handle) => defaultStringifyOperations.bufferInfo(raw(handle)),
 	toArrayBuffer: (handle) => raw(handle),
 	lengthOf: (handle) => raw(handle).length,
 	hasOwn: (handle, index) => Object.hasOwn(raw(handle), index),
@@ -409,6 +411,11 @@ suite('handle-based operations', (test) => {
 		assert_parity(new DataView(buffer, 1, 4));
 	});
 
+	test('hash', () => {
+		const value = { a: [1, { b: 2 }], m: new Map([['k', new Set([2, 1])]]) };
+		assert.equal(hash(h(value), undefined, { operations: handle_operations }), hash(value));
+	});
+
 	test('repeated references deduplicate via identify despite distinct handles', () => {
 		const shared = { x: 1 };
 		const value = { first: shared, second: shared };
@@ -572,6 +579,8 @@ const tripwire_operations = {
 	tagOf: (value) => defaultStringifyOperations.tagOf(untrip(value)),
 	isThenable: (value) => typeof untrip(value).then === 'function',
 	toPromise: (value) => Promise.resolve(untrip(value)).then(tripwire),
+	isAsyncIterable: (value) => typeof untrip(value)[Symbol.asyncIterator] === 'function',
+	asyncValuesOf: (value) => defaultStringifyOperations.asyncValuesOf(untrip(value)),
 	unbox: (value) => tripwire(untrip(value).valueOf()),
 	toISOString: (value) => defaultStringifyOperations.toISOString(untrip(value)),
 	toStringValue: (value) => untrip(value).toString(),
@@ -582,6 +591,7 @@ const tripwire_operations = {
 		const info = defaultStringifyOperations.viewInfo(untrip(value));
 		return { ...info, buffer: tripwire(info.buffer) };
 	},
+	bufferInfo: (value) => defaultStringifyOperations.bufferInfo(untrip(value)),
 	toArrayBuffer: (value) => untrip(value),
 	lengthOf: (value) => untrip(value).length,
 	hasOwn: (value, key) => Object.hasOwn(untrip(value), key),
@@ -0,0 +1,517 @@
+import * as assert from 'uvu/assert';
+import * as uvu from 'uvu';
+import { createParser, parse, stringify, stringifyStream } from '../index.js';
+
+/**
+ * @param {string} name
+ * @param {(test: import('uvu').Test) => void} fn
+ */
+function suite(name, fn) {
+	const test = uvu.suite(name);
+	fn(test);
+	test.run();
+}
+
+/** @param {ReadableStream<string>} stream */
+async function read(stream) {
+	/** @type {string[]} */
+	const chunks = [];
+
+	for await (const chunk of stream) {
+		chunks.push(chunk);
+	}
+
+	return chunks;
+}
+
+/** @returns {{ promise: Promise<any>, resolve: (value: any) => void, reject: (error: any) => void }} */
+function deferred() {
+	/** @type {any} */
+	let resolve;
+	/** @type {any} */
+	let reject;
+	const promise = new Promise((f, r) => {
+		resolve = f;
+		reject = r;
+	});
+	return { promise, resolve, reject };
+}
+
+suite('stringifyStream', (test) => {
+	test('emits synchronous values as a single chunk', async () => {
+		const value = { a: 1, b: [new Date(0), new Map([['x', 'y']])] };
+		const chunks = await read(stringifyStream(value));
+		assert.equal(chunks, [stringify(value) + '\n']);
+	});
+
+	test('emits negative-index roots as a single chunk', async () => {
+		assert.equal(await read(stringifyStream(undefined)), ['-1\n']);
+		assert.equal(await read(stringifyStream(NaN)), ['-3\n']);
+	});
+
+	test('emits promise placeholders and settles them in later chunks', async () => {
+		const chunks = await read(
+			stringifyStream({ quick: 'data', slow: Promise.resolve({ answer: 42 }) })
+		);
+
+		assert.equal(chunks, [
+			'[{"quick":1,"slow":2},"data",["Promise"]]\n',
+			'[2,["Promise",3],{"answer":4},42]\n'
+		]);
+	});
+
+	test('emits the synchronous part before promises settle', async () => {
+		const slow = deferred();
+		const reader = stringifyStream({ slow: slow.promise }).getReader();
+
+		const first = await reader.read();
+		assert.equal(first.value, '[{"slow":1},["Promise"]]\n');
+
+		slow.resolve('done');
+
+		const second = await reader.read();
+		assert.equal(second.value, '[1,["Promise",2],"done"]\n');
+
+		const end = await reader.read();
+		assert.ok(end.done);
+	});
+
+	test('emits chunks in the order promises settle', async () => {
+		const a = deferred();
+		const b = deferred();
+		const stream = stringifyStream([a.promise, b.promise]);
+
+		b.resolve('b');
+		setTimeout(() => a.resolve('a'));
+
+		assert.equal(await read(stream), [
+			'[[1,2],["Promise"],["Promise"]]\n',
+			'[2,["Promise",3],"b"]\n',
+			'[1,["Promise",4],"a"]\n'
+		]);
+	});
+
+	test('resolved values can reference earlier slots', async () => {
+		const shared = { x: 1 };
+		const chunks = await read(stringifyStream({ shared, later: Promise.resolve(shared) }));
+
+		assert.equal(chunks, [
+			'[{"shared":1,"later":3},{"x":2},1,["Promise"]]\n',
+			'[3,["Promise",1]]\n'
+		]);
+	});
+
+	test('streams nested promises', async () => {
+		const chunks = await read(stringifyStream(Promise.resolve({ inner: Promise.resolve(1) })));
+
+		assert.equal(chunks, [
+			'[["Promise"]]\n',
+			'[0,["Promise",1],{"inner":2},["Promise"]]\n',
+			'[2,["Promise",3],1]\n'
+		]);
+	});
+
+	test('streams promises that resolve to negative indices', async () => {
+		const chunks = await read(stringifyStream([Promise.resolve(undefined)]));
+		assert.equal(chunks, ['[[1],["Promise"]]\n', '[1,["Promise",-1]]\n']);
+	});
+
+	test('sends the first chunk without waiting for async iterables to be drained', async () => {
+		const gate = deferred();
+
+		async function* items() {
+			yield 1;
+			await gate.promise;
+			yield 2;
+		}
+
+		const reader = stringifyStream({ items: items() }).getReader();
+
+		assert.equal((await reader.read()).value, '[{"items":1},["Pending"]]\n');
+		gate.resolve(undefined);
+
+		assert.equal((await reader.read()).value, '[1,["AsyncIterable",2,3],1,2]\n');
+		assert.ok((await reader.read()).done);
+	});
+
+	test('sends the first chunk without waiting for blobs to be read', async () => {
+		const chunks = await read(stringifyStream([new Blob(['hi'])]));
+		assert.equal(chunks, [
+			'[[1],["Pending"]]\n',
+			'[1,["Blob",2,""],["ArrayBuffer","aGk="]]\n'
+		]);
+	});
+
+	test('streams rejections', async () => {
+		const chunks = await read(stringifyStream({ failed: Promise.reject('nope') }));
+		assert.equal(chunks, ['[{"failed":1},["Promise"]]\n', '[1,["Promise",2,1],"nope"]\n']);
+	});
+
+	test('errors the stream if the synchronous part cannot be serialized', async () => {
+		try {
+			await read(stringifyStream({ fn() {} }));
+			assert.unreachable('should have thrown');
+		} catch (e) {
+			assert.equal(e.name, 'DevalueError');
+			assert.equal(e.message, 'Cannot stringify a function');
+		}
+	});
+
+	test('errors the stream if a resolved value cannot be serialized', async () => {
+		const reader = stringifyStream({ later: Promise.resolve(() => {}) }).getReader();
+
+		assert.equal((await reader.read()).value, '[{"later":1},["Promise"]]\n');
+
+		try {
+			await reader.read();
+			assert.unreachable('should have thrown');
+		} catch (e) {
+			assert.equal(e.name, 'DevalueError');
+			assert.equal(e.message, 'Cannot stringify a function');
+		}
+	});
+
+	test('does not throw when the stream is cancelled before promises settle', async () => {
+		const slow = deferred();
+		const reader = stringifyStream([slow.promise]).getReader();
+
+		await reader.read();
+		await reader.cancel();
+
+		slow.resolve(1);
+		await slow.promise;
+	});
+});
+
+/**
+ * @param {ReadableStream<string>} stream
+ * @param {Record<string, (value: any) => any>} [revivers]
+ */
+async function pipe(stream, revivers) {
+	const parser = createParser(revivers);
+
+	(async () => {
+		for await (const chunk of stream) parser.push(chunk);
+		parser.end();
+	})();
+
+	return parser.value;
+}
+
+suite('createParser', (test) => {
+	test('revives synchronous values', async () => {
+		const value = { a: 1, b: [new Date(0), new Map([['x', 'y']])], c: undefined };
+		assert.equal(await pipe(stringifyStream(value)), value);
+	});
+
+	test('revives negative-index roots', async () => {
+		assert.is(await pipe(stringifyStream(undefined)), undefined);
+		assert.ok(Object.is(await pipe(stringifyStream(-0)), -0));
+	});
+
+	test('resolves the root value before promises settle', async () => {
+		const parser = createParser();
+		parser.push('[{"quick":1,"slow":2},"data",["Promise"]]\n');
+
+		const value = await parser.value;
+		assert.is(value.quick, 'data');
+		assert.instance(value.slow, Promise);
+
+		parser.push('[2,["Promise",3],{"answer":4},42]\n');
+		parser.end();
+
+		assert.equal(await value.slow, { answer: 42 });
+	});
+
+	test('accepts chunks that do not line up with lines', async () => {
+		const text = '[{"a":1},["Promise"]]\n[1,["Promise",2],"done"]\n';
+		const parser = createParser();
+
+		for (const char of text) parser.push(char);
+		parser.end();
+
+		const value = await parser.value;
+		assert.is(await value.a, 'done');
+	});
+
+	test('accepts a final line without a trailing newline', async () => {
+		const parser = createParser();
+		parser.push('[{"a":1},["Promise"]]\n[1,["Promise",2],"done"]');
+		parser.end();
+
+		assert.is(await (await parser.value).a, 'done');
+	});
+
+	test('round-trips promises through stringifyStream', async () => {
+		const shared = { x: 1 };
+		const value = await pipe(
+			stringifyStream({
+				shared,
+				later: new Promise((fulfil) => setTimeout(() => fulfil({ shared, n: 2 }))),
+				nested: Promise.resolve({ inner: Promise.resolve(new Set([shared])) })
+			})
+		);
+
+		assert.equal(value.shared, { x: 1 });
+
+		const later = await value.later;
+		assert.is(later.shared, value.shared);
+		assert.is(later.n, 2);
+
+		const nested = await value.nested;
+		const inner = await nested.inner;
+		assert.ok(inner.has(value.shared));
+	});
+
+	test('waits for placeholders to be filled in before reviving values', async () => {
+		const parser = createParser();
+		parser.push('[{"items":1,"later":2},["Pending"],["Promise"]]\n');
+		parser.push('[2,["Promise",1]]\n');
+
+		let revived = false;
+		parser.value.then(() => (revived = true));
+		await new Promise((fulfil) => setTimeout(fulfil));
+		assert.ok(!revived);
+
+		parser.push('[1,["Set",3],"x"]\n');
+		parser.end();
+
+		const value = await parser.value;
+		assert.equal(value.items, new Set(['x']));
+		assert.is(await value.later, value.items);
+	});
+
+	test('does not wait for slots that out-of-band buffers share an index with', async () => {
+		const buffers = Array.from({ length: 3 }, () => new ArrayBuffer(1));
+		const parser = createParser(undefined, { buffers });
+		parser.push('[{"buffer":1},["ArrayBuffer",2],["Pending"]]\n');
+
+		const value = await parser.value;
+		assert.is(value.buffer, buffers[2]);
+	});
+
+	test('rejects chunks for slots that are not placeholders', async () => {
+		const parser = createParser();
+		parser.push('[{"items":1},["Pending"]]\n');
+
+		assert.throws(() => parser.push('[0,{}]\n'), /Invalid input/);
+		await parser.value.then(assert.unreachable, (e) => assert.is(e.code, 'INVALID_INPUT'));
+	});
+
+	test('fails if the stream ends before placeholders are filled in', async () => {
+		const parser = createParser();
+		parser.push('[{"items":1},["Pending"]]\n');
+		parser.end();
+
+		await parser.value.then(assert.unreachable, (e) => assert.is(e.code, 'UNEXPECTED_END'));
+	});
+
+	test('round-trips blobs through stringifyStream', async () => {
+		const value = await pipe(stringifyStream({ blob: new Blob(['hi'], { type: 'text/plain' }) }));
+
+		assert.instance(value.blob, Blob);
+		assert.is(value.blob.type, 'text/plain');
+		assert.is(await value.blob.text(), 'hi');
+	});
+
+	test('round-trips async iterables through stringifyStream', async () => {
+		async function* items() {
+			yield 'a';
+			yield Promise.resolve('b');
+		}
+
+		const value = await pipe(stringifyStream({ items: items(), later: Promise.resolve(1) }));
+		const collected = [];
+		for await (const item of value.items) collected.push(item);
+
+		assert.equal(collected, ['a', 'b']);
+		assert.is(await value.later, 1);
+	});
+
+	test('rejects placeholders for rejected promises', async () => {
+		const value = await pipe(stringifyStream({ failed: Promise.reject('nope') }));
+
+		try {
+			await value.failed;
+			assert.unreachable('should have rejected');
+		} catch (e) {
+			assert.is(e, 'nope');
+		}
+	});
+
+	test('does not report rejections that are never awaited as unhandled', async () => {
+		/** @type {any[]} */
+		const unhandled = [];
+		/** @param {any} reason */
+		const listener = (reason) => unhandled.push(reason);
+		process.on('unhandledRejection', listener);
+
+		const parser = createParser();
+		parser.push('[{"failed":1},["Promise"]]\n[1,["Promise",2,1],"nope"]\n');
+		parser.end();
+		await parser.value;
+		await new Promise((fulfil) => setTimeout(fulfil));
+
+		process.off('unhandledRejection', listener);
+		assert.equal(unhandled, []);
+	});
+
+	test('revives streamed values with custom revivers', async () => {
+		class Vector {
+			/**
+			 * @param {number} x
+			 * @param {number} y
+			 */
+			constructor(x, y) {
+				this.x = x;
+				this.y = y;
+			}
+		}
+
+		const chunks = stringifyStream(
+			{ later: Promise.resolve(new Vector(1, 2)) },
+			{ Vector: (value) => value instanceof Vector && [value.x, value.y] }
+		);
+
+		const value = await pipe(chunks, { Vector: ([x, y]) => new Vector(x, y) });
+		const later = await value.later;
+
+		assert.instance(later, Vector);
+		assert.equal(later, new Vector(1, 2));
+	});
+
+	test('builtin payloads passed to custom revivers do not clash with streamed slots', async () => {
+		const parser = createParser({ Date: (iso) => `date:${iso}` });
+		parser.push('[{"when":1,"later":2},["Date","2000-01-01T00:00:00.000Z"],["Promise"]]\n');
+		parser.push('[2,["Promise",3],"streamed"]\n');
+		parser.end();
+
+		const value = await parser.value;
+		assert.is(value.when, 'date:2000-01-01T00:00:00.000Z');
+		assert.is(await value.later, 'streamed');
+	});
+
+	test('rejects unsettled promises when the input ends', async () => {
+		const parser = createParser();
+		parser.push('[{"a":1},["Promise"]]\n');
+		parser.end();
+
+		const value = await parser.value;
+
+		try {
+			await value.a;
+			assert.unreachable('should have rejected');
+		} catch (e) {
+			assert.is(/** @type {Error} */ (e).message, 'Unexpected end of stream');
+		}
+	});
+
+	test('rejects the value if the input ends before the root chunk', async () => {
+		const parser = createParser();
+		parser.end();
+
+		try {
+			await parser.value;
+			assert.unreachable('should have rejected');
+		} catch (e) {
+			assert.is(/** @type {Error} */ (e).message, 'Unexpected end of stream');
+		}
+	});
+
+	test('throws for chunks that settle unknown promises', async () => {
+		const parser = createParser();
+		parser.push('[{"a":1},["Promise"]]\n');
+		const value = await parser.value;
+
+		assert.throws(() => parser.push('[0,["Promise",1]]\n'), /Invalid input/);
+		assert.throws(() => parser.push('[1,["Promise",2]]\n'), /Cannot push to a parser that has ended/);
+
+		try {
+			await value.a;
+			assert.unreachable('should have rejected');
+		} catch (e) {
+			assert.is(/** @type {Error} */ (e).message, 'Invalid input');
+		}
+	});
+
+	test('throws for malformed root chunks', async () => {
+		const parser = createParser();
+		assert.throws(() => parser.push('[]\n'), /Invalid input/);
+
+		try {
+			await parser.value;
+			assert.unreachable('should have rejected');
+		} catch (e) {
+			assert.is(/** @type {Error} */ (e).message, 'Invalid input');
+		}
+	});
+
+	test('reports where in the stream syntax errors are', async () => {
+		const parser = createParser();
+		parser.push('[{"a":1},["Promise"]]\n[1,');
+
+		try {
+			parser.push('["Promise",2],x]\n');
+			assert.unreachable('should have thrown');
+		} catch (e) {
+			assert.is(/** @type {any} */ (e).code, 'INVALID_JSON');
+			assert.is(/** @type {any} */ (e).offset, 39);
+		}
+
+		await parser.value.then((value) => value.a).catch(() => {});
+	});
+
+	test('enforces limits across chunks', async () => {
+		const parser = createParser(undefined, { limits: { nodes: 3 } });
+		parser.push('[{"a":1},["Promise"]]\n');
+		const value = await parser.value;
+
+		assert.throws(
+			() => parser.push('[1,["Promise",2],[3,3],"x"]\n'),
+			/Exceeded the nodes limit of 3/
+		);
+
+		try {
+			await value.a;
+			assert.unreachable('should have rejected');
+		} catch (e) {
+			assert.is(/** @type {Error} */ (e).name, 'DevalueLimitError');
+		}
+	});
+
+	test('validates the root value against the schema', async () => {
+		/** @type {import('../src/types.js').StandardSchemaV1} */
+		const schema = {
+			'~standard': {
+				version: 1,
+				vendor: 'test',
+				validate: (value) =>
+					typeof (/** @type {any} */ (value).name) === 'string'
+						? { value: { ...(/** @type {any} */ (value)), checked: true } }
+						: { issues: [{ message: 'Expected a name', path: ['name'] }] }
+			}
+		};
+
+		const parser = createParser(undefined, { schema });
+		parser.push(stringify({ name: 'x' }) + '\n');
+		assert.equal(await parser.value, { name: 'x', checked: true });
+
+		const invalid = createParser(undefined, { schema });
+		assert.throws(
+			() => invalid.push(stringify({ name: 1 }) + '\n'),
+			(error) =>
+				error.name === 'DevalueError' && error.code === 'SCHEMA_MISMATCH' && error.path === '.name'
+		);
+
+		try {
+			await invalid.value;
+			assert.unreachable('should have rejected');
+		} catch (e) {
+			assert.is(/** @type {Error} */ (e).message, 'Expected a name');
+		}
+	});
+
+	test('parse rejects promise placeholders', () => {
+		assert.throws(() => parse('[{"a":1},["Promise"]]'), /Invalid input/);
+	});
+});